@@ -0,0 +1,55 @@
+const crypto = require('crypto');
+const path = require('path');
+const { dataPath } = require('./dataDir');
+const { readJson, writeJson } = require('./jsonFiles');
+
+// Saved analyses: every alternatives report, comparison and bulk run, kept
+// under a stable id so /analysis/:id can reopen it read-only. One JSON file
+// per analysis:
+//   { id, type, subject, model, createdAt, result }
+// where `result` is the response the analysis returned (markdown, HTML,
+// search results, cross-references, ...). Saved analyses are never pruned,
+// so a permalink in a design review keeps working.
+const ANALYSES_DIR = process.env.ANALYSES_DIR || dataPath('analyses');
+const TYPES = ['alternatives', 'compare', 'bulk'];
+
+// Ids are UUIDs; anything else never reaches the file system
+const ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+function analysisFile(id) {
+  return path.join(ANALYSES_DIR, `${id.toLowerCase()}.json`);
+}
+
+function permalink(id) {
+  return `/analysis/${id}`;
+}
+
+// Bulk runs pass their job id, so the permalink and the exports share it
+async function save(type, { subject, model, result }, id = crypto.randomUUID()) {
+  if (!TYPES.includes(type)) {
+    throw new Error(`Unknown analysis type "${type}"`);
+  }
+  const record = {
+    id,
+    type,
+    subject,
+    model: model || null,
+    createdAt: new Date().toISOString(),
+    result
+  };
+  await writeJson(analysisFile(id), record);
+  return record;
+}
+
+async function get(id) {
+  if (!ID_PATTERN.test(String(id))) return null;
+  return readJson(analysisFile(id), null);
+}
+
+module.exports = {
+  ANALYSES_DIR,
+  TYPES,
+  permalink,
+  save,
+  get
+};
@@ -0,0 +1,1114 @@
+const express = require('express');
+const cors = require('cors');
+const helmet = require('helmet');
+const path = require('path');
+const puppeteer = require('puppeteer-core');
+const multer = require('multer');
+const { extractStructuredAlternatives } = require('./structuredAlternatives');
+const { extractPartParameters } = require('./partParameters');
+const { extractPinouts } = require('./pinouts');
+const { scoreCompatibility, resolveConfig: compatibilityConfig } = require('./compatibility');
+const partsDb = require('./partsDb');
+const partSearch = require('./partSearch');
+const bom = require('./bom');
+const bomUploads = require('./bomUploads');
+const bomExport = require('./bomExport');
+const bulkJobs = require('./bulkJobs');
+const bulkResults = require('./bulkResults');
+const bulkExport = require('./bulkExport');
+const analyses = require('./analyses');
+const { envInt, limiters, BULK_BATCH_SIZE, SERVERLESS_BATCH_SIZE, BULK_MAX_PARTS, COMPARE_MAX_PARTS } = require('./concurrency');
+const { findChrome, createBrowserPool } = require('./browserPool');
+const { createCrossReference, summarizeCrossReferences } = require('./crossReference');
+const lookupCache = require('./lookupCache');
+const llm = require('./llm');
+const webSearch = require('./search');
+const { wantsEventStream, openEventStream } = require('./sse');
+const { renderMarkdown, renderComparison } = require('./markdown');
+const {
+  DatasheetError,
+  extractPages,
+  datasheetsForPart,
+  summarizeDatasheets,
+  describeDatasheets,
+  resolveConfig: datasheetConfig
+} = require('./datasheets');
+const datasheetStore = require('./datasheetStore');
+const {
+  summarizeSearchResults,
+  ALTERNATIVES_SYSTEM_PROMPT,
+  alternativesPrompt,
+  COMPARE_SYSTEM_PROMPT,
+  comparePrompt,
+  BULK_SYSTEM_PROMPT,
+  bulkPrompt
+} = require('./prompts');
+
+// The application shared by both entrypoints: server.js runs it as a
+// long-lived process, api/index.js exports it as a Vercel function. Only what
+// a serverless function cannot do differs, and only through `serverless`:
+// bulk processing is off (its jobs live in one process, and serverless
+// requests for a job can land on any instance) unless BULK_SERVERLESS=true
+// says the deployment runs a single instance, in which case jobs advance on
+// each status poll instead of in the background; analyses are not saved and
+// have no permalinks (the data directory is per instance and temporary)
+// unless ANALYSES_SERVERLESS=true says ANALYSES_DIR is shared, lasting
+// storage; and the scraper browser runs single-process with one page.
+//
+// Returns { app, browserPool } so the server can close the browser on exit.
+function createApp({ serverless = false } = {}) {
+  const app = express();
+
+  // Security middleware
+  app.use(helmet({
+    contentSecurityPolicy: {
+      directives: {
+        defaultSrc: ["'self'"],
+        styleSrc: ["'self'", "'unsafe-inline'"],
+        scriptSrc: ["'self'", "https://cdnjs.cloudflare.com"],
+        connectSrc: [
+          "'self'",
+          "https://api.openai.com",
+          "https://www.googleapis.com"
+        ],
+        imgSrc: ["'self'", "data:", "https:"],
+        fontSrc: ["'self'", "https://fonts.gstatic.com"],
+        objectSrc: ["'none'"],
+        upgradeInsecureRequests: []
+      }
+    }
+  }));
+
+  // Enable CORS for company network and public access
+  app.use(cors({
+    origin: true,
+    credentials: true,
+    methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+    allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With']
+  }));
+
+  // Parse JSON bodies
+  app.use(express.json({ limit: '1mb' }));
+
+  // Bulk jobs, their uploaded files and their results are held by the
+  // instance that created them, so bulk processing needs one long-running
+  // server (or a serverless deployment limited to a single instance)
+  const bulkJobsEnabled = !serverless || process.env.BULK_SERVERLESS === 'true';
+  function requireBulkJobs(req, res, next) {
+    if (bulkJobsEnabled) return next();
+    res.status(503).json({
+      error: 'Bulk processing is not available on this serverless deployment: run the server (npm start) for bulk jobs, or set BULK_SERVERLESS=true if it runs a single instance'
+    });
+  }
+
+  // A serverless instance's data directory is its own and is lost on a cold
+  // start, so a permalink saved there would soon stop working
+  const savedAnalysesEnabled = !serverless || process.env.ANALYSES_SERVERLESS === 'true';
+  function requireSavedAnalyses(req, res, next) {
+    if (savedAnalysesEnabled) return next();
+    res.status(503).json({
+      error: 'Saved analyses are not available on this serverless deployment: run the server (npm start) for permalinks, or set ANALYSES_SERVERLESS=true if ANALYSES_DIR is shared storage'
+    });
+  }
+
+  // Configure multer for file uploads (kept in memory, parsed straight from the buffer)
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+      fileSize: 5 * 1024 * 1024, // 5MB limit
+      files: 1
+    },
+    fileFilter: (req, file, cb) => {
+      const allowedTypes = [
+        'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+        'application/vnd.ms-excel',
+        'text/csv'
+      ];
+      if (allowedTypes.includes(file.mimetype)) {
+        cb(null, true);
+      } else {
+        cb(new Error('Only Excel files (.xlsx, .xls) and CSV files are allowed'), false);
+      }
+    }
+  });
+
+  // Datasheet PDFs uploaded for a part (several per request)
+  const datasheetUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+      fileSize: datasheetConfig().maxBytes,
+      files: envInt('DATASHEET_UPLOAD_MAX_FILES', 5)
+    },
+    fileFilter: (req, file, cb) => {
+      if (file.mimetype === 'application/pdf' || /\.pdf$/i.test(file.originalname)) {
+        cb(null, true);
+      } else {
+        cb(new DatasheetError('Only PDF datasheets are allowed', 415), false);
+      }
+    }
+  });
+
+  // Shared headless browser pool for the cross-reference scrapers
+  const browserPool = createBrowserPool({
+    puppeteer,
+    launchOptions: {
+      args: [
+        '--no-sandbox',
+        '--disable-setuid-sandbox',
+        '--disable-dev-shm-usage',
+        '--disable-accelerated-2d-canvas',
+        '--no-first-run',
+        '--no-zygote',
+        '--disable-gpu',
+        '--disable-web-security',
+        '--disable-features=VizDisplayCompositor',
+        ...(serverless ? ['--single-process'] : [])
+      ],
+      executablePath: findChrome()
+    },
+    maxPages: envInt('BROWSER_MAX_PAGES', serverless ? 1 : 2)
+  });
+
+  // Manufacturer cross-reference sources: the verified ones (TI) unless
+  // CROSSREF_SOURCES names others
+  const crossReference = createCrossReference({ browserPool });
+
+  // Helper: cached, rate-limited web search for one part
+  function searchPart(partNumber, { bypassCache = false } = {}) {
+    return lookupCache.wrap('search', `${partNumber}@${webSearch.configId()}`, () => limiters.search(() => webSearch.search(partNumber)), { bypass: bypassCache });
+  }
+
+  // Helper: verified parameters already in the parts database, as prompt context
+  async function knownParameters(...partNumbers) {
+    return partsDb.summarizeVerified(await Promise.all(partNumbers.map(partsDb.get)));
+  }
+
+  // Helper: keep a finished analysis under a stable id (graceful fallback:
+  // the response is still sent without a permalink). Returns the fields to
+  // add to the response.
+  async function saveAnalysis(type, subject, payload) {
+    if (!savedAnalysesEnabled) {
+      return { analysisId: null, permalink: null };
+    }
+    try {
+      const { id } = await analyses.save(type, { subject, model: payload.model, result: payload });
+      return { analysisId: id, permalink: analyses.permalink(id) };
+    } catch (e) {
+      console.warn(`Saving the ${type} analysis of ${subject} failed:`, e.message);
+      return { analysisId: null, permalink: null };
+    }
+  }
+
+  // Helper: extract the parameters a report states and merge them into the
+  // parts database (graceful fallback). The extraction is cached with the
+  // report, so a cached report is not recorded as a new finding.
+  async function recordPartParameters(markdown, partNumbers, source, { cacheKey, bypassCache = false }) {
+    try {
+      const extracted = await lookupCache.wrap('llm', cacheKey, async () => ({
+        extractedAt: new Date().toISOString(),
+        parts: await extractPartParameters(markdown, partNumbers)
+      }), { bypass: bypassCache });
+      return await partsDb.record(extracted.parts, source, extracted.extractedAt);
+    } catch (e) {
+      console.warn(`Parameter extraction failed for ${partNumbers.join(', ')}:`, e.message);
+      return [];
+    }
+  }
+
+  // Serve static files (HTML, CSS, JS)
+  app.use(express.static(path.join(__dirname, '..')));
+
+  // Client-side markdown renderer for streamed reports
+  app.get('/vendor/marked.min.js', (req, res) => {
+    res.sendFile(require.resolve('marked/marked.min.js'));
+  });
+
+  // Main route
+  app.get('/', (req, res) => {
+    res.sendFile(path.join(__dirname, '..', 'index.html'));
+  });
+
+  // Permalink of a saved analysis; the page loads it from /api/analyses/:id
+  app.get('/analysis/:id', (req, res) => {
+    res.sendFile(path.join(__dirname, '..', 'index.html'));
+  });
+
+  // Health check endpoint
+  app.get('/health', (req, res) => {
+    res.json({
+      status: 'OK',
+      timestamp: new Date().toISOString(),
+      version: '1.0.0',
+      deployment: serverless ? 'serverless' : 'server',
+      bulkJobs: bulkJobsEnabled,
+      savedAnalyses: savedAnalysesEnabled,
+      browserPool: browserPool.stats(),
+      llm: llm.describeRoutes(),
+      search: webSearch.describeProviders(),
+      crossReference: crossReference.describe(),
+      datasheets: datasheetConfig(),
+      compatibility: compatibilityConfig()
+    });
+  });
+
+  // Lookup cache inspection: ?source=search|crossref|llm|datasheet&key=<part number>
+  app.get('/api/cache', async (req, res) => {
+    try {
+      const { source, key } = req.query;
+      const entries = await lookupCache.list({ source, key });
+      res.json({ stats: lookupCache.stats(), count: entries.length, entries });
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  });
+
+  // Clear cached lookups; with no filters this empties the whole cache
+  app.delete('/api/cache', async (req, res) => {
+    try {
+      const { source, key } = req.query;
+      const removed = await lookupCache.clear({ source, key });
+      console.log(`[DELETE /api/cache] Removed ${removed} entries`, { source, key });
+      res.json({ removed });
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  });
+
+  // Test TI cross-reference endpoint
+  app.get('/test-ti/:partNumber', async (req, res) => {
+    try {
+      const { partNumber } = req.params;
+      console.log(`[TEST] Testing TI cross-reference for: ${partNumber}`);
+
+      const alternatives = await crossReference.lookupSource('ti', partNumber);
+
+      res.json({
+        partNumber,
+        alternatives,
+        count: alternatives.length,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error('[TEST] Error:', error);
+      res.status(500).json({ 
+        error: error.message,
+        partNumber: req.params.partNumber 
+      });
+    }
+  });
+
+  // Part alternatives API — now grounded with web search results first
+  app.post('/api/alternatives', async (req, res) => {
+    let stream = null;
+    try {
+      console.log('[POST /api/alternatives] Request body:', req.body);
+      const configError = llm.configurationError('alternatives');
+      if (configError) {
+        console.error('[POST /api/alternatives] LLM not configured:', configError);
+        return res.status(500).json({ error: configError });
+      }
+
+      const { partNumber, bypassCache = false } = req.body || {};
+      if (!partNumber) {
+        console.warn('[POST /api/alternatives] Missing partNumber');
+        return res.status(400).json({ error: 'Part number is required' });
+      }
+
+      // Streaming clients get progress events and the report as it is written
+      // Uploaded datasheets change the report, so they are part of the key
+      const uploads = await datasheetStore.revision(partNumber);
+      const llmKey = `alternatives:${partNumber}@${llm.modelId('alternatives')}${uploads}`;
+      if (wantsEventStream(req)) {
+        stream = openEventStream(res, {
+          canAbort: () => lookupCache.joinedCount('llm', llmKey, { bypass: bypassCache }) === 0
+        });
+      }
+      const progress = stage => stream && stream.send('status', { stage });
+      progress('search');
+
+      // Web search (with graceful fallback), then the datasheet PDFs among
+      // its results (unreadable ones are skipped)
+      async function searchWithDatasheets() {
+        let items = [];
+        try {
+          items = await searchPart(partNumber, { bypassCache });
+          console.log('[POST /api/alternatives] Search results:', items.map(s => s.link));
+        } catch (e) {
+          // Fallback to continue without web context
+          console.warn('Web search failed, continuing without results:', e.message);
+        }
+        progress('crossref');
+        return { searchItems: items, datasheets: await datasheetsForPart(partNumber, items, { bypassCache }) };
+      }
+
+      // Manufacturer cross-references, scraped meanwhile since they need only
+      // the part number (a failed source falls back to no results and is
+      // listed in crossReferenceErrors)
+      const crossReferenceErrors = [];
+      const [{ searchItems, datasheets }, crossReferences] = await Promise.all([
+        searchWithDatasheets(),
+        crossReference.lookup(partNumber, {
+          bypassCache,
+          onError: (source, error) => crossReferenceErrors.push({ source: source.name, sourceLabel: source.label, error: error.message })
+        })
+      ]);
+      console.log('[POST /api/alternatives] Cross-references:', crossReferences.map(x => `${x.partNumber} (${x.source})`));
+      const tiAlternatives = crossReferences.filter(x => x.source === 'ti');
+
+      const searchSummary = summarizeSearchResults(searchItems);
+      const crossReferenceSummary = summarizeCrossReferences(crossReferences);
+      const datasheetSummary = summarizeDatasheets(datasheets);
+      const knownSummary = await knownParameters(partNumber);
+
+      // 4) Build the prompt
+      const userPrompt = alternativesPrompt(partNumber, searchSummary, crossReferenceSummary, datasheetSummary, knownSummary);
+
+      console.log('[POST /api/alternatives] Prompt sent to LLM:', userPrompt);
+      if (stream) stream.send('meta', { searchResults: searchItems, crossReferences: crossReferences, crossReferenceErrors: crossReferenceErrors, tiAlternatives: tiAlternatives, datasheets: describeDatasheets(datasheets) });
+      progress('llm');
+
+      let streamed = false;
+      const markdownContent = await lookupCache.wrap('llm', llmKey, async () => {
+        const request = {
+          messages: [
+            { role: 'system', content: ALTERNATIVES_SYSTEM_PROMPT },
+            { role: 'user', content: userPrompt }
+          ],
+          maxTokens: 16384
+        };
+        if (!stream) {
+          const { content } = await llm.chatCompletion('alternatives', request);
+          return content;
+        }
+        streamed = true;
+        const { content } = await llm.streamChatCompletion('alternatives', request, text => stream.send('delta', { text }), stream.signal);
+        return content;
+      }, { bypass: bypassCache });
+      // Served from cache or shared with another request: send it in one piece
+      if (stream && !streamed) stream.send('delta', { text: markdownContent });
+
+      // Convert markdown to HTML (raw HTML and unsafe links neutralized)
+      const htmlContent = renderMarkdown(markdownContent);
+
+      progress('extraction');
+      // Structured view of the report for downstream consumers (graceful fallback)
+      // and parameters of every part it names for the parts database; the two
+      // extraction calls are independent, so they run side by side
+      async function structureReport() {
+        try {
+          const result = await lookupCache.wrap('llm', `structured:${partNumber}@${llm.modelId('extraction')}${uploads}`, () => extractStructuredAlternatives(markdownContent, partNumber), { bypass: bypassCache });
+          console.log('[POST /api/alternatives] Structured alternatives:', result.alternatives.map(a => a.partNumber));
+          return result;
+        } catch (e) {
+          console.warn('Structured extraction failed, returning markdown only:', e.message);
+          return null;
+        }
+      }
+      const [structured, recordedParts] = await Promise.all([
+        structureReport(),
+        recordPartParameters(markdownContent, [partNumber], {
+          analysis: 'alternatives',
+          subject: partNumber,
+          model: llm.modelId('alternatives')
+        }, { cacheKey: `parameters:alternatives:${partNumber}@${llm.modelId('extraction')}${uploads}`, bypassCache })
+      ]);
+
+      const payload = {
+        alternatives: htmlContent,
+        raw: markdownContent,
+        structured: structured,
+        model: llm.modelId('alternatives'),
+        searchResults: searchItems,
+        crossReferences: crossReferences,
+        crossReferenceErrors: crossReferenceErrors,
+        tiAlternatives: tiAlternatives,
+        datasheets: describeDatasheets(datasheets),
+        recordedParts: recordedParts,
+        createdAt: new Date().toISOString()
+      };
+      Object.assign(payload, await saveAnalysis('alternatives', partNumber, payload));
+      if (stream) {
+        stream.send('done', payload);
+        return stream.close();
+      }
+      return res.json(payload);
+    } catch (error) {
+      if (stream) {
+        stream.send('error', { error: error.message || 'Server error' });
+        return stream.close();
+      }
+      return res.status(500).json({ error: error.message || 'Server error' });
+    }
+  });
+
+  // Uploaded datasheets: the primary context for every later lookup of the part
+  app.get('/api/datasheets/:partNumber', async (req, res) => {
+    try {
+      const { partNumber } = req.params;
+      res.json({ partNumber, datasheets: await datasheetStore.list(partNumber) });
+    } catch (error) {
+      console.error('[GET /api/datasheets] Error:', error);
+      res.status(500).json({ error: error.message || 'Failed to list datasheets' });
+    }
+  });
+
+  app.post('/api/datasheets/:partNumber', datasheetUpload.array('files'), async (req, res) => {
+    try {
+      const { partNumber } = req.params;
+      if (!req.files || req.files.length === 0) {
+        return res.status(400).json({ error: 'No datasheet uploaded' });
+      }
+
+      // Check every file before storing any, so a bad one rejects the request
+      const extracted = [];
+      for (const file of req.files) {
+        if (file.buffer.subarray(0, 5).toString('latin1') !== '%PDF-') {
+          return res.status(415).json({ error: `${file.originalname} is not a PDF document` });
+        }
+        let pages;
+        try {
+          pages = await extractPages(file.buffer);
+        } catch (error) {
+          console.warn(`[POST /api/datasheets] Unreadable PDF ${file.originalname}:`, error.message);
+          return res.status(422).json({ error: `${file.originalname} could not be read as a PDF document` });
+        }
+        if (!pages.some(page => page.text.trim())) {
+          return res.status(422).json({ error: `No text could be extracted from ${file.originalname}; scanned datasheets are not supported` });
+        }
+        extracted.push({ filename: file.originalname, buffer: file.buffer, pages });
+      }
+
+      const stored = [];
+      for (const doc of extracted) {
+        stored.push(await datasheetStore.add(partNumber, doc));
+      }
+      console.log(`[POST /api/datasheets] Stored ${stored.length} datasheet(s) for ${partNumber}`);
+
+      res.status(201).json({ partNumber, uploaded: stored, datasheets: await datasheetStore.list(partNumber) });
+    } catch (error) {
+      console.error('[POST /api/datasheets] Error:', error);
+      res.status(error.status || 500).json({ error: error.message || 'Failed to store datasheet' });
+    }
+  });
+
+  app.get('/api/datasheets/:partNumber/:id/file', async (req, res) => {
+    try {
+      const { partNumber, id } = req.params;
+      const entry = (await datasheetStore.list(partNumber)).find(doc => doc.id === id);
+      const file = entry && datasheetStore.filePath(partNumber, id);
+      if (!file) {
+        return res.status(404).json({ error: 'Datasheet not found' });
+      }
+      // Headers are only set once the file is readable, so errors go out as JSON
+      res.sendFile(file, {
+        headers: {
+          'Content-Type': 'application/pdf',
+          'Content-Disposition': `inline; filename="${entry.filename.replace(/[^\x20-\x7e]|["\\]/g, '_')}"`
+        }
+      }, error => {
+        if (!error || res.headersSent) return;
+        console.error('[GET /api/datasheets/file] Error:', error.message);
+        res.status(error.status === 404 ? 404 : 500).json({ error: error.status === 404 ? 'Datasheet not found' : 'Failed to send datasheet' });
+      });
+    } catch (error) {
+      console.error('[GET /api/datasheets/file] Error:', error);
+      res.status(500).json({ error: error.message || 'Failed to send datasheet' });
+    }
+  });
+
+  app.delete('/api/datasheets/:partNumber/:id', async (req, res) => {
+    try {
+      const { partNumber, id } = req.params;
+      const removed = await datasheetStore.remove(partNumber, id);
+      if (!removed) {
+        return res.status(404).json({ error: 'Datasheet not found' });
+      }
+      res.json({ removed, datasheets: await datasheetStore.list(partNumber) });
+    } catch (error) {
+      console.error('[DELETE /api/datasheets] Error:', error);
+      res.status(500).json({ error: error.message || 'Failed to remove datasheet' });
+    }
+  });
+
+  // Parametric search over the parts database: what it holds (for the search
+  // form), then the parts matching a query. No model call.
+  app.get('/api/parts', async (req, res) => {
+    try {
+      res.json(await partSearch.describe());
+    } catch (error) {
+      console.error('[GET /api/parts] Error:', error);
+      res.status(500).json({ error: error.message || 'Failed to read parts database' });
+    }
+  });
+
+  app.post('/api/parts/search', async (req, res) => {
+    try {
+      res.json(await partSearch.search(req.body));
+    } catch (error) {
+      console.error('[POST /api/parts/search] Error:', error.message);
+      res.status(error.status || 500).json({ error: error.message || 'Parts search failed' });
+    }
+  });
+
+  // Parts database: what earlier analyses recorded about a part, with the
+  // analysis and date every value came from
+  app.get('/api/parts/:partNumber', async (req, res) => {
+    try {
+      const part = await partsDb.get(req.params.partNumber);
+      if (!part) {
+        return res.status(404).json({ error: 'No recorded data for this part' });
+      }
+      res.json(part);
+    } catch (error) {
+      console.error('[GET /api/parts] Error:', error);
+      res.status(500).json({ error: error.message || 'Failed to read parts database' });
+    }
+  });
+
+  // Forget a part, e.g. after a report recorded wrong values
+  app.delete('/api/parts/:partNumber', async (req, res) => {
+    try {
+      const removed = await partsDb.remove(req.params.partNumber);
+      if (!removed) {
+        return res.status(404).json({ error: 'No recorded data for this part' });
+      }
+      res.json({ removed });
+    } catch (error) {
+      console.error('[DELETE /api/parts] Error:', error);
+      res.status(500).json({ error: error.message || 'Failed to update parts database' });
+    }
+  });
+
+  // Bulk processing endpoints
+  app.post('/api/bulk-upload', requireBulkJobs, upload.single('file'), async (req, res) => {
+    try {
+      if (!req.file) {
+        return res.status(400).json({ error: 'No file uploaded' });
+      }
+
+      console.log('[POST /api/bulk-upload] Processing file:', req.file.originalname);
+
+      // Sheet, header row and column mapping are detected unless the client
+      // sends the ones the user picked (mapping as JSON: { "partNumber": "B" })
+      const { sheet, headerRow, mapping } = req.body || {};
+      let columnMapping;
+      if (mapping) {
+        try {
+          columnMapping = JSON.parse(mapping);
+        } catch (e) {
+          return res.status(400).json({ error: 'mapping must be JSON' });
+        }
+      }
+      const result = bom.readBom(req.file.buffer, { sheet, headerRow, mapping: columnMapping });
+
+      if (result.items.length > BULK_MAX_PARTS) {
+        return res.status(400).json({ error: `Maximum ${BULK_MAX_PARTS} part numbers allowed` });
+      }
+
+      console.log(`[POST /api/bulk-upload] Found ${result.items.length} part numbers on sheet "${result.sheet}"`);
+
+      res.json({
+        success: true,
+        // Kept on the server for the annotated write-back export
+        uploadId: bomUploads.saveUpload(req.file.buffer, req.file.originalname),
+        ...result,
+        partNumbers: result.items.map(item => item.partNumber),
+        count: result.items.length
+      });
+
+    } catch (error) {
+      if (error instanceof bom.BomError) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      console.error('[POST /api/bulk-upload] Error:', error);
+      res.status(500).json({ error: error.message || 'Failed to process file' });
+    }
+  });
+
+  // Helper: manufacturer cross-references, web search and AI alternatives for
+  // one bulk part. Steps that fail without failing the part are listed in
+  // `warnings` ({ step, message }) for the report's errors sheet.
+  async function processBulkPart(partNumber, { bypassCache = false } = {}) {
+    const warnings = [];
+
+    // Get manufacturer cross-references
+    const crossReferences = await crossReference.lookup(partNumber, {
+      bypassCache,
+      onError: (source, error) => warnings.push({ step: `Cross-reference (${source.label})`, message: error.message })
+    });
+    const tiAlternatives = crossReferences.filter(x => x.source === 'ti');
+
+    // Get web search results
+    let searchItems = [];
+    try {
+      searchItems = await searchPart(partNumber, { bypassCache });
+    } catch (searchError) {
+      console.warn(`[processBulkPart] Web search failed for ${partNumber}:`, searchError.message);
+      warnings.push({ step: 'Web search', message: searchError.message });
+    }
+
+    // Get AI alternatives
+    let aiAlternatives = [];
+    try {
+      const searchSummary = summarizeSearchResults(searchItems);
+      const crossReferenceSummary = summarizeCrossReferences(crossReferences);
+      const userPrompt = bulkPrompt(partNumber, searchSummary, crossReferenceSummary, await knownParameters(partNumber));
+
+      const { content } = await lookupCache.wrap('llm', `bulk:${partNumber}@${llm.modelId('bulk')}`, () => llm.chatCompletion('bulk', {
+        messages: [
+          { role: 'system', content: BULK_SYSTEM_PROMPT },
+          { role: 'user', content: userPrompt }
+        ],
+        maxTokens: 2000,
+        temperature: 0.3
+      }), { bypass: bypassCache });
+
+      if (content) {
+        // Parse AI alternatives from response
+        const lines = content.split('\n').filter(line => line.trim());
+        aiAlternatives = lines
+          .filter(line => /^\d+\.\s+[A-Z0-9]/.test(line.trim()))
+          .map(line => {
+            const match = line.match(/^\d+\.\s+([A-Z0-9\-\.\/]+)\s*-\s*(.+?)\s*-\s*(.+)$/);
+            if (match) {
+              return {
+                partNumber: match[1].trim(),
+                description: match[2].trim(),
+                manufacturer: match[3].trim()
+              };
+            }
+            return null;
+          })
+          .filter(alt => alt !== null)
+          .slice(0, 3);
+      }
+      if (aiAlternatives.length === 0) {
+        warnings.push({ step: 'AI analysis', message: 'No alternatives could be read from the model response' });
+      }
+    } catch (aiError) {
+      console.warn(`[processBulkPart] AI analysis failed for ${partNumber}:`, aiError.message);
+      warnings.push({ step: 'AI analysis', message: aiError.message });
+    }
+
+    // Manufacturers and descriptions of the suggested parts go to the parts database
+    try {
+      await partsDb.record(aiAlternatives, { analysis: 'bulk', subject: partNumber, model: llm.modelId('bulk') });
+    } catch (dbError) {
+      console.warn(`[processBulkPart] Recording alternatives failed for ${partNumber}:`, dbError.message);
+      warnings.push({ step: 'Parts database', message: dbError.message });
+    }
+
+    return {
+      originalPart: partNumber,
+      crossReferences: crossReferences,
+      tiAlternatives: tiAlternatives,
+      aiAlternatives: aiAlternatives.slice(0, 3), // Take up to 3 AI alternatives
+      model: llm.modelId('bulk'),
+      sources: searchItems.map(({ title, link, snippet }) => ({ title, link, snippet })),
+      warnings,
+      status: 'success'
+    };
+  }
+
+  // Bulk processing runs as a job: submit returns a job id, the client polls
+  // the status endpoint for per-part progress, then fetches the results.
+  app.post('/api/bulk-process', requireBulkJobs, async (req, res) => {
+    try {
+      // BOM line items from /api/bulk-upload, or plain part numbers; `upload`
+      // ({ uploadId, sheet, headerRow }) names the file to write results back to
+      const { items, partNumbers, upload, bypassCache = false } = req.body;
+      const lines = Array.isArray(items) ? items : partNumbers;
+
+      if (!lines || !Array.isArray(lines) || lines.length === 0) {
+        return res.status(400).json({ error: 'Part numbers array is required' });
+      }
+
+      if (lines.length > BULK_MAX_PARTS) {
+        return res.status(400).json({ error: `Maximum ${BULK_MAX_PARTS} part numbers allowed` });
+      }
+
+      let source = null;
+      if (upload && upload.uploadId) {
+        const stored = bomUploads.getUpload(upload.uploadId);
+        if (!stored) {
+          return res.status(400).json({ error: 'The uploaded file has expired, please upload it again' });
+        }
+        source = { buffer: stored.buffer, fileName: stored.fileName, sheet: upload.sheet, headerRow: Number(upload.headerRow) || 0 };
+      }
+
+      const job = bulkJobs.createJob(bom.normalizeItems(lines), { bypassCache }, source, {
+        saveAnalysis: savedAnalysesEnabled
+      });
+      console.log(`[POST /api/bulk-process] Created job ${job.id} for ${lines.length} parts`);
+
+      // Serverless functions cannot keep working after the response is sent,
+      // so there the job advances one batch per status poll instead.
+      if (!serverless) {
+        bulkJobs.startJob(job, processBulkPart, BULK_BATCH_SIZE);
+      }
+
+      res.status(202).json(bulkJobs.serializeJobStatus(job));
+
+    } catch (error) {
+      if (error instanceof bom.BomError) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      console.error('[POST /api/bulk-process] Error:', error);
+      res.status(500).json({ error: error.message || 'Bulk processing failed' });
+    }
+  });
+
+  app.get('/api/bulk-process/:jobId', requireBulkJobs, async (req, res) => {
+    try {
+      const job = bulkJobs.getJob(req.params.jobId);
+      if (!job) {
+        return res.status(404).json({ error: 'Bulk job not found' });
+      }
+
+      if (serverless) {
+        await bulkJobs.advanceJob(job, processBulkPart, SERVERLESS_BATCH_SIZE);
+      }
+
+      res.json(bulkJobs.serializeJobStatus(job));
+    } catch (error) {
+      console.error('[GET /api/bulk-process/:jobId] Error:', error);
+      res.status(500).json({ error: error.message || 'Failed to read job status' });
+    }
+  });
+
+  app.get('/api/bulk-process/:jobId/results', async (req, res) => {
+    try {
+      const { results, status, error, job } = await finishedBulkResults(req.params.jobId);
+      if (!results) {
+        return res.status(status).json({
+          error,
+          ...(job ? bulkJobs.serializeJobStatus(job) : {})
+        });
+      }
+
+      res.json(results);
+    } catch (error) {
+      console.error('[GET /api/bulk-process/:jobId/results] Error:', error);
+      res.status(500).json({ error: error.message || 'Failed to read job results' });
+    }
+  });
+
+  // Helper: results of a finished bulk job, from memory or, once the job is
+  // pruned or the server restarted, from disk. Returns { results } or
+  // { error, status }.
+  async function finishedBulkResults(jobId) {
+    const job = jobId && bulkJobs.getJob(jobId);
+    if (job) {
+      if (job.status === 'failed') {
+        return { status: 500, error: `Bulk job failed: ${job.error}`, job };
+      }
+      if (job.status !== 'completed') {
+        return { status: 409, error: 'Bulk job is still running', job };
+      }
+      return { results: bulkJobs.serializeJobResults(job), job };
+    }
+    const stored = jobId && (await bulkResults.get(jobId) || await savedBulkResults(jobId));
+    return stored ? { results: stored } : { status: 404, error: 'Bulk job not found' };
+  }
+
+  // Helper: a bulk run's results from its saved analysis, which outlives the
+  // exports' own copy
+  async function savedBulkResults(jobId) {
+    const analysis = await analyses.get(jobId);
+    return analysis && analysis.type === 'bulk' ? analysis.result : null;
+  }
+
+  // Helper: send a bulk job's results as a file download
+  async function sendBulkExport(res, jobId, format) {
+    if (!jobId) {
+      return res.status(400).json({ error: 'jobId is required' });
+    }
+
+    if (format === 'annotated') {
+      // The customer's own file with the results appended to each BOM row.
+      // Uploaded files are only held in memory, so this needs the live job.
+      const job = bulkJobs.getJob(jobId);
+      if (!job) {
+        return res.status(404).json({ error: 'Bulk job not found' });
+      }
+      if (!job.source) {
+        return res.status(400).json({ error: 'This job was not started from an uploaded file' });
+      }
+      if (job.status === 'failed') {
+        return res.status(500).json({ error: `Bulk job failed: ${job.error}` });
+      }
+      if (job.status !== 'completed') {
+        return res.status(409).json({ error: 'Bulk job is still running' });
+      }
+      const annotated = bomExport.writeBack(job.source, bulkJobs.serializeJobResults(job).results);
+      if (!annotated) {
+        return res.status(400).json({ error: `Sheet "${job.source.sheet}" not found in the uploaded file` });
+      }
+      return sendDownload(res, annotated);
+    }
+
+    bulkExport.resolveFormat(format); // Unsupported formats fail before the lookup
+    const { results, status, error } = await finishedBulkResults(jobId);
+    if (!results) {
+      return res.status(status).json({ error });
+    }
+    return sendDownload(res, bulkExport.exportResults(results, format));
+  }
+
+  // Helper: a { buffer, fileName, contentType } file as an attachment
+  function sendDownload(res, file) {
+    res.setHeader('Content-Type', file.contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${file.fileName.replace(/[^\x20-\x7e]|["\\]/g, '_')}"`);
+    return res.send(file.buffer);
+  }
+
+  // Export a bulk job's results by id: { jobId, format }, format one of xlsx,
+  // csv, json, markdown or annotated
+  app.post('/api/bulk-export', async (req, res) => {
+    try {
+      const { jobId, format = 'xlsx' } = req.body || {};
+      await sendBulkExport(res, jobId, format);
+    } catch (error) {
+      if (error instanceof bulkExport.BulkExportError) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      console.error('[POST /api/bulk-export] Error:', error);
+      res.status(500).json({ error: error.message || 'Export failed' });
+    }
+  });
+
+  // Same export as a plain link: /api/bulk-export/:format?jobId=
+  app.get('/api/bulk-export/:format', async (req, res) => {
+    try {
+      await sendBulkExport(res, req.query.jobId, req.params.format);
+    } catch (error) {
+      if (error instanceof bulkExport.BulkExportError) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      console.error('[GET /api/bulk-export] Error:', error);
+      res.status(500).json({ error: error.message || 'Export failed' });
+    }
+  });
+
+  // Helper: the parts of a compare request, baseline first. Accepts
+  // { parts: [...], baseline } or the two-part { partA, partB }.
+  function compareParts(body) {
+    const { partA, partB, baseline } = body || {};
+    const requested = Array.isArray(body && body.parts) ? body.parts : [partA, partB];
+    const parts = requested.map(part => String(part || '').trim()).filter(Boolean);
+
+    if (parts.length < 2) {
+      return { error: 'At least two parts are required' };
+    }
+    if (parts.length > COMPARE_MAX_PARTS) {
+      return { error: `At most ${COMPARE_MAX_PARTS} parts can be compared at once` };
+    }
+    const keys = parts.map(lookupCache.normalizeKey);
+    if (new Set(keys).size !== keys.length) {
+      return { error: 'Each part can only be compared once' };
+    }
+    if (baseline) {
+      const index = keys.indexOf(lookupCache.normalizeKey(baseline));
+      if (index === -1) {
+        return { error: 'The baseline must be one of the compared parts' };
+      }
+      parts.unshift(...parts.splice(index, 1));
+    }
+    return { parts };
+  }
+
+  // Compare API: every part against the baseline (the first part)
+  app.post('/api/compare', async (req, res) => {
+    let stream = null;
+    try {
+      const configError = llm.configurationError('compare');
+      if (configError) {
+        return res.status(500).json({ error: configError });
+      }
+
+      const { bypassCache = false } = req.body || {};
+      const { parts, error: partsError } = compareParts(req.body);
+      if (partsError) {
+        return res.status(400).json({ error: partsError });
+      }
+      const [baseline, ...candidates] = parts;
+      const partsKey = parts.join('|');
+
+      const uploads = await datasheetStore.revision(...parts);
+      const llmKey = `compare:${partsKey}@${llm.modelId('compare')}${uploads}`;
+      if (wantsEventStream(req)) {
+        stream = openEventStream(res, {
+          canAbort: () => lookupCache.joinedCount('llm', llmKey, { bypass: bypassCache }) === 0
+        });
+      }
+      const progress = stage => stream && stream.send('status', { stage });
+      progress('datasheets');
+
+      // Datasheets of every part, found through web search (graceful
+      // fallback); each part's downloads start as soon as its search is done
+      const perPart = await Promise.all(parts.map(async partNumber => {
+        let results = [];
+        try {
+          results = await searchPart(partNumber, { bypassCache });
+        } catch (e) {
+          console.warn(`[POST /api/compare] Web search failed for ${partNumber}, continuing without datasheets:`, e.message);
+        }
+        return { search: { partNumber, results }, datasheets: await datasheetsForPart(partNumber, results, { bypassCache }) };
+      }));
+      const searchResults = perPart.map(p => p.search);
+      const datasheets = perPart.flatMap(p => p.datasheets);
+
+      const userPrompt = comparePrompt(parts, summarizeDatasheets(datasheets), await knownParameters(...parts));
+      progress('llm');
+
+      let streamed = false;
+      const markdownContent = await lookupCache.wrap('llm', llmKey, async () => {
+        const request = {
+          messages: [
+            { role: 'system', content: COMPARE_SYSTEM_PROMPT },
+            { role: 'user', content: userPrompt }
+          ],
+          maxTokens: 16384,
+          temperature: 0.2
+        };
+        if (!stream) {
+          const { content } = await llm.chatCompletion('compare', request);
+          return content;
+        }
+        streamed = true;
+        const { content } = await llm.streamChatCompletion('compare', request, text => stream.send('delta', { text }), stream.signal);
+        return content;
+      }, { bypass: bypassCache });
+      if (stream && !streamed) stream.send('delta', { text: markdownContent });
+
+      // Convert markdown to HTML (raw HTML and unsafe links neutralized)
+      const htmlContent = renderComparison(markdownContent);
+
+      progress('extraction');
+      // Pin-by-pin pinouts with computed mismatches (graceful fallback), and
+      // the parameters of every part for the parts database, side by side
+      async function comparePinouts() {
+        try {
+          const result = await lookupCache.wrap('llm', `pinouts:${partsKey}@${llm.modelId('extraction')}${uploads}`, () => extractPinouts(markdownContent, parts), { bypass: bypassCache });
+          console.log('[POST /api/compare] Pin mismatches against the baseline:', result.comparisons.map(c => `${c.partNumber}: ${c.mismatches.length}`));
+          return result;
+        } catch (e) {
+          console.warn('Pinout extraction failed, returning the report only:', e.message);
+          return null;
+        }
+      }
+      const [pinouts, recordedParts] = await Promise.all([
+        comparePinouts(),
+        recordPartParameters(markdownContent, parts, {
+          analysis: 'compare',
+          subject: parts.join(' vs '),
+          model: llm.modelId('compare')
+        }, { cacheKey: `parameters:compare:${partsKey}@${llm.modelId('extraction')}${uploads}`, bypassCache })
+      ]);
+
+      // Rule-based drop-in score of every candidate for the baseline, from the
+      // structured data; the report is commentary
+      const [recordA, ...candidateRecords] = await Promise.all(parts.map(partsDb.get));
+      const compatibility = candidates.map((partB, i) => scoreCompatibility({
+        partA: baseline,
+        partB,
+        recordA,
+        recordB: candidateRecords[i],
+        pinouts: pinouts && { partA: pinouts.parts[0], partB: pinouts.parts[i + 1], ...pinouts.comparisons[i] }
+      }));
+      console.log('[POST /api/compare] Compatibility with the baseline:', compatibility.map(c => `${c.replacement}: ${c.score}`));
+
+      const payload = {
+        html: htmlContent,
+        raw: markdownContent,
+        model: llm.modelId('compare'),
+        parts,
+        baseline,
+        searchResults,
+        datasheets: describeDatasheets(datasheets),
+        pinouts,
+        compatibility,
+        recordedParts,
+        createdAt: new Date().toISOString()
+      };
+      Object.assign(payload, await saveAnalysis('compare', parts.join(' vs '), payload));
+      if (stream) {
+        stream.send('done', payload);
+        return stream.close();
+      }
+      return res.json(payload);
+    } catch (error) {
+      if (stream) {
+        stream.send('error', { error: error.message || 'Server error' });
+        return stream.close();
+      }
+      return res.status(error.status || 500).json({ error: error.message || 'Server error' });
+    }
+  });
+
+  // A saved analysis, for its permalink
+  app.get('/api/analyses/:id', requireSavedAnalyses, async (req, res) => {
+    try {
+      const analysis = await analyses.get(req.params.id);
+      if (!analysis) {
+        return res.status(404).json({ error: 'Analysis not found' });
+      }
+      // The HTML is rendered again from the markdown, so analyses saved
+      // before raw HTML was escaped are shown safely too
+      const { result } = analysis;
+      if (result && typeof result.raw === 'string') {
+        if (analysis.type === 'alternatives') result.alternatives = renderMarkdown(result.raw);
+        if (analysis.type === 'compare') result.html = renderComparison(result.raw);
+      }
+      res.json(analysis);
+    } catch (error) {
+      console.error('[GET /api/analyses/:id] Error:', error);
+      res.status(500).json({ error: error.message || 'Failed to read analysis' });
+    }
+  });
+
+  // Error handling middleware
+  app.use((error, req, res, next) => {
+    console.error('Error:', error);
+
+    if (error.code === 'LIMIT_FILE_SIZE') {
+      const maxBytes = req.path.startsWith('/api/datasheets/') ? datasheetConfig().maxBytes : 5 * 1024 * 1024;
+      return res.status(400).json({ 
+        error: `File too large. Maximum size is ${Math.round(maxBytes / (1024 * 1024))}MB.` 
+      });
+    }
+
+    if (error.code === 'LIMIT_FILE_COUNT') {
+      return res.status(400).json({ 
+        error: 'Too many files in one upload.' 
+      });
+    }
+
+    if (error instanceof DatasheetError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+
+    if (error.code === 'LIMIT_UNEXPECTED_FILE') {
+      return res.status(400).json({ 
+        error: 'Unexpected file field.' 
+      });
+    }
+
+    res.status(500).json({ 
+      error: 'Internal server error',
+      message: process.env.NODE_ENV === 'production' ? 'Something went wrong' : error.message
+    });
+  });
+
+  // 404 handler
+  app.use((req, res) => {
+    res.status(404).json({ 
+      error: 'Not found',
+      message: 'The requested resource was not found'
+    });
+  });
+
+  return { app, browserPool };
+}
+
+module.exports = { createApp };
@@ -0,0 +1,223 @@
+const XLSX = require('xlsx');
+
+// BOM import for bulk processing. Any sheet of an uploaded workbook can be
+// used; its header row and the columns holding the part number and the other
+// BOM fields are detected from the header names, and can be overridden with
+// an explicit mapping (column letters, e.g. { partNumber: 'B', quantity: 'D' }).
+// Rows become line items that carry their BOM fields through processing and
+// export.
+const BOM_FIELDS = [
+  { key: 'partNumber', label: 'Part Number' },
+  { key: 'manufacturer', label: 'Manufacturer' },
+  { key: 'quantity', label: 'Quantity' },
+  { key: 'refDes', label: 'RefDes' },
+  { key: 'description', label: 'Description' }
+];
+
+// Header rows are looked for among the first rows of a sheet
+const HEADER_SCAN_ROWS = 20;
+
+// Normalized header names per field (see headerKey)
+const HEADER_NAMES = {
+  partNumber: ['mpn', 'part number', 'part no', 'part num', 'part', 'pn', 'p n', 'mfr part number', 'mfg part number', 'manufacturer part number', 'mfr part no', 'mfg part no', 'manufacturer part no', 'mfr pn', 'mfg pn', 'manufacturer pn', 'component'],
+  manufacturer: ['manufacturer', 'manufacturer name', 'mfr', 'mfr name', 'mfg', 'mfg name', 'vendor', 'brand', 'make'],
+  quantity: ['quantity', 'qty', 'qty per board', 'qty per assembly', 'count'],
+  refDes: ['refdes', 'ref des', 'ref', 'reference', 'references', 'reference designator', 'reference designators', 'designator', 'designators'],
+  description: ['description', 'desc', 'part description', 'comment', 'details']
+};
+
+class BomError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'BomError';
+    this.status = status;
+  }
+}
+
+// Helper: header text compared without case or punctuation ("Part #" = "part no")
+function headerKey(value) {
+  return String(value).toLowerCase().replace(/#/g, ' no ').replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+// The BOM field a header names, or null. Exact names first, then the usual
+// wording inside longer headers ("Manufacturer Part Number (MPN)").
+function headerField(value) {
+  if (value === null || value === undefined) return null;
+  const key = headerKey(value);
+  if (!key) return null;
+  const exact = Object.keys(HEADER_NAMES).find(field => HEADER_NAMES[field].includes(key));
+  if (exact) return exact;
+  if (/\bmpn\b|\bpart (number|no|num)\b/.test(key)) return 'partNumber';
+  if (/\b(manufacturer|mfr|mfg)\b/.test(key)) return 'manufacturer';
+  if (/\b(qty|quantity)\b/.test(key)) return 'quantity';
+  if (/\b(designators?|refdes)\b/.test(key)) return 'refDes';
+  if (/\bdescription\b/.test(key)) return 'description';
+  return null;
+}
+
+function cellText(value) {
+  if (value === null || value === undefined) return '';
+  return String(value).trim();
+}
+
+// Helper: the fields named by one row, first column per field
+function rowMapping(row) {
+  const mapping = {};
+  row.forEach((cell, index) => {
+    const field = headerField(cell);
+    if (field && !(field in mapping)) mapping[field] = index;
+  });
+  return mapping;
+}
+
+// Helper: the field columns a header row names. Without a header the part
+// number is in the first column; a header naming other fields but no part
+// number column gets the first column it leaves unnamed.
+function headerMapping(rows, headerRow) {
+  if (headerRow === null) return { partNumber: 0 };
+  const mapping = rowMapping(rows[headerRow] || []);
+  if (!('partNumber' in mapping)) {
+    const used = new Set(Object.values(mapping));
+    mapping.partNumber = Array.from({ length: (rows[headerRow] || []).length }, (_, i) => i).find(i => !used.has(i)) || 0;
+  }
+  return mapping;
+}
+
+// Find the header row and the field columns of a sheet's rows. The header is
+// the first row naming the part number column, or failing that the first
+// naming at least two BOM fields; without one every row is data.
+function detectColumns(rows) {
+  const scanned = rows.slice(0, HEADER_SCAN_ROWS).map(row => rowMapping(row || []));
+  let headerRow = scanned.findIndex(mapping => 'partNumber' in mapping);
+  if (headerRow === -1) headerRow = scanned.findIndex(mapping => Object.keys(mapping).length >= 2);
+  if (headerRow === -1) headerRow = null;
+  return { headerRow, mapping: headerMapping(rows, headerRow) };
+}
+
+// Line items from the rows below the header. Numbers are kept as text (a part
+// number like 74123 is a part number); rows without a part number are skipped.
+// `row` is the 1-based row in the sheet, for reference back to the file.
+function extractItems(rows, { headerRow, mapping }) {
+  const start = headerRow === null ? 0 : headerRow + 1;
+  const items = [];
+  for (let r = start; r < rows.length; r++) {
+    const row = rows[r] || [];
+    const partNumber = cellText(row[mapping.partNumber]);
+    if (!partNumber) continue;
+
+    const item = { partNumber, row: r + 1 };
+    BOM_FIELDS.slice(1).forEach(({ key }) => {
+      const text = key in mapping ? cellText(row[mapping[key]]) : '';
+      item[key] = text || null;
+    });
+    if (item.quantity !== null && /^\d+(\.\d+)?$/.test(item.quantity)) {
+      item.quantity = Number(item.quantity);
+    }
+    items.push(item);
+  }
+  return items;
+}
+
+// Helper: a sheet as rows of formatted cell text, so numbers read as shown
+function sheetRows(worksheet) {
+  return XLSX.utils.sheet_to_json(worksheet, { header: 1, raw: false, defval: null, blankrows: true });
+}
+
+function describeColumns(rows, headerRow) {
+  const width = rows.reduce((max, row) => Math.max(max, row.length), 0);
+  return Array.from({ length: width }, (_, index) => ({
+    letter: XLSX.utils.encode_col(index),
+    header: headerRow === null ? null : (cellText((rows[headerRow] || [])[index]) || null)
+  }));
+}
+
+// Helper: { field: 'B' } from an API mapping to { field: 1 }, checked against
+// the sheet's columns
+function parseMapping(mapping, width) {
+  if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+    throw new BomError('mapping must be an object of BOM fields to column letters');
+  }
+  const parsed = {};
+  Object.entries(mapping).forEach(([field, column]) => {
+    if (!BOM_FIELDS.some(f => f.key === field)) {
+      throw new BomError(`Unknown BOM field "${field}"`);
+    }
+    if (column === null || column === '') return;
+    const letter = String(column).trim().toUpperCase();
+    const index = /^[A-Z]{1,3}$/.test(letter) ? XLSX.utils.decode_col(letter) : -1;
+    if (index < 0 || index >= width) {
+      throw new BomError(`Column "${column}" for ${field} is not in the sheet`);
+    }
+    parsed[field] = index;
+  });
+  if (!('partNumber' in parsed)) {
+    throw new BomError('mapping must name the part number column');
+  }
+  return parsed;
+}
+
+// Read an uploaded BOM. `sheet` picks the sheet (default the first with data);
+// `headerRow` (1-based, 0 for none) and `mapping` override what is detected.
+// Returns the sheets to choose from, the columns and mapping used, and the
+// line items.
+function readBom(buffer, { sheet, headerRow, mapping } = {}) {
+  const workbook = XLSX.read(buffer, { type: 'buffer' });
+  const sheets = workbook.SheetNames.map(name => ({ name, rows: sheetRows(workbook.Sheets[name]) }));
+
+  let selected;
+  if (sheet) {
+    selected = sheets.find(s => s.name === sheet);
+    if (!selected) throw new BomError(`Sheet "${sheet}" not found in the file`);
+  } else {
+    selected = sheets.find(s => s.rows.some(row => row.some(cell => cellText(cell)))) || sheets[0];
+  }
+  if (!selected) throw new BomError('The file has no sheets');
+
+  let { headerRow: header, mapping: fieldColumns } = detectColumns(selected.rows);
+  if (headerRow !== undefined && headerRow !== null && headerRow !== '') {
+    const row = Number(headerRow);
+    if (!Number.isInteger(row) || row < 0 || row > selected.rows.length) {
+      throw new BomError(`headerRow must be a row of the sheet (1-${selected.rows.length}), or 0 for none`);
+    }
+    header = row === 0 ? null : row - 1;
+    fieldColumns = headerMapping(selected.rows, header);
+  }
+  const columns = describeColumns(selected.rows, header);
+  if (mapping) fieldColumns = parseMapping(mapping, columns.length);
+
+  return {
+    sheets: sheets.map(s => ({ name: s.name, rows: s.rows.length })),
+    sheet: selected.name,
+    headerRow: header === null ? 0 : header + 1,
+    columns,
+    mapping: Object.fromEntries(Object.entries(fieldColumns).map(([field, index]) => [field, XLSX.utils.encode_col(index)])),
+    items: extractItems(selected.rows, { headerRow: header, mapping: fieldColumns })
+  };
+}
+
+// Line items as sent back by the client for processing: a part number plus
+// the BOM fields, anything else dropped
+function normalizeItems(items) {
+  return items.map((item, i) => {
+    const source = typeof item === 'object' && item !== null ? item : { partNumber: item };
+    const partNumber = cellText(source.partNumber);
+    if (!partNumber) throw new BomError(`Item ${i + 1} has no part number`);
+    const normalized = { partNumber };
+    BOM_FIELDS.slice(1).forEach(({ key }) => {
+      const value = source[key];
+      normalized[key] = value === null || value === undefined || value === '' ? null : (typeof value === 'number' ? value : String(value));
+    });
+    if (Number.isInteger(source.row)) normalized.row = source.row;
+    return normalized;
+  });
+}
+
+module.exports = {
+  BOM_FIELDS,
+  BomError,
+  headerField,
+  detectColumns,
+  extractItems,
+  readBom,
+  normalizeItems
+};
@@ -0,0 +1,197 @@
+const path = require('path');
+const XLSX = require('xlsx');
+const { sanitizeCell } = require('./bulkExport');
+
+// Write-back export: the customer's own BOM file with the bulk results
+// appended as new columns to each original row, right of the last used
+// column. For .xlsx/.xlsm the sheet XML is edited inside the original zip, so
+// every other part of the workbook (other sheets, styles, widths, merged
+// cells, formulas, row order) stays byte for byte as uploaded. Other formats
+// (.xls, .csv) cannot be edited in place and are rewritten through SheetJS in
+// the same format, which keeps the values but not cell formatting.
+const ANNOTATION_HEADERS = [
+  'Cross-Reference',
+  'Match Type',
+  ...[1, 2, 3].flatMap(n => [`AI Alternative ${n}`, `AI Alternative ${n} Manufacturer`, `AI Alternative ${n} Description`]),
+  'Status'
+];
+
+const CONTENT_TYPES = {
+  '.xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  '.xlsm': 'application/vnd.ms-excel.sheet.macroEnabled.12',
+  '.xls': 'application/vnd.ms-excel',
+  '.csv': 'text/csv'
+};
+
+// The appended cells for one bulk result, in ANNOTATION_HEADERS order
+function annotationValues(result) {
+  // Older results only carry the first TI match
+  const crossReferences = result.crossReferences || (result.tiAlternatives || []).map(alt => ({ ...alt, sourceLabel: 'TI' }));
+  const ai = result.aiAlternatives || [];
+  return [
+    crossReferences.map(x => `${x.partNumber} (${x.sourceLabel})`).join('\n'),
+    crossReferences.map(x => x.matchType || 'Cross-Reference Match').join('\n'),
+    ...[0, 1, 2].flatMap(i => (ai[i] ? [ai[i].partNumber, ai[i].manufacturer || '', ai[i].description || ''] : ['', '', ''])),
+    result.status === 'success' ? 'Success' : `Error${result.error ? `: ${result.error}` : ''}`
+  ];
+}
+
+// Helper: sheet row number (1-based) to appended values: the headers on the
+// header row, each result on the row its BOM line came from
+function annotationRows(results, headerRow) {
+  const rows = new Map();
+  if (headerRow > 0) rows.set(headerRow, ANNOTATION_HEADERS);
+  results.forEach(result => {
+    if (result.bom && Number.isInteger(result.bom.row)) rows.set(result.bom.row, annotationValues(result));
+  });
+  return rows;
+}
+
+function escapeXml(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+function decodeXml(text) {
+  return text.replace(/&quot;/g, '"').replace(/&apos;/g, "'").replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&amp;/g, '&');
+}
+
+// Helper: first column right of every used cell in a sheet's XML
+function nextFreeColumn(xml) {
+  let max = -1;
+  const refs = /<c\b[^>]*?\br="([A-Z]+)\d+"/g;
+  let match;
+  while ((match = refs.exec(xml))) {
+    max = Math.max(max, XLSX.utils.decode_col(match[1]));
+  }
+  const dimension = xml.match(/<dimension\b[^>]*?\bref="([^"]+)"/);
+  if (dimension) {
+    max = Math.max(max, XLSX.utils.decode_range(dimension[1]).e.c);
+  }
+  return max + 1;
+}
+
+// Append inline-string cells to the rows of a worksheet's XML. Rows the sheet
+// does not have yet are inserted in order; the dimension is widened.
+function annotateSheetXml(xml, rows, startCol) {
+  const width = ANNOTATION_HEADERS.length;
+  const cells = (rowNumber, values) => values
+    .map((value, i) => (value === '' || value === null || value === undefined
+      ? ''
+      : `<c r="${XLSX.utils.encode_col(startCol + i)}${rowNumber}" t="inlineStr"><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`))
+    .join('');
+  const newRow = (rowNumber) => `<row r="${rowNumber}">${cells(rowNumber, rows.get(rowNumber))}</row>`;
+
+  const pending = [...rows.keys()].sort((a, b) => a - b);
+  let previous = 0;
+  let annotated = xml.replace(/<row\b([^>]*?)(?:\/>|>([\s\S]*?)<\/row>)/g, (match, attrs, body = '') => {
+    const r = attrs.match(/\br="(\d+)"/);
+    const rowNumber = r ? Number(r[1]) : previous + 1;
+    previous = rowNumber;
+
+    let inserted = '';
+    while (pending.length && pending[0] < rowNumber) inserted += newRow(pending.shift());
+    if (pending[0] !== rowNumber) return inserted + match;
+    pending.shift();
+    // `spans` is an optional hint of the row's columns, stale once cells are added
+    return `${inserted}<row${attrs.replace(/\s+spans="[^"]*"/, '')}>${body}${cells(rowNumber, rows.get(rowNumber))}</row>`;
+  });
+
+  const remaining = pending.map(newRow).join('');
+  annotated = /<sheetData\s*\/>/.test(annotated)
+    ? annotated.replace(/<sheetData\s*\/>/, `<sheetData>${remaining}</sheetData>`)
+    : annotated.replace('</sheetData>', `${remaining}</sheetData>`);
+
+  const lastRow = Math.max(0, ...rows.keys());
+  return annotated.replace(/(<dimension\b[^>]*?\bref=")([^"]+)(")/, (match, open, ref, close) => {
+    const range = XLSX.utils.decode_range(ref);
+    range.e.c = Math.max(range.e.c, startCol + width - 1);
+    range.e.r = Math.max(range.e.r, lastRow - 1);
+    return `${open}${XLSX.utils.encode_range(range)}${close}`;
+  });
+}
+
+// Helper: the zip path of a sheet, from workbook.xml and its relationships
+function sheetPath(zip, sheet) {
+  const read = (name) => {
+    const entry = XLSX.CFB.find(zip, name);
+    return entry ? Buffer.from(entry.content).toString('utf8') : null;
+  };
+  const workbook = read('/xl/workbook.xml');
+  const rels = read('/xl/_rels/workbook.xml.rels');
+  if (!workbook || !rels) return null;
+
+  const sheets = [...workbook.matchAll(/<sheet\b[^>]*?>/g)].map(([tag]) => ({
+    name: decodeXml((tag.match(/\bname="([^"]*)"/) || [])[1] || ''),
+    relId: (tag.match(/\br:id="([^"]*)"/) || [])[1]
+  }));
+  const target = sheets.find(s => s.name === sheet);
+  if (!target) return null;
+  const rel = [...rels.matchAll(/<Relationship\b[^>]*?>/g)]
+    .map(([tag]) => tag)
+    .find(tag => (tag.match(/\bId="([^"]*)"/) || [])[1] === target.relId);
+  const file = rel && (rel.match(/\bTarget="([^"]*)"/) || [])[1];
+  if (!file) return null;
+  return file.startsWith('/') ? file : `/xl/${file}`;
+}
+
+function writeBackXlsx(buffer, sheet, rows) {
+  let zip;
+  try {
+    zip = XLSX.CFB.read(buffer, { type: 'buffer' });
+  } catch (e) {
+    return null;
+  }
+  const file = sheetPath(zip, sheet);
+  const entry = file && XLSX.CFB.find(zip, file);
+  if (!entry) return null;
+
+  const xml = Buffer.from(entry.content).toString('utf8');
+  entry.content = Buffer.from(annotateSheetXml(xml, rows, nextFreeColumn(xml)), 'utf8');
+  entry.size = entry.content.length;
+  return Buffer.from(XLSX.CFB.write(zip, { type: 'buffer', fileType: 'zip', compression: true }));
+}
+
+function writeBackSheetJs(buffer, sheet, rows, extension) {
+  // raw keeps text formats (CSV) as typed: "007" stays "007"
+  const workbook = XLSX.read(buffer, { type: 'buffer', raw: true });
+  const worksheet = workbook.Sheets[sheet];
+  if (!worksheet) return null;
+  const startCol = worksheet['!ref'] ? XLSX.utils.decode_range(worksheet['!ref']).e.c + 1 : 0;
+  const bookType = { '.csv': 'csv', '.xls': 'biff8' }[extension] || 'xlsx';
+  // Only CSV text can turn into a formula; workbook string cells stay text
+  rows.forEach((values, rowNumber) => {
+    XLSX.utils.sheet_add_aoa(worksheet, [bookType === 'csv' ? values.map(sanitizeCell) : values], { origin: { r: rowNumber - 1, c: startCol } });
+  });
+  return XLSX.write(workbook, { type: 'buffer', bookType, sheet });
+}
+
+// The uploaded file with the results written back. `source` is what the job
+// kept of the upload: { buffer, fileName, sheet, headerRow }. Returns
+// { buffer, fileName, contentType }, or null when the sheet is not found.
+function writeBack(source, results) {
+  const rows = annotationRows(results, source.headerRow);
+  const extension = path.extname(source.fileName || '').toLowerCase();
+  const zipped = extension === '.xlsx' || extension === '.xlsm' || !(extension in CONTENT_TYPES);
+
+  let buffer = zipped ? writeBackXlsx(source.buffer, source.sheet, rows) : null;
+  let outputExtension = zipped ? (extension === '.xlsm' ? '.xlsm' : '.xlsx') : extension;
+  if (!buffer) {
+    buffer = writeBackSheetJs(source.buffer, source.sheet, rows, extension);
+    outputExtension = extension === '.csv' || extension === '.xls' ? extension : '.xlsx';
+  }
+  if (!buffer) return null;
+
+  const baseName = path.basename(source.fileName || 'bom', extension) || 'bom';
+  return {
+    buffer,
+    fileName: `${baseName}-annotated${outputExtension}`,
+    contentType: CONTENT_TYPES[outputExtension]
+  };
+}
+
+module.exports = {
+  ANNOTATION_HEADERS,
+  annotationValues,
+  annotateSheetXml,
+  writeBack
+};
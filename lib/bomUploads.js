@@ -0,0 +1,34 @@
+const crypto = require('crypto');
+
+// Uploaded BOM files, held between /api/bulk-upload and /api/bulk-process so a
+// bulk job can write its results back into the original workbook. Keyed by
+// content, so reading the same file again with another mapping reuses it.
+const UPLOAD_TTL_MS = 60 * 60 * 1000; // Kept for an hour after last use
+const uploads = new Map();
+
+function pruneUploads() {
+  const now = Date.now();
+  for (const [id, upload] of uploads) {
+    if (now - upload.usedAt > UPLOAD_TTL_MS) {
+      uploads.delete(id);
+    }
+  }
+}
+
+function saveUpload(buffer, fileName) {
+  pruneUploads();
+  const id = crypto.createHash('sha256').update(buffer).digest('hex').slice(0, 32);
+  uploads.set(id, { id, buffer, fileName, usedAt: Date.now() });
+  return id;
+}
+
+function getUpload(id) {
+  const upload = uploads.get(id) || null;
+  if (upload) upload.usedAt = Date.now();
+  return upload;
+}
+
+module.exports = {
+  saveUpload,
+  getUpload
+};
@@ -0,0 +1,203 @@
+// Shared headless browser for scraping. Launching Chromium per lookup was the
+// slowest step of every TI cross-reference search, so the pool keeps one
+// browser alive, hands out reusable pages up to a concurrency cap, and
+// relaunches the browser when it crashes or has served too many pages.
+const fs = require('fs');
+
+const DEFAULT_USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36';
+
+// puppeteer-core does not download a browser: use CHROME_BIN, or a system
+// install in one of the usual places.
+const CHROME_PATHS = [
+  '/usr/bin/google-chrome-stable',
+  '/usr/bin/google-chrome',
+  '/usr/bin/chromium',
+  '/usr/bin/chromium-browser',
+  '/Applications/Google Chrome.app/Contents/MacOS/Google Chrome'
+];
+
+function findChrome() {
+  if (process.env.CHROME_BIN) return process.env.CHROME_BIN;
+  return CHROME_PATHS.find(p => fs.existsSync(p)) || null;
+}
+
+function createBrowserPool({
+  puppeteer,
+  launchOptions = {},
+  maxPages = 2,
+  maxUsesPerBrowser = 200,
+  idlePageTimeout = 5 * 60 * 1000,
+  healthCheckInterval = 60 * 1000,
+  userAgent = DEFAULT_USER_AGENT
+}) {
+  let browser = null;
+  let launching = null;
+  let uses = 0;
+  let activePages = 0;
+  let closed = false;
+  const idlePages = []; // { page, idleSince }
+  const waiters = [];
+
+  function onDisconnected(disconnectedBrowser) {
+    if (browser !== disconnectedBrowser) return;
+    console.warn('[browserPool] Browser disconnected, will relaunch on next request');
+    browser = null;
+    idlePages.length = 0;
+  }
+
+  async function launch() {
+    console.log('[browserPool] Launching browser');
+    const instance = await puppeteer.launch({ headless: true, ...launchOptions });
+    instance.on('disconnected', () => onDisconnected(instance));
+    uses = 0;
+    return instance;
+  }
+
+  async function getBrowser() {
+    if (browser && browser.isConnected()) return browser;
+    if (!launching) {
+      launching = launch()
+        .then(instance => {
+          browser = instance;
+          return instance;
+        })
+        .finally(() => {
+          launching = null;
+        });
+    }
+    return launching;
+  }
+
+  // Close the current browser once no pages are checked out; new requests
+  // get a fresh instance.
+  async function recycle(reason) {
+    const old = browser;
+    if (!old) return;
+    console.log(`[browserPool] Recycling browser: ${reason}`);
+    browser = null;
+    idlePages.length = 0;
+    try {
+      await old.close();
+    } catch (error) {
+      console.warn('[browserPool] Error closing browser:', error.message);
+    }
+  }
+
+  async function acquireSlot() {
+    if (activePages < maxPages) {
+      activePages++;
+      return;
+    }
+    await new Promise(resolve => waiters.push(resolve));
+  }
+
+  function releaseSlot() {
+    const next = waiters.shift();
+    if (next) {
+      next(); // Hand the slot straight to the next waiter
+    } else {
+      activePages--;
+    }
+  }
+
+  async function acquirePage() {
+    const instance = await getBrowser();
+    while (idlePages.length) {
+      const { page } = idlePages.pop();
+      if (!page.isClosed() && page.browser() === instance) return page;
+    }
+    const page = await instance.newPage();
+    await page.setUserAgent(userAgent);
+    return page;
+  }
+
+  async function releasePage(page, healthy) {
+    uses++;
+    if (!healthy || page.isClosed() || !browser || page.browser() !== browser) {
+      await page.close().catch(() => {});
+    } else {
+      try {
+        await page.goto('about:blank');
+        idlePages.push({ page, idleSince: Date.now() });
+      } catch (error) {
+        await page.close().catch(() => {});
+      }
+    }
+
+    if (uses >= maxUsesPerBrowser && activePages <= 1) {
+      await recycle(`served ${uses} pages`);
+    }
+  }
+
+  // Run fn with a pooled page. A page that throws is discarded rather than
+  // reused, since its state is unknown.
+  async function withPage(fn) {
+    if (closed) throw new Error('Browser pool is closed');
+    await acquireSlot();
+    let page;
+    let healthy = true;
+    try {
+      page = await acquirePage();
+      return await fn(page);
+    } catch (error) {
+      healthy = false;
+      throw error;
+    } finally {
+      if (page) await releasePage(page, healthy);
+      releaseSlot();
+    }
+  }
+
+  async function healthCheck() {
+    const now = Date.now();
+    for (let i = idlePages.length - 1; i >= 0; i--) {
+      const { page, idleSince } = idlePages[i];
+      if (page.isClosed() || now - idleSince > idlePageTimeout) {
+        idlePages.splice(i, 1);
+        await page.close().catch(() => {});
+      }
+    }
+
+    if (!browser) return;
+    try {
+      await Promise.race([
+        browser.version(),
+        new Promise((_, reject) => setTimeout(() => reject(new Error('timed out')), 5000))
+      ]);
+    } catch (error) {
+      await recycle(`health check failed (${error.message})`);
+      return;
+    }
+
+    // Nothing in use and nothing idle: let the browser go until needed again
+    if (activePages === 0 && idlePages.length === 0) {
+      await recycle('idle');
+    }
+  }
+
+  const timer = setInterval(() => {
+    healthCheck().catch(error => console.warn('[browserPool] Health check error:', error.message));
+  }, healthCheckInterval);
+  if (timer.unref) timer.unref();
+
+  async function close() {
+    closed = true;
+    clearInterval(timer);
+    await recycle('pool closed');
+  }
+
+  function stats() {
+    return {
+      connected: Boolean(browser && browser.isConnected()),
+      activePages,
+      idlePages: idlePages.length,
+      waiting: waiters.length,
+      maxPages,
+      uses
+    };
+  }
+
+  return { withPage, healthCheck, close, stats };
+}
+
+module.exports = { findChrome, createBrowserPool };
@@ -0,0 +1,194 @@
+const XLSX = require('xlsx');
+const bom = require('./bom');
+
+// Bulk results as downloadable files: xlsx, CSV, JSON and Markdown. Every
+// format is built from the results held on the server (bulkJobs or
+// bulkResults), never from data sent by the client. CSV and Markdown carry
+// the summary table; the xlsx report adds a sheet per kind of detail.
+//
+// CSV cells are protected against formula injection: AI-generated or scraped
+// text starting with =, +, -, @, tab or carriage return would run as a formula
+// when the file is opened in a spreadsheet, so in CSV such text gets a leading
+// apostrophe. xlsx cells are written as string cells, which are never
+// evaluated, so they keep the text as is ("+5V", "-40°C").
+const FORMATS = {
+  xlsx: { extension: 'xlsx', contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' },
+  csv: { extension: 'csv', contentType: 'text/csv; charset=utf-8' },
+  json: { extension: 'json', contentType: 'application/json; charset=utf-8' },
+  markdown: { extension: 'md', contentType: 'text/markdown; charset=utf-8' }
+};
+
+// Older names of the formats
+const FORMAT_ALIASES = { excel: 'xlsx', md: 'markdown' };
+
+class BulkExportError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'BulkExportError';
+    this.status = status;
+  }
+}
+
+function resolveFormat(format) {
+  const key = String(format || '').toLowerCase();
+  const resolved = FORMAT_ALIASES[key] || key;
+  if (!FORMATS[resolved]) {
+    throw new BulkExportError(`Unsupported format "${format}". Use one of: ${Object.keys(FORMATS).join(', ')}`);
+  }
+  return resolved;
+}
+
+// Text that a spreadsheet would read as a formula in a CSV file, made literal
+function sanitizeCell(value) {
+  if (typeof value !== 'string') return value;
+  return /^[=+\-@\t\r]/.test(value) ? `'${value}` : value;
+}
+
+// Helper: cross-references of a result; older results only carry the first TI match
+function crossReferencesOf(result) {
+  return result.crossReferences || (result.tiAlternatives || []).map(alt => ({ ...alt, sourceLabel: 'TI' }));
+}
+
+// One row per BOM line: the original part, its BOM fields (those any line
+// has), cross-references, AI alternatives and status. Multiple values in a
+// cell are separated by newlines.
+function resultTable(results) {
+  const bomFields = bom.BOM_FIELDS.slice(1).filter(({ key }) => results.some(r => r.bom && r.bom[key] !== null && r.bom[key] !== undefined));
+  const headers = ['Original Part', ...bomFields.map(f => f.label), 'Cross-References', 'Match Type', 'AI Alternative 1', 'AI Alternative 2', 'AI Alternative 3', 'Status'];
+
+  const rows = results.map(result => {
+    const crossReferences = crossReferencesOf(result);
+    const ai = result.aiAlternatives || [];
+    return [
+      result.originalPart,
+      ...bomFields.map(({ key }) => (result.bom && result.bom[key] !== null && result.bom[key] !== undefined ? result.bom[key] : '')),
+      crossReferences.length > 0 ? crossReferences.map(x => `${x.partNumber} (${x.sourceLabel})`).join('\n') : 'N/A',
+      crossReferences.length > 0 ? crossReferences.map(x => x.matchType || 'Cross-Reference Match').join('\n') : 'N/A',
+      ...[0, 1, 2].map(i => (ai[i] ? ai[i].partNumber : 'N/A')),
+      result.status === 'success' ? 'success' : `error${result.error ? `: ${result.error}` : ''}`
+    ];
+  });
+  return { headers, rows };
+}
+
+// Helper: one row per cross-reference, AI alternative, search result or
+// problem, each under its original part
+function detailTables(results) {
+  const crossReferences = results.flatMap(result => crossReferencesOf(result).map(x => [
+    result.originalPart, x.sourceLabel || x.source || '', x.partNumber, x.manufacturer || '', x.matchType || 'Cross-Reference Match', x.title || '', x.href || ''
+  ]));
+  const aiAlternatives = results.flatMap(result => (result.aiAlternatives || []).map((alt, i) => [
+    result.originalPart, i + 1, alt.partNumber, alt.manufacturer || '', alt.description || '', result.model || ''
+  ]));
+  const sources = results.flatMap(result => (result.sources || []).map((source, i) => [
+    result.originalPart, i + 1, source.title || '', source.link || '', source.snippet || ''
+  ]));
+  const errors = results.flatMap(result => [
+    ...(result.status === 'success' ? [] : [[result.originalPart, 'Processing', result.error || 'Unknown error']]),
+    ...(result.warnings || []).map(warning => [result.originalPart, warning.step, warning.message])
+  ]);
+
+  return [
+    { name: 'Cross-References', headers: ['Original Part', 'Source', 'Cross-Reference', 'Manufacturer', 'Match Type', 'Title', 'Link'], rows: crossReferences, widths: [18, 12, 20, 20, 24, 40, 50], linkColumn: 6 },
+    { name: 'AI Alternatives', headers: ['Original Part', 'Rank', 'Part Number', 'Manufacturer', 'Description', 'Model'], rows: aiAlternatives, widths: [18, 6, 20, 24, 60, 24] },
+    { name: 'Sources', headers: ['Original Part', 'Rank', 'Title', 'Link', 'Snippet'], rows: sources, widths: [18, 6, 40, 50, 80], linkColumn: 3 },
+    { name: 'Errors', headers: ['Original Part', 'Step', 'Message'], rows: errors, widths: [18, 16, 80] }
+  ];
+}
+
+// Helper: a worksheet with a bold header row, column widths and clickable links
+function tableSheet({ headers, rows, widths, linkColumn }) {
+  const worksheet = XLSX.utils.aoa_to_sheet([headers, ...rows]);
+
+  // Style the header row
+  headers.forEach((header, col) => {
+    const cellAddress = XLSX.utils.encode_cell({ r: 0, c: col });
+    worksheet[cellAddress].s = {
+      font: { bold: true },
+      fill: { fgColor: { rgb: 'FFE6E6' } }
+    };
+  });
+
+  if (linkColumn !== undefined) {
+    rows.forEach((row, i) => {
+      const cell = worksheet[XLSX.utils.encode_cell({ r: i + 1, c: linkColumn })];
+      if (cell && /^https?:\/\//i.test(row[linkColumn])) cell.l = { Target: row[linkColumn] };
+    });
+  }
+  if (widths) worksheet['!cols'] = widths.map(wch => ({ wch }));
+  worksheet['!autofilter'] = { ref: XLSX.utils.encode_range({ s: { r: 0, c: 0 }, e: { r: rows.length, c: headers.length - 1 } }) };
+  return worksheet;
+}
+
+// The xlsx report: the summary table, then every cross-reference with its
+// link, the AI alternatives with all parsed fields, the search results the
+// analysis used, and every failed part or step
+function toXlsx(data) {
+  const { headers, rows } = resultTable(data.results);
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(workbook, tableSheet({ headers, rows }), 'Summary');
+  detailTables(data.results).forEach(table => {
+    XLSX.utils.book_append_sheet(workbook, tableSheet(table), table.name);
+  });
+  return XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+}
+
+function csvField(value) {
+  const text = String(sanitizeCell(value === null || value === undefined ? '' : value));
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(data) {
+  const { headers, rows } = resultTable(data.results);
+  // The byte order mark makes Excel read the file as UTF-8
+  return Buffer.from(`﻿${[headers, ...rows].map(row => row.map(csvField).join(',')).join('\r\n')}\r\n`, 'utf8');
+}
+
+function toJson(data) {
+  return Buffer.from(JSON.stringify(data, null, 2), 'utf8');
+}
+
+function markdownCell(value) {
+  return String(value === null || value === undefined ? '' : value)
+    .replace(/\\/g, '\\\\')
+    .replace(/\|/g, '\\|')
+    .replace(/\r?\n/g, '<br>');
+}
+
+function toMarkdown(data) {
+  const { headers, rows } = resultTable(data.results);
+  const lines = [
+    '# Bulk Part Alternatives',
+    '',
+    `${data.totalProcessed} parts processed: ${data.successCount} successful, ${data.errorCount} errors.`,
+    '',
+    `| ${headers.map(markdownCell).join(' | ')} |`,
+    `| ${headers.map(() => '---').join(' | ')} |`,
+    ...rows.map(row => `| ${row.map(markdownCell).join(' | ')} |`)
+  ];
+  return Buffer.from(`${lines.join('\n')}\n`, 'utf8');
+}
+
+const WRITERS = { xlsx: toXlsx, csv: toCsv, json: toJson, markdown: toMarkdown };
+
+// `data` is a job's results (serializeJobResults). Returns { buffer, fileName,
+// contentType }.
+function exportResults(data, format) {
+  const resolved = resolveFormat(format);
+  const { extension, contentType } = FORMATS[resolved];
+  return {
+    buffer: WRITERS[resolved](data),
+    fileName: `part-alternatives-bulk.${extension}`,
+    contentType
+  };
+}
+
+module.exports = {
+  FORMATS,
+  BulkExportError,
+  resolveFormat,
+  sanitizeCell,
+  resultTable,
+  detailTables,
+  exportResults
+};
@@ -0,0 +1,216 @@
+const crypto = require('crypto');
+const bulkResults = require('./bulkResults');
+const analyses = require('./analyses');
+
+// In-memory job store for bulk processing. A job holds one entry per part so
+// the client can poll per-part progress while the server works through them.
+// Jobs (and the uploaded files they write back to) live in this process only,
+// so every request for a job must reach the instance that created it: a
+// single long-running server, not a pool of serverless instances.
+const JOB_TTL_MS = 60 * 60 * 1000; // Finished jobs are kept for an hour
+const jobs = new Map();
+
+function pruneJobs() {
+  const now = Date.now();
+  for (const [id, job] of jobs) {
+    if (job.finishedAt && now - job.finishedAt > JOB_TTL_MS) {
+      jobs.delete(id);
+    }
+  }
+}
+
+// `items` are part numbers or BOM line items ({ partNumber, manufacturer,
+// quantity, ... }); the line's BOM fields come back with its result. `source`
+// is the uploaded file the results can be written back to, if any. Without
+// `saveAnalysis` the finished job gets no saved analysis or permalink.
+function createJob(items, options = {}, source = null, { saveAnalysis = true } = {}) {
+  pruneJobs();
+  const job = {
+    id: crypto.randomUUID(),
+    status: 'queued', // queued | running | completed | failed
+    error: null, // why a failed job stopped
+    createdAt: Date.now(),
+    startedAt: null,
+    finishedAt: null,
+    running: false,
+    batchesStarted: 0,
+    options, // passed through to processPart, e.g. { bypassCache }
+    source, // { buffer, fileName, sheet, headerRow }, never serialized
+    saveAnalysis,
+    parts: items.map(item => {
+      const { partNumber, ...bom } = typeof item === 'string' ? { partNumber: item } : item;
+      return {
+        partNumber,
+        bom: Object.values(bom).some(value => value !== null && value !== undefined) ? bom : null,
+        status: 'pending', // pending | running | success | error
+        result: null,
+        error: null
+      };
+    })
+  };
+  jobs.set(job.id, job);
+  return job;
+}
+
+function getJob(id) {
+  return jobs.get(id) || null;
+}
+
+async function runPart(job, part, processPart) {
+  part.status = 'running';
+  const index = job.parts.indexOf(part);
+  console.log(`[bulkJobs] Job ${job.id} processing ${index + 1}/${job.parts.length}: ${part.partNumber}`);
+
+  try {
+    part.result = await processPart(part.partNumber, job.options);
+    part.status = part.result.status === 'error' ? 'error' : 'success';
+    part.error = part.result.error || null;
+  } catch (error) {
+    console.error(`[bulkJobs] Job ${job.id} error processing ${part.partNumber}:`, error);
+    part.status = 'error';
+    part.error = error.message;
+    part.result = {
+      originalPart: part.partNumber,
+      tiAlternatives: [],
+      aiAlternatives: [],
+      status: 'error',
+      error: error.message
+    };
+  }
+}
+
+// Mark a job finished and keep its results on disk for later exports, and as
+// a saved analysis under the job id for its permalink
+async function completeJob(job) {
+  job.status = 'completed';
+  job.finishedAt = Date.now();
+  console.log(`[bulkJobs] Job ${job.id} complete`);
+  const results = serializeJobResults(job);
+  try {
+    await bulkResults.save(results);
+  } catch (error) {
+    console.warn(`[bulkJobs] Saving results of job ${job.id} failed:`, error.message);
+  }
+  if (!job.saveAnalysis) return;
+  try {
+    const withModel = results.results.find(r => r.model);
+    await analyses.save('bulk', {
+      subject: job.source ? job.source.fileName : `${job.parts.length} parts`,
+      model: withModel ? withModel.model : null,
+      result: results
+    }, job.id);
+  } catch (error) {
+    console.warn(`[bulkJobs] Saving analysis of job ${job.id} failed:`, error.message);
+  }
+}
+
+// Stop a job that broke outside any one part; its pending parts stay pending
+function failJob(job, error) {
+  console.error(`[bulkJobs] Job ${job.id} failed:`, error);
+  job.status = 'failed';
+  job.error = error.message || String(error);
+  job.finishedAt = Date.now();
+}
+
+// Process the next batch of pending parts concurrently. Per-upstream limits
+// are enforced inside processPart, so a batch only bounds how many parts are
+// in flight. Returns false once nothing is left.
+async function stepJob(job, processPart, batchSize = 1) {
+  const batch = job.parts.filter(p => p.status === 'pending').slice(0, batchSize);
+  if (batch.length === 0) {
+    if (!job.finishedAt) await completeJob(job);
+    return false;
+  }
+
+  if (!job.startedAt) job.startedAt = Date.now();
+  job.status = 'running';
+  job.batchesStarted++;
+
+  await Promise.all(batch.map(part => runPart(job, part, processPart)));
+
+  if (!job.parts.some(p => p.status === 'pending')) {
+    await completeJob(job);
+  }
+  return true;
+}
+
+// Run a job to completion in the background (long-running server).
+function startJob(job, processPart, batchSize) {
+  if (job.running) return;
+  job.running = true;
+  (async () => {
+    try {
+      while (await stepJob(job, processPart, batchSize)) { /* keep going */ }
+    } catch (error) {
+      failJob(job, error);
+    } finally {
+      job.running = false;
+    }
+  })();
+}
+
+// Serverless variant: advance the job by one batch per call, unless another
+// invocation is already working on it.
+async function advanceJob(job, processPart, batchSize) {
+  if (job.running || job.finishedAt) return;
+  job.running = true;
+  try {
+    await stepJob(job, processPart, batchSize);
+  } finally {
+    job.running = false;
+  }
+}
+
+function serializeJobStatus(job) {
+  const counts = { pending: 0, running: 0, success: 0, error: 0 };
+  job.parts.forEach(p => { counts[p.status]++; });
+  return {
+    jobId: job.id,
+    status: job.status,
+    error: job.error,
+    total: job.parts.length,
+    completed: counts.success + counts.error,
+    running: counts.running,
+    successCount: counts.success,
+    errorCount: counts.error,
+    batchesStarted: job.batchesStarted,
+    createdAt: new Date(job.createdAt).toISOString(),
+    finishedAt: job.finishedAt ? new Date(job.finishedAt).toISOString() : null,
+    parts: job.parts.map(p => ({
+      partNumber: p.partNumber,
+      status: p.status,
+      error: p.error
+    }))
+  };
+}
+
+// Same shape the synchronous /api/bulk-process used to return.
+function serializeJobResults(job) {
+  const saved = job.status === 'completed' && job.saveAnalysis;
+  const results = job.parts.filter(p => p.result).map(p => (p.bom ? { ...p.result, bom: p.bom } : p.result));
+  const errors = job.parts
+    .filter(p => p.status === 'error')
+    .map(p => ({ partNumber: p.partNumber, error: p.error }));
+  return {
+    success: true,
+    jobId: job.id,
+    analysisId: saved ? job.id : null,
+    permalink: saved ? analyses.permalink(job.id) : null,
+    results,
+    errors,
+    annotatedExport: Boolean(job.source),
+    totalProcessed: results.length,
+    successCount: results.filter(r => r.status === 'success').length,
+    errorCount: errors.length
+  };
+}
+
+module.exports = {
+  createJob,
+  getJob,
+  stepJob,
+  startJob,
+  advanceJob,
+  serializeJobStatus,
+  serializeJobResults
+};
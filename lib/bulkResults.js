@@ -0,0 +1,49 @@
+const fs = require('fs');
+const path = require('path');
+const { dataPath } = require('./dataDir');
+const { readJson, writeJson } = require('./jsonFiles');
+
+// Results of finished bulk jobs, kept on disk under the job id so they can be
+// exported after the in-memory job is pruned or the server restarts. One JSON
+// file per job, in the shape of bulkJobs.serializeJobResults. Files older than
+// BULK_RESULTS_TTL_DAYS (default 30) are removed on the next save.
+const RESULTS_DIR = process.env.BULK_RESULTS_DIR || dataPath('bulk-results');
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Job ids are UUIDs; anything else never reaches the file system
+const ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+function ttlMs() {
+  const days = Number(process.env.BULK_RESULTS_TTL_DAYS);
+  return (Number.isFinite(days) && days > 0 ? days : 30) * DAY_MS;
+}
+
+function resultsFile(id) {
+  return path.join(RESULTS_DIR, `${id.toLowerCase()}.json`);
+}
+
+async function pruneResults() {
+  const cutoff = Date.now() - ttlMs();
+  const files = await fs.promises.readdir(RESULTS_DIR).catch(() => []);
+  await Promise.all(files.filter(name => name.endsWith('.json')).map(async name => {
+    const file = path.join(RESULTS_DIR, name);
+    const stat = await fs.promises.stat(file).catch(() => null);
+    if (stat && stat.mtimeMs < cutoff) await fs.promises.unlink(file).catch(() => {});
+  }));
+}
+
+async function save(results) {
+  await writeJson(resultsFile(results.jobId), { ...results, savedAt: new Date().toISOString() });
+  await pruneResults();
+}
+
+async function get(id) {
+  if (!ID_PATTERN.test(String(id))) return null;
+  return readJson(resultsFile(id), null);
+}
+
+module.exports = {
+  RESULTS_DIR,
+  save,
+  get
+};
@@ -0,0 +1,219 @@
+// Rule-based drop-in compatibility score for /api/compare: partB as a
+// replacement for partA. Every criterion scores 0..1 from structured data (the
+// parts database records and the extracted pinouts) or is null when the data
+// is missing; the overall score is the weighted mean of the criteria that
+// could be assessed, so it never depends on what the model wrote. Below
+// MIN_COVERAGE of the total weight there is no score at all, and a drop-in
+// verdict needs both the package and the pin mapping assessed.
+//
+// Weights come from COMPAT_WEIGHTS, e.g. "package:25,pinout:30,electrical:25,
+// temperature:10,lifecycle:10". Criteria not listed keep their default; 0
+// leaves a criterion out.
+const CRITERIA = [
+  { key: 'package', label: 'Package', weight: 25 },
+  { key: 'pinout', label: 'Pin mapping', weight: 30 },
+  { key: 'electrical', label: 'Voltage and current ranges', weight: 25 },
+  { key: 'temperature', label: 'Operating temperature', weight: 10 },
+  { key: 'lifecycle', label: 'Lifecycle', weight: 10 }
+];
+
+// Verdict thresholds on the 0-100 score
+const VERDICTS = [
+  { min: 90, label: 'Drop-in replacement' },
+  { min: 70, label: 'Minor changes needed' },
+  { min: 40, label: 'Significant changes needed' },
+  { min: 0, label: 'Not compatible' }
+];
+
+// Share of the total weight that must be assessed for a score
+const MIN_COVERAGE = 0.5;
+
+// Criteria a drop-in verdict cannot be given without
+const DROP_IN_REQUIRES = ['package', 'pinout'];
+
+// Per pin status, how much a pin counts towards the mapping score
+const PIN_STATUS_SCORES = { match: 1, renamed: 0.75, type: 0, missing: 0 };
+
+const LIFECYCLE_SCORES = { Active: 1, NRND: 0.5, 'Last Time Buy': 0.25, Obsolete: 0 };
+
+// Electrical parameters compared, and how: 'range' means the replacement must
+// cover the original's stated range; 'capacity' means its maximum must reach
+// the original's maximum.
+const ELECTRICAL_PARAMETERS = [
+  { key: 'inputVoltage', mode: 'range' },
+  { key: 'outputVoltage', mode: 'range' },
+  { key: 'supplyVoltage', mode: 'range' },
+  { key: 'outputCurrent', mode: 'capacity' }
+];
+
+function resolveConfig() {
+  const weights = Object.fromEntries(CRITERIA.map(c => [c.key, c.weight]));
+  (process.env.COMPAT_WEIGHTS || '').split(',').map(v => v.trim()).filter(Boolean).forEach(entry => {
+    const [key, value] = entry.split(/[:=]/).map(v => v.trim());
+    const weight = Number(value);
+    if (!(key in weights) || !Number.isFinite(weight) || weight < 0) {
+      console.warn(`[compatibility] Ignoring COMPAT_WEIGHTS entry "${entry}"`);
+      return;
+    }
+    weights[key] = weight;
+  });
+  return { weights };
+}
+
+function fieldValue(record, field) {
+  const entry = record && record.fields[field];
+  return entry ? entry.value : null;
+}
+
+// Helper: packages compare without case, spaces or punctuation
+function packageKey(value) {
+  return String(value).toUpperCase().replace(/\(.*?\)/g, '').replace(/[^A-Z0-9]/g, '');
+}
+
+// Helper: [low, high] of a stated parameter, or null
+function statedRange(param) {
+  if (!param) return null;
+  const values = ['min', 'typ', 'max'].map(b => param[b]).filter(v => v !== null && v !== undefined);
+  if (!values.length) return null;
+  return [Math.min(...values), Math.max(...values)];
+}
+
+function round(value, digits = 2) {
+  return Number(value.toFixed(digits));
+}
+
+function formatRange([low, high], unit) {
+  const suffix = unit ? ` ${unit}` : '';
+  return low === high ? `${low}${suffix}` : `${low} to ${high}${suffix}`;
+}
+
+// How much of the original range [lowA, highA] the replacement covers, 0..1
+function rangeCoverage(a, b) {
+  const [lowA, highA] = a;
+  const [lowB, highB] = b;
+  const tolerance = Math.max(Math.abs(lowA), Math.abs(highA)) * 0.01;
+  if (highA - lowA <= tolerance) {
+    return lowB - tolerance <= lowA && highA <= highB + tolerance ? 1 : 0;
+  }
+  const overlap = Math.min(highA, highB) - Math.max(lowA, lowB);
+  return Math.min(1, Math.max(0, overlap / (highA - lowA)));
+}
+
+function scorePackage(recordA, recordB, pinouts) {
+  const packageA = fieldValue(recordA, 'package') || (pinouts && pinouts.partA.package);
+  const packageB = fieldValue(recordB, 'package') || (pinouts && pinouts.partB.package);
+  if (!packageA || !packageB) return { score: null, detail: 'Package not known for both parts' };
+
+  const pinsA = fieldValue(recordA, 'pinCount');
+  const pinsB = fieldValue(recordB, 'pinCount');
+  if (pinsA && pinsB && pinsA !== pinsB) {
+    return { score: 0, detail: `${packageA} (${pinsA} pins) vs ${packageB} (${pinsB} pins)` };
+  }
+  const keyA = packageKey(packageA);
+  const keyB = packageKey(packageB);
+  if (keyA === keyB) return { score: 1, detail: `Same package: ${packageA}` };
+  if (keyA.includes(keyB) || keyB.includes(keyA)) {
+    return { score: 0.75, detail: `Similar packages, check the footprint: ${packageA} vs ${packageB}` };
+  }
+  return { score: 0, detail: `Different packages: ${packageA} vs ${packageB}` };
+}
+
+function scorePinout(pinouts) {
+  if (!pinouts || !pinouts.comparable) return { score: null, detail: 'Pinout not known for both parts' };
+  const total = pinouts.rows.reduce((sum, row) => sum + PIN_STATUS_SCORES[row.status], 0);
+  const detail = pinouts.mismatches.length
+    ? `${pinouts.matching} of ${pinouts.rows.length} pins match; ${pinouts.mismatches.length} mismatched`
+    : `All ${pinouts.rows.length} pins match`;
+  return { score: round(total / pinouts.rows.length), detail };
+}
+
+function scoreElectrical(recordA, recordB) {
+  const checks = ELECTRICAL_PARAMETERS.map(({ key, mode }) => {
+    const paramA = recordA && recordA.parameters[key];
+    const paramB = recordB && recordB.parameters[key];
+    const a = statedRange(paramA);
+    const b = statedRange(paramB);
+    if (!a || !b || paramA.unit !== paramB.unit) return null;
+
+    const score = mode === 'capacity'
+      ? (a[1] <= 0 ? 1 : Math.min(1, b[1] / a[1]))
+      : rangeCoverage(a, b);
+    return { score, detail: `${paramA.label}: ${formatRange(a, paramA.unit)} vs ${formatRange(b, paramB.unit)}` };
+  }).filter(Boolean);
+
+  if (!checks.length) return { score: null, detail: 'No voltage or current range known for both parts' };
+  return {
+    score: round(checks.reduce((sum, c) => sum + c.score, 0) / checks.length),
+    detail: checks.map(c => c.detail).join('; ')
+  };
+}
+
+function scoreTemperature(recordA, recordB) {
+  const paramA = recordA && recordA.parameters.operatingTemperature;
+  const paramB = recordB && recordB.parameters.operatingTemperature;
+  const a = statedRange(paramA);
+  const b = statedRange(paramB);
+  if (!a || !b) return { score: null, detail: 'Operating temperature not known for both parts' };
+  return {
+    score: round(rangeCoverage(a, b)),
+    detail: `${formatRange(a, paramA.unit)} vs ${formatRange(b, paramB.unit)}`
+  };
+}
+
+function scoreLifecycle(recordB, partB) {
+  const lifecycle = fieldValue(recordB, 'lifecycle');
+  if (!lifecycle || !(lifecycle in LIFECYCLE_SCORES)) return { score: null, detail: `Lifecycle of ${partB} not known` };
+  return { score: LIFECYCLE_SCORES[lifecycle], detail: `${partB} is ${lifecycle}` };
+}
+
+// Score partB as a drop-in replacement for partA. `recordA`/`recordB` are parts
+// database records (or null), `pinouts` the pin-by-pin comparison of the two
+// with their pinouts as `partA`/`partB` (or null).
+function scoreCompatibility({ partA, partB, recordA, recordB, pinouts }, weights = resolveConfig().weights) {
+  const results = {
+    package: scorePackage(recordA, recordB, pinouts),
+    pinout: scorePinout(pinouts),
+    electrical: scoreElectrical(recordA, recordB),
+    temperature: scoreTemperature(recordA, recordB),
+    lifecycle: scoreLifecycle(recordB, partB)
+  };
+
+  const criteria = CRITERIA.map(({ key, label }) => ({
+    key,
+    label,
+    weight: weights[key],
+    score: results[key].score,
+    points: results[key].score === null ? null : round(results[key].score * weights[key], 1),
+    detail: results[key].detail
+  }));
+
+  const assessed = criteria.filter(c => c.score !== null && c.weight > 0);
+  const assessedWeight = assessed.reduce((sum, c) => sum + c.weight, 0);
+  const totalWeight = criteria.reduce((sum, c) => sum + c.weight, 0);
+  // Share of the total weight that could be assessed, 0..1
+  const coverage = totalWeight > 0 ? round(assessedWeight / totalWeight) : 0;
+  const score = assessedWeight > 0 && coverage >= MIN_COVERAGE
+    ? Math.round(100 * assessed.reduce((sum, c) => sum + c.score * c.weight, 0) / assessedWeight)
+    : null;
+
+  let verdict = score === null ? 'Not enough data' : VERDICTS.find(v => score >= v.min).label;
+  if (verdict === VERDICTS[0].label && !DROP_IN_REQUIRES.every(key => results[key].score !== null)) {
+    verdict = VERDICTS[1].label;
+  }
+
+  return {
+    original: partA,
+    replacement: partB,
+    score,
+    verdict,
+    coverage,
+    criteria
+  };
+}
+
+module.exports = {
+  CRITERIA,
+  MIN_COVERAGE,
+  resolveConfig,
+  scoreCompatibility
+};
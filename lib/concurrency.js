@@ -0,0 +1,67 @@
+// Concurrency limits per upstream service. Bulk runs fan out over many parts,
+// so every call to the cross-reference scrapers, web search, datasheet
+// downloads and the LLM goes through its limiter to keep a single BOM from
+// opening dozens of browsers or tripping rate limits.
+
+function createLimiter(concurrency) {
+  const max = Math.max(1, concurrency || 1);
+  const queue = [];
+  let active = 0;
+
+  const next = () => {
+    if (active >= max || queue.length === 0) return;
+    active++;
+    const { fn, resolve, reject } = queue.shift();
+    Promise.resolve()
+      .then(fn)
+      .then(resolve, reject)
+      .finally(() => {
+        active--;
+        next();
+      });
+  };
+
+  const limit = fn => new Promise((resolve, reject) => {
+    queue.push({ fn, resolve, reject });
+    next();
+  });
+
+  Object.defineProperties(limit, {
+    activeCount: { get: () => active },
+    pendingCount: { get: () => queue.length },
+    concurrency: { value: max }
+  });
+
+  return limit;
+}
+
+function envInt(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+const limiters = {
+  crossref: createLimiter(envInt('CROSSREF_CONCURRENCY', envInt('TI_CONCURRENCY', 2))),
+  search: createLimiter(envInt('SEARCH_CONCURRENCY', envInt('GOOGLE_CONCURRENCY', 4))),
+  llm: createLimiter(envInt('LLM_CONCURRENCY', envInt('OPENAI_CONCURRENCY', 3))),
+  datasheet: createLimiter(envInt('DATASHEET_CONCURRENCY', 2))
+};
+
+// Bulk job batching: how many parts are in flight at once, and the upload cap.
+// Serverless runs one batch per status poll, so it must fit in maxDuration.
+const BULK_BATCH_SIZE = envInt('BULK_BATCH_SIZE', 10);
+const SERVERLESS_BATCH_SIZE = envInt('SERVERLESS_BATCH_SIZE', 2);
+const BULK_MAX_PARTS = envInt('BULK_MAX_PARTS', 5000);
+
+// Parts in one /api/compare request, the baseline included
+const COMPARE_MAX_PARTS = envInt('COMPARE_MAX_PARTS', 5);
+
+module.exports = {
+  createLimiter,
+  envInt,
+  limiters,
+  BULK_BATCH_SIZE,
+  SERVERLESS_BATCH_SIZE,
+  BULK_MAX_PARTS,
+  COMPARE_MAX_PARTS
+};
@@ -0,0 +1,84 @@
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+// Saved cross-reference pages for offline runs. Record mode
+// (CROSSREF_RECORD_DIR set) writes every page a scraper visits to
+// <dir>/<source>/<PART>.html; the fixture server replays them so the
+// scrapers can be pointed at it through their CROSSREF_URL_<NAME> template.
+
+function fixtureFile(dir, source, partNumber) {
+  const name = encodeURIComponent(String(partNumber).trim().toUpperCase());
+  return path.join(dir, source, `${name}.html`);
+}
+
+// Strip scripts and external resources so a replayed page is static and
+// offline; a <base> keeps relative product links resolving to the vendor.
+function toFixtureHtml(html, pageUrl) {
+  const origin = new URL(pageUrl).origin;
+  return html
+    .replace(/<script[\s\S]*?<\/script>/gi, '')
+    .replace(/<(link|img|iframe|source)\b[^>]*>/gi, '')
+    .replace(/<base\b[^>]*>/gi, '')
+    .replace(/<head([^>]*)>/i, `<head$1><base href="${origin}/">`);
+}
+
+async function saveFixture(dir, source, partNumber, html, pageUrl) {
+  const file = fixtureFile(dir, source, partNumber);
+  await fs.promises.mkdir(path.dirname(file), { recursive: true });
+  await fs.promises.writeFile(file, toFixtureHtml(html, pageUrl));
+  console.log(`[fixtures] Recorded ${source} page for ${partNumber}: ${file}`);
+  return file;
+}
+
+// Called by scrapers once the page has rendered; a no-op unless recording.
+async function recordPage(page, source, partNumber) {
+  const dir = process.env.CROSSREF_RECORD_DIR;
+  if (!dir) return null;
+  try {
+    return await saveFixture(dir, source, partNumber, await page.content(), page.url());
+  } catch (error) {
+    console.warn(`[fixtures] Failed to record ${source} page for ${partNumber}:`, error.message);
+    return null;
+  }
+}
+
+// Serve <dir>/<source>/<PART>.html at /<source>/<part>.html on a random local
+// port. Resolves to { baseUrl, urlTemplate(source), close }.
+function createFixtureServer(dir) {
+  const server = http.createServer(async (req, res) => {
+    const match = /^\/([a-z0-9-]+)\/([^/]+)\.html$/i.exec(req.url.split('?')[0]);
+    if (!match) {
+      res.writeHead(404);
+      return res.end();
+    }
+    try {
+      const html = await fs.promises.readFile(fixtureFile(dir, match[1], decodeURIComponent(match[2])));
+      res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+      res.end(html);
+    } catch (error) {
+      res.writeHead(404, { 'Content-Type': 'text/html; charset=utf-8' });
+      res.end(`<html><body>No fixture for ${match[1]}/${match[2]}</body></html>`);
+    }
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(0, '127.0.0.1', () => {
+      const baseUrl = `http://127.0.0.1:${server.address().port}`;
+      resolve({
+        baseUrl,
+        urlTemplate: source => `${baseUrl}/${source}/{part}.html`,
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+  });
+}
+
+module.exports = {
+  fixtureFile,
+  toFixtureHtml,
+  saveFixture,
+  recordPage,
+  createFixtureServer
+};
@@ -0,0 +1,133 @@
+const lookupCache = require('../lookupCache');
+const { limiters } = require('../concurrency');
+const ti = require('./ti');
+const manufacturers = require('./manufacturers');
+
+// Manufacturer cross-reference sources. A plugin is
+//
+//   {
+//     name: 'ti',                        // id used in config and cache keys
+//     label: 'TI',                       // short badge shown in the UI
+//     manufacturer: 'Texas Instruments',
+//     verified: true,                    // URL and markup checked against the live site
+//     lookup(partNumber, { browserPool }) // -> [{ partNumber, matchType, href, title }]
+//   }
+//
+// `lookup` resolves to [] only when the source answered with no parts; a
+// browser, navigation or HTTP failure rejects, so it is not mistaken for (or
+// cached as) "no cross-references".
+//
+// Enabled plugins run in parallel for every part (within the crossref limiter
+// and the browser pool's page cap) and their results are merged into one
+// `crossReferences` list labelled with source and match type.
+const PLUGINS = [ti, ...manufacturers.plugins];
+
+// Only verified sources run unless CROSSREF_SOURCES names others
+const DEFAULT_SOURCES = PLUGINS.filter(p => p.verified).map(p => p.name);
+
+const DEFAULT_MATCH_TYPE = 'Cross-Reference Match';
+
+function resolveSources(defaultSources) {
+  const value = process.env.CROSSREF_SOURCES;
+  const names = value
+    ? value.split(',').map(v => v.trim().toLowerCase()).filter(Boolean)
+    : defaultSources;
+  return names.map(name => {
+    const plugin = PLUGINS.find(p => p.name === name);
+    if (!plugin) {
+      throw new Error(`Unknown cross-reference source "${name}". Use any of: ${PLUGINS.map(p => p.name).join(', ')}`);
+    }
+    if (!plugin.verified) {
+      console.warn(`[crossReference] Source "${name}" is unverified: its results may be search hits rather than cross-references`);
+    }
+    return plugin;
+  });
+}
+
+function labelResults(plugin, results) {
+  return results.map(result => ({
+    partNumber: result.partNumber,
+    manufacturer: plugin.manufacturer,
+    matchType: result.matchType || DEFAULT_MATCH_TYPE,
+    href: result.href,
+    title: result.title || result.partNumber,
+    source: plugin.name,
+    sourceLabel: plugin.label,
+    verified: plugin.verified
+  }));
+}
+
+// Flatten per-source lists in source order. A part listed twice by the same
+// source keeps its most specific match type.
+function mergeCrossReferences(resultLists) {
+  const merged = [];
+  const byKey = new Map();
+
+  resultLists.flat().forEach(result => {
+    const key = `${result.source}:${String(result.partNumber).trim().toUpperCase()}`;
+    const existing = byKey.get(key);
+    if (!existing) {
+      byKey.set(key, result);
+      merged.push(result);
+    } else if (existing.matchType === DEFAULT_MATCH_TYPE && result.matchType !== DEFAULT_MATCH_TYPE) {
+      existing.matchType = result.matchType;
+    }
+  });
+
+  return merged;
+}
+
+function createCrossReference({ browserPool, defaultSources = DEFAULT_SOURCES }) {
+  const sources = resolveSources(defaultSources);
+  console.log(`[crossReference] Sources: ${sources.map(p => p.name).join(', ')}`);
+
+  // One source, uncached. Scraper failures reject.
+  async function lookupSource(name, partNumber) {
+    const plugin = PLUGINS.find(p => p.name === name);
+    if (!plugin) throw new Error(`Unknown cross-reference source "${name}"`);
+    return labelResults(plugin, await plugin.lookup(partNumber, { browserPool }));
+  }
+
+  // Every enabled source, each cached on its own so enabling another source
+  // does not invalidate the rest. A failed source contributes no results and
+  // is reported to `onError(plugin, error)`; failures are never cached. Empty
+  // lists are not cached either, so a part the page was slow to list is
+  // looked up again next time.
+  async function lookup(partNumber, { bypassCache = false, onError = () => {} } = {}) {
+    const resultLists = await Promise.all(sources.map(plugin => lookupCache.wrap(
+      'crossref',
+      `${plugin.name}:${partNumber}`,
+      () => limiters.crossref(() => lookupSource(plugin.name, partNumber)),
+      { bypass: bypassCache, shouldCache: results => results.length > 0 }
+    ).catch(error => {
+      console.warn(`[crossReference:${plugin.name}] Lookup failed for ${partNumber}:`, error.message);
+      onError(plugin, error);
+      return [];
+    })));
+
+    return mergeCrossReferences(resultLists);
+  }
+
+  function describe() {
+    return sources.map(p => ({ name: p.name, manufacturer: p.manufacturer }));
+  }
+
+  return { lookup, lookupSource, describe };
+}
+
+// Prompt context for the alternatives models
+function summarizeCrossReferences(crossReferences) {
+  if (!crossReferences.length) return 'No manufacturer cross-reference results found.';
+  return `Manufacturer Cross-Reference Alternatives Found:\n${crossReferences
+    .map((alt, i) => `${i + 1}. ${alt.partNumber} (${alt.manufacturer}, ${alt.matchType}) - ${alt.title}\nURL: ${alt.href}`)
+    .join('\n\n')}`;
+}
+
+module.exports = {
+  PLUGINS,
+  DEFAULT_SOURCES,
+  DEFAULT_MATCH_TYPE,
+  createCrossReference,
+  mergeCrossReferences,
+  summarizeCrossReferences
+};
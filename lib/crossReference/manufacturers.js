@@ -0,0 +1,143 @@
+// Cross-reference search pages of other manufacturers. They share one
+// scraper: open the vendor's search page for the competitor part, collect
+// product links whose text looks like a part number, and read the match type
+// from the surrounding result markup when the page provides one.
+//
+// Vendor pages change without notice, so each URL template can be overridden
+// with CROSSREF_URL_<NAME> (e.g. CROSSREF_URL_ST); "{part}" is replaced with
+// the URL-encoded part number.
+//
+// None of these sources is verified: their URL templates have not been
+// checked against the live sites and there are no recorded pages for them, so
+// they are off unless named in CROSSREF_SOURCES.
+const { recordPage } = require('./fixtures');
+
+// Checked in order against the text around each result link
+const MATCH_TYPES = [
+  ['drop-in replacement', 'Drop-in replacement'],
+  ['drop in replacement', 'Drop-in replacement'],
+  ['direct replacement', 'Drop-in replacement'],
+  ['exact match', 'Exact Match'],
+  ['pin-to-pin', 'Pin Compatible'],
+  ['pin compatible', 'Pin Compatible'],
+  ['functional equivalent', 'Functional Equivalent'],
+  ['similar function', 'Same Functionality'],
+  ['same functionality', 'Same Functionality'],
+  ['compatible', 'Compatible'],
+  ['replacement', 'Replacement']
+];
+
+function createPageScraper({ name, label, manufacturer, url, linkSelector, verified = false }) {
+  const envName = `CROSSREF_URL_${name.toUpperCase()}`;
+
+  function searchUrl(partNumber) {
+    const template = process.env[envName] || url;
+    return template.replace('{part}', encodeURIComponent(partNumber));
+  }
+
+  return {
+    name,
+    label,
+    manufacturer,
+    verified,
+    searchUrl,
+
+    async lookup(partNumber, { browserPool }) {
+      const target = searchUrl(partNumber);
+      console.log(`[crossReference:${name}] Navigating to: ${target}`);
+
+      return browserPool.withPage(async page => {
+        const response = await page.goto(target, { waitUntil: 'networkidle2', timeout: 30000 });
+        if (response && !response.ok()) {
+          throw new Error(`${label} cross-reference page returned HTTP ${response.status()}`);
+        }
+
+        let found = true;
+        try {
+          await page.waitForSelector(linkSelector, { timeout: 10000 });
+        } catch (error) {
+          console.log(`[crossReference:${name}] No cross-reference results found:`, error.message);
+          found = false;
+        }
+
+        await recordPage(page, name, partNumber);
+        if (!found) return [];
+
+        const results = await page.$$eval(linkSelector, (elements, { original, matchTypes, selector }) => elements
+          .map(el => ({ el, text: el.textContent.trim() }))
+          .filter(({ text }) => /\d/.test(text)
+            && /^[A-Za-z0-9][A-Za-z0-9\-/.#+_]{2,29}$/.test(text)
+            && text.toUpperCase() !== original)
+          .map(({ el, text }) => {
+            // Only read the result's own container: stop at the first
+            // ancestor that holds another result link, since its text (and
+            // the rest of the page) belongs to other parts too
+            let matchType = 'Cross-Reference Match';
+            let current = el.parentElement;
+            for (let depth = 0; current && current !== document.body && depth < 5; depth++) {
+              if (current.querySelectorAll(selector).length > 1) break;
+              const context = current.textContent.toLowerCase();
+              const hit = matchTypes.find(([needle]) => context.includes(needle));
+              if (hit) {
+                matchType = hit[1];
+                break;
+              }
+              current = current.parentElement;
+            }
+
+            return {
+              partNumber: text,
+              matchType,
+              href: el.href,
+              title: el.title || text
+            };
+          }), { original: partNumber.toUpperCase(), matchTypes: MATCH_TYPES, selector: linkSelector });
+
+        console.log(`[crossReference:${name}] Found ${results.length} alternatives:`, results.map(r => r.partNumber));
+        return results;
+      });
+    }
+  };
+}
+
+module.exports = {
+  MATCH_TYPES,
+  createPageScraper,
+  plugins: [
+    createPageScraper({
+      name: 'adi',
+      label: 'ADI',
+      manufacturer: 'Analog Devices',
+      url: 'https://www.analog.com/en/search.html?q={part}',
+      linkSelector: 'a[href*="/en/products/"]'
+    }),
+    createPageScraper({
+      name: 'microchip',
+      label: 'Microchip',
+      manufacturer: 'Microchip Technology',
+      url: 'https://www.microchip.com/en-us/search?searchQuery={part}&category=CrossReference',
+      linkSelector: 'a[href*="/product/"]'
+    }),
+    createPageScraper({
+      name: 'nexperia',
+      label: 'Nexperia',
+      manufacturer: 'Nexperia',
+      url: 'https://www.nexperia.com/search?q={part}&type=crossReference',
+      linkSelector: 'a[href*="/product"]'
+    }),
+    createPageScraper({
+      name: 'onsemi',
+      label: 'onsemi',
+      manufacturer: 'onsemi',
+      url: 'https://www.onsemi.com/cross-reference-search?searchTerm={part}',
+      linkSelector: 'a[href*="/products/"]'
+    }),
+    createPageScraper({
+      name: 'st',
+      label: 'ST',
+      manufacturer: 'STMicroelectronics',
+      url: 'https://www.st.com/content/st_com/en/search.html#q={part}-t=cross-reference-page=1',
+      linkSelector: 'a[href*="st.com/en/"]'
+    })
+  ]
+};
@@ -0,0 +1,128 @@
+// Texas Instruments cross-reference search. TI's tool is the richest of the
+// vendor pages: each result carries a match type such as "Drop-in
+// replacement" or "Pin compatible" next to the product link.
+const { recordPage } = require('./fixtures');
+
+const URL_TEMPLATE = 'https://www.ti.com/cross-reference-search?singlePart={part}&p=1';
+
+// Checked in order against the text around each result link. TI's group
+// headings name the pinout before the function ("Pin-for-pin with same
+// functionality", "Same functionality with different pin-out"), so the pinout
+// wording has to win.
+const MATCH_TYPES = [
+  ['drop-in replacement', 'Drop-in replacement'],
+  ['drop in replacement', 'Drop-in replacement'],
+  ['exact match', 'Exact Match'],
+  ['pin-for-pin', 'Pin Compatible'],
+  ['pin for pin', 'Pin Compatible'],
+  ['pin compatible', 'Pin Compatible'],
+  ['same functionality', 'Same Functionality'],
+  ['functional equivalent', 'Functional Equivalent'],
+  ['compatible', 'Compatible'],
+  ['replacement', 'Replacement']
+];
+
+// Reads the results from a rendered search page. Runs inside the page through
+// page.evaluate, so it may only use its arguments and the DOM; the tests call
+// it on the saved pages directly.
+function extractResults(matchTypes, doc = document) {
+  // Link texts that are page chrome rather than part numbers
+  const ignored = ['Request', 'samples', 'Close', 'Menu', 'Previous', 'Language', 'My cart', 'Search', 'Home', 'Cross-reference'];
+  const links = Array.from(doc.querySelectorAll('a[href*="/product/"]')).filter(el => {
+    const text = el.textContent.trim();
+    return text.length > 3 &&
+      text.length < 20 &&
+      el.href.includes('/product/') &&
+      !ignored.some(word => text.includes(word));
+  });
+
+  return links.map(el => {
+    const text = el.textContent.trim();
+    const holdsOtherResult = node => links.some(other => other !== el && node.contains(other));
+
+    // Climb to the result's group heading. Only the parts of an ancestor that
+    // hold no other result are read, and the walk ends at the first ancestor
+    // that holds another result, so a label never comes from a neighbouring
+    // group or the page chrome.
+    let matchType = 'Cross-Reference Match';
+    for (let current = el.parentElement; current && current !== doc.body; current = current.parentElement) {
+      const context = Array.from(current.childNodes)
+        .filter(child => !holdsOtherResult(child))
+        .map(child => child.textContent)
+        .join(' ')
+        .toLowerCase();
+      const hit = matchTypes.find(([needle]) => context.includes(needle));
+      if (hit) {
+        matchType = hit[1];
+        break;
+      }
+      if (holdsOtherResult(current)) break;
+    }
+
+    return {
+      partNumber: text,
+      matchType,
+      href: el.href,
+      title: el.title || text
+    };
+  });
+}
+
+module.exports = {
+  name: 'ti',
+  label: 'TI',
+  manufacturer: 'Texas Instruments',
+  // Checked against ti.com; the only source enabled by default
+  verified: true,
+
+  // Results of a rendered search page (a Document); see extractResults
+  parseResults(doc) {
+    return extractResults(MATCH_TYPES, doc);
+  },
+
+  // CROSSREF_URL_TI overrides the template, e.g. to replay saved fixtures
+  searchUrl(partNumber) {
+    return (process.env.CROSSREF_URL_TI || URL_TEMPLATE).replace('{part}', encodeURIComponent(partNumber));
+  },
+
+  // Resolves to [] only when the page loaded and listed no parts; a browser
+  // that fails to launch, a failed navigation or an HTTP error rejects.
+  async lookup(partNumber, { browserPool }) {
+    console.log(`[crossReference:ti] Searching TI cross-reference for: ${partNumber}`);
+
+    // Pages come from the shared browser pool (user agent already set)
+    return browserPool.withPage(async page => {
+      // Navigate to TI cross-reference tool
+      const tiUrl = this.searchUrl(partNumber);
+      console.log(`[crossReference:ti] Navigating to: ${tiUrl}`);
+
+      const response = await page.goto(tiUrl, { 
+        waitUntil: 'networkidle0',
+        timeout: 30000 
+      });
+      if (response && !response.ok()) {
+        throw new Error(`TI cross-reference page returned HTTP ${response.status()}`);
+      }
+
+      // Wait for cross-reference results to load
+      let found = true;
+      try {
+        await page.waitForSelector('a[href*="/product/"]', { 
+          timeout: 15000 
+        });
+        console.log('[crossReference:ti] Cross-reference product links found');
+      } catch (error) {
+        console.log('[crossReference:ti] No cross-reference results found:', error.message);
+        found = false;
+      }
+
+      await recordPage(page, 'ti', partNumber);
+      if (!found) return [];
+
+      const alternatives = await page.evaluate(extractResults, MATCH_TYPES);
+
+      console.log(`[crossReference:ti] Found ${alternatives.length} TI alternatives:`, alternatives.map(a => a.partNumber));
+      return alternatives;
+    });
+  }
+};
@@ -0,0 +1,13 @@
+const os = require('os');
+const path = require('path');
+
+// Root for everything the server persists locally (lookup cache, job results,
+// saved analyses). Serverless functions can only write to the temp dir.
+const DATA_DIR = process.env.DATA_DIR
+  || (process.env.VERCEL ? path.join(os.tmpdir(), 'part-analysis') : path.join(__dirname, '..', 'data'));
+
+function dataPath(...segments) {
+  return path.join(DATA_DIR, ...segments);
+}
+
+module.exports = { DATA_DIR, dataPath };
@@ -0,0 +1,134 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { dataPath } = require('./dataDir');
+const { normalizeKey } = require('./lookupCache');
+const { readJson, writeJson, createKeyedQueue } = require('./jsonFiles');
+
+// Datasheets uploaded by engineers for parts web search cannot find (internal,
+// custom or obscure parts). Each part has a directory holding the original
+// PDFs, their extracted pages and an index.json manifest:
+//
+//   <DATASHEET_DIR>/<PART>/index.json     [{ id, filename, size, uploadedAt, pageCount }]
+//   <DATASHEET_DIR>/<PART>/<id>.pdf
+//   <DATASHEET_DIR>/<PART>/<id>.json      [{ page, text }] for every page
+//
+// Uploaded documents are the primary context for every later lookup of the part.
+// <PART> is the URL-encoded normalized part number; part numbers that would
+// name no directory or a parent ("", ".", "..") have no store.
+const STORE_DIR = process.env.DATASHEET_DIR || dataPath('datasheets');
+
+class DatasheetStoreError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'DatasheetStoreError';
+    this.status = status;
+  }
+}
+
+// Manifest updates for one part run one at a time
+const queue = createKeyedQueue();
+
+function withPartLock(partNumber, fn) {
+  return queue(normalizeKey(partNumber), fn);
+}
+
+// Directory of a part's uploads, or null for a part number that cannot have one
+function partDir(partNumber) {
+  const name = encodeURIComponent(normalizeKey(partNumber));
+  if (/^\.*$/.test(name)) return null;
+  return path.join(STORE_DIR, name);
+}
+
+function isValidId(id) {
+  return /^[a-f0-9]{16}$/.test(String(id));
+}
+
+function filePath(partNumber, id) {
+  const dir = partDir(partNumber);
+  if (!dir || !isValidId(id)) return null;
+  return path.join(dir, `${id}.pdf`);
+}
+
+// Uploaded datasheets for a part, newest first, without page text
+async function list(partNumber) {
+  const dir = partDir(partNumber);
+  if (!dir) return [];
+  const manifest = await readJson(path.join(dir, 'index.json'), []);
+  return manifest
+    .map(entry => ({ ...entry, partNumber: normalizeKey(partNumber) }))
+    .sort((a, b) => b.uploadedAt.localeCompare(a.uploadedAt));
+}
+
+// Uploaded datasheets with the text of every page
+async function load(partNumber) {
+  const entries = await list(partNumber);
+  const docs = await Promise.all(entries.map(async entry => ({
+    ...entry,
+    pages: await readJson(path.join(partDir(partNumber), `${entry.id}.json`), [])
+  })));
+  return docs.filter(doc => doc.pages.length);
+}
+
+// Store one PDF and its extracted pages ([{ page, text }]); returns the entry
+function add(partNumber, { filename, buffer, pages }) {
+  return withPartLock(partNumber, async () => {
+    const dir = partDir(partNumber);
+    if (!dir) throw new DatasheetStoreError(`"${partNumber}" is not a valid part number`);
+    const id = crypto.randomBytes(8).toString('hex');
+    const entry = {
+      id,
+      filename: path.basename(filename || `${id}.pdf`),
+      size: buffer.length,
+      uploadedAt: new Date().toISOString(),
+      pageCount: pages.length
+    };
+
+    await fs.promises.mkdir(dir, { recursive: true });
+    await fs.promises.writeFile(path.join(dir, `${id}.pdf`), buffer);
+    await writeJson(path.join(dir, `${id}.json`), pages);
+    const manifest = await readJson(path.join(dir, 'index.json'), []);
+    await writeJson(path.join(dir, 'index.json'), [...manifest, entry]);
+
+    console.log(`[datasheetStore] Stored ${entry.filename} for ${normalizeKey(partNumber)} (${pages.length} pages)`);
+    return { ...entry, partNumber: normalizeKey(partNumber) };
+  });
+}
+
+// Returns false when the part has no datasheet with that id
+function remove(partNumber, id) {
+  return withPartLock(partNumber, async () => {
+    const dir = partDir(partNumber);
+    if (!dir || !isValidId(id)) return false;
+    const manifest = await readJson(path.join(dir, 'index.json'), []);
+    if (!manifest.some(entry => entry.id === id)) return false;
+
+    await writeJson(path.join(dir, 'index.json'), manifest.filter(entry => entry.id !== id));
+    await Promise.all(['pdf', 'json'].map(ext => fs.promises.unlink(path.join(dir, `${id}.${ext}`)).catch(() => {})));
+    console.log(`[datasheetStore] Removed ${id} for ${normalizeKey(partNumber)}`);
+    return true;
+  });
+}
+
+// Short tag for the current uploads of some parts ('' when there are none).
+// Goes into LLM cache keys so uploading or removing a datasheet is never
+// answered from a report written without it.
+async function revision(...partNumbers) {
+  const ids = (await Promise.all(partNumbers.map(list)))
+    .flat()
+    .map(entry => entry.id)
+    .sort();
+  if (!ids.length) return '';
+  return `+ds:${crypto.createHash('sha1').update(ids.join(',')).digest('hex').slice(0, 12)}`;
+}
+
+module.exports = {
+  STORE_DIR,
+  DatasheetStoreError,
+  filePath,
+  list,
+  load,
+  add,
+  remove,
+  revision
+};
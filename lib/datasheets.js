@@ -0,0 +1,282 @@
+const fetch = require('node-fetch');
+const lookupCache = require('./lookupCache');
+const { envInt, limiters } = require('./concurrency');
+const { normalizeLink } = require('./search');
+const datasheetStore = require('./datasheetStore');
+
+// Datasheet ingestion. The prompts tell the model to verify package, pinout
+// and electrical specs from the datasheet, so the PDFs that web search finds
+// are downloaded, their text extracted page by page, and the pages carrying
+// ordering information, pinout and electrical tables passed into the prompt
+// with their page numbers for citation. Datasheets uploaded for a part
+// (lib/datasheetStore) come first and are marked as the primary source.
+//
+//   DATASHEET_MAX_DOCS    PDFs read per part (default 2)
+//   DATASHEET_MAX_BYTES   largest PDF downloaded (default 15 MB)
+//   DATASHEET_MAX_PAGES   pages kept per document (default 6)
+//   DATASHEET_MAX_CHARS   excerpt budget per part in a prompt (default 12000)
+const FETCH_TIMEOUT_MS = 20000;
+
+// Sections worth quoting, matched against each page's text
+const SECTIONS = [
+  { name: 'ordering', label: 'Ordering Information', pattern: /ordering information|orderable (device|part)|order(ing)? (code|number)|package option|device information|package information|marking information/i },
+  { name: 'pinout', label: 'Pin Configuration', pattern: /pin (configuration|functions?|description|assignments?|out)|pinout|terminal (configuration|functions)/i },
+  { name: 'electrical', label: 'Electrical Characteristics', pattern: /electrical characteristics|absolute maximum ratings|recommended operating conditions|(dc|ac|switching) characteristics|timing (characteristics|requirements)/i }
+];
+
+class DatasheetError extends Error {
+  constructor(message, status = 500) {
+    super(message);
+    this.name = 'DatasheetError';
+    this.status = status;
+  }
+}
+
+function resolveConfig() {
+  return {
+    maxDocs: envInt('DATASHEET_MAX_DOCS', 2),
+    maxBytes: envInt('DATASHEET_MAX_BYTES', 15 * 1024 * 1024),
+    maxPages: envInt('DATASHEET_MAX_PAGES', 6),
+    maxChars: envInt('DATASHEET_MAX_CHARS', 12000)
+  };
+}
+
+// pdfjs-dist only ships as an ES module
+let pdfjsPromise = null;
+function loadPdfjs() {
+  if (!pdfjsPromise) pdfjsPromise = import('pdfjs-dist/legacy/build/pdf.mjs');
+  return pdfjsPromise;
+}
+
+// Helper: rebuild the text lines of one page from pdf.js text items. Items on
+// the same baseline form a line; a wide horizontal gap becomes " | " so table
+// rows keep their columns apart.
+function itemsToLines(items) {
+  const rows = [];
+  items
+    .filter(item => item.str && item.str.trim())
+    .forEach(item => {
+      const x = item.transform[4];
+      const y = item.transform[5];
+      const size = item.height || Math.abs(item.transform[3]) || 10;
+      let row = rows.find(r => Math.abs(r.y - y) <= size / 2);
+      if (!row) {
+        row = { y, items: [] };
+        rows.push(row);
+      }
+      row.items.push({ x, end: x + item.width, size, str: item.str.trim() });
+    });
+
+  return rows
+    .sort((a, b) => b.y - a.y)
+    .map(row => {
+      const cells = row.items.sort((a, b) => a.x - b.x);
+      return cells.reduce((line, cell, i) => {
+        if (i === 0) return cell.str;
+        const gap = cell.x - cells[i - 1].end;
+        return line + (gap > cell.size * 1.5 ? ' | ' : gap > cell.size * 0.15 ? ' ' : '') + cell.str;
+      }, '');
+    })
+    .filter(Boolean);
+}
+
+// [{ page, text }] for every page of a PDF, page numbers starting at 1
+async function extractPages(buffer) {
+  const pdfjs = await loadPdfjs();
+  const doc = await pdfjs.getDocument({
+    data: new Uint8Array(buffer),
+    isEvalSupported: false,
+    disableFontFace: true,
+    verbosity: pdfjs.VerbosityLevel.ERRORS
+  }).promise;
+
+  try {
+    const pages = [];
+    for (let n = 1; n <= doc.numPages; n++) {
+      const page = await doc.getPage(n);
+      const content = await page.getTextContent();
+      pages.push({ page: n, text: itemsToLines(content.items).join('\n') });
+      page.cleanup();
+    }
+    return pages;
+  } finally {
+    await doc.destroy();
+  }
+}
+
+function pageSections(text) {
+  return SECTIONS.filter(section => section.pattern.test(text)).map(section => section.name);
+}
+
+// Keep the first page (features, description) and the pages that carry the
+// most of the wanted sections, in page order.
+function selectPages(pages, maxPages = resolveConfig().maxPages) {
+  const scored = pages
+    .map(page => ({ ...page, sections: pageSections(page.text) }))
+    .filter(page => page.text.trim());
+  const first = scored.find(page => page.page === 1);
+  const ranked = scored
+    .filter(page => page !== first && page.sections.length)
+    .sort((a, b) => b.sections.length - a.sections.length || a.page - b.page);
+
+  return [first, ...ranked]
+    .filter(Boolean)
+    .slice(0, maxPages)
+    .sort((a, b) => a.page - b.page);
+}
+
+// Helper: download a PDF, refusing anything that is not one or is too large
+async function fetchPdf(url) {
+  const { maxBytes } = resolveConfig();
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), FETCH_TIMEOUT_MS);
+
+  try {
+    const resp = await fetch(url, {
+      signal: controller.signal,
+      headers: { Accept: 'application/pdf' },
+      size: maxBytes
+    });
+    if (!resp.ok) {
+      throw new DatasheetError(`Datasheet download failed: ${resp.status}`, 502);
+    }
+    const length = parseInt(resp.headers.get('content-length'), 10);
+    if (length > maxBytes) {
+      throw new DatasheetError(`Datasheet is larger than ${maxBytes} bytes`, 413);
+    }
+    const buffer = await resp.buffer();
+    if (buffer.subarray(0, 5).toString('latin1') !== '%PDF-') {
+      throw new DatasheetError('Not a PDF document', 415);
+    }
+    return buffer;
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      throw new DatasheetError(`Datasheet download timed out after ${FETCH_TIMEOUT_MS} ms`, 504);
+    }
+    if (error.type === 'max-size') {
+      throw new DatasheetError(`Datasheet is larger than ${maxBytes} bytes`, 413);
+    }
+    throw error;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// The relevant pages of one PDF: { pageCount, pages: [{ page, sections, text }] }
+async function readPdf(buffer) {
+  const pages = await extractPages(buffer);
+  return { pageCount: pages.length, pages: selectPages(pages) };
+}
+
+function looksLikeDatasheet(link) {
+  try {
+    return /\.pdf$/i.test(new URL(link).pathname) || /datasheet/i.test(link);
+  } catch (error) {
+    return false;
+  }
+}
+
+// Search results that look like datasheet PDFs, best ranked first
+function candidateLinks(searchItems) {
+  const seen = new Set();
+  return searchItems.filter(item => {
+    if (!item || !item.link) return false;
+    const key = normalizeLink(item.link);
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return looksLikeDatasheet(item.link);
+  });
+}
+
+// Uploaded datasheets of a part, in the shape of the downloaded ones
+async function uploadedDatasheets(partNumber) {
+  const stored = await datasheetStore.load(partNumber);
+  return stored.map(doc => ({
+    partNumber,
+    url: `/api/datasheets/${encodeURIComponent(partNumber)}/${doc.id}/file`,
+    title: doc.filename,
+    uploaded: true,
+    pageCount: doc.pageCount,
+    pages: selectPages(doc.pages)
+  }));
+}
+
+// Helper: the part's uploaded datasheets, then those among its search
+// results. Each URL is cached on its own; a document that fails to download
+// or parse is skipped.
+async function datasheetsForPart(partNumber, searchItems, { bypassCache = false } = {}) {
+  const { maxDocs } = resolveConfig();
+  const docs = await uploadedDatasheets(partNumber).catch(error => {
+    console.warn(`[datasheets] Could not read uploaded datasheets for ${partNumber}:`, error.message);
+    return [];
+  });
+  let downloaded = 0;
+
+  for (const item of candidateLinks(searchItems)) {
+    if (downloaded >= maxDocs) break;
+    try {
+      const doc = await lookupCache.wrap('datasheet', item.link, () => limiters.datasheet(async () => {
+        console.log(`[datasheets] Reading ${item.link}`);
+        return readPdf(await fetchPdf(item.link));
+      }), { bypass: bypassCache });
+      docs.push({ partNumber, url: item.link, title: item.title || item.link, ...doc });
+      downloaded++;
+    } catch (error) {
+      console.warn(`[datasheets] Skipping ${item.link} for ${partNumber}:`, error.message);
+    }
+  }
+
+  console.log(`[datasheets] ${partNumber}: read ${docs.length} datasheet(s)`);
+  return docs;
+}
+
+// Prompt context: numbered documents with page-delimited excerpts, trimmed to
+// DATASHEET_MAX_CHARS per part so long tables cannot crowd out the prompt.
+function summarizeDatasheets(docs) {
+  if (!docs.length) return 'No datasheets could be read.';
+  const { maxChars } = resolveConfig();
+  const budgets = new Map();
+
+  return docs.map((doc, i) => {
+    let remaining = budgets.has(doc.partNumber) ? budgets.get(doc.partNumber) : maxChars;
+    const pages = doc.pages.map(page => {
+      if (remaining <= 0) return null;
+      const text = page.text.length > remaining ? `${page.text.slice(0, remaining)}\n[...]` : page.text;
+      remaining -= text.length;
+      return `--- Page ${page.page} ---\n${text}`;
+    }).filter(Boolean);
+    budgets.set(doc.partNumber, remaining);
+
+    const origin = doc.uploaded ? 'uploaded by an engineer, primary source' : `URL: ${doc.url}`;
+    return `[Datasheet ${i + 1}] ${doc.partNumber}: ${doc.title} (${doc.pageCount} pages)\n${origin}\n${pages.join('\n')}`;
+  }).join('\n\n');
+}
+
+// What the client shows under "Datasheets used"; excerpts stay server-side
+function describeDatasheets(docs) {
+  return docs.map((doc, i) => ({
+    ref: `Datasheet ${i + 1}`,
+    partNumber: doc.partNumber,
+    title: doc.title,
+    url: doc.url,
+    uploaded: Boolean(doc.uploaded),
+    pageCount: doc.pageCount,
+    pages: doc.pages.map(page => ({ page: page.page, sections: page.sections }))
+  }));
+}
+
+module.exports = {
+  SECTIONS,
+  DatasheetError,
+  resolveConfig,
+  itemsToLines,
+  extractPages,
+  selectPages,
+  fetchPdf,
+  readPdf,
+  candidateLinks,
+  uploadedDatasheets,
+  datasheetsForPart,
+  summarizeDatasheets,
+  describeDatasheets
+};
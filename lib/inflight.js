@@ -0,0 +1,43 @@
+// In-flight request deduplication. Concurrent callers asking for the same key
+// share one pending promise instead of each hitting the upstream service; the
+// entry is dropped as soon as it settles, so later calls start fresh.
+
+function createInflight() {
+  const pending = new Map();
+  const counters = { started: 0, joined: 0 };
+
+  function run(key, fn) {
+    const existing = pending.get(key);
+    if (existing) {
+      counters.joined++;
+      existing.joiners++;
+      console.log(`[inflight] Joining in-flight lookup: ${key}`);
+      return existing.promise;
+    }
+
+    counters.started++;
+    const entry = { joiners: 0, promise: null };
+    entry.promise = Promise.resolve()
+      .then(fn)
+      .finally(() => {
+        pending.delete(key);
+      });
+    pending.set(key, entry);
+    return entry.promise;
+  }
+
+  // How many other callers are waiting on the execution for key. Lets the
+  // starter of a lookup cancel it only when nobody else depends on it.
+  function joiners(key) {
+    const entry = pending.get(key);
+    return entry ? entry.joiners : 0;
+  }
+
+  function stats() {
+    return { inFlight: pending.size, ...counters };
+  }
+
+  return { run, joiners, stats };
+}
+
+module.exports = { createInflight };
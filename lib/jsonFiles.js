@@ -0,0 +1,38 @@
+const fs = require('fs');
+const path = require('path');
+
+// Small helpers for the JSON file stores under DATA_DIR (uploaded datasheets,
+// the parts database).
+
+async function readJson(file, fallback) {
+  try {
+    return JSON.parse(await fs.promises.readFile(file, 'utf8'));
+  } catch (error) {
+    return fallback;
+  }
+}
+
+async function writeJson(file, value) {
+  await fs.promises.mkdir(path.dirname(file), { recursive: true });
+  // Write then rename so a concurrent reader never sees a partial file
+  const tmp = `${file}.${process.pid}.${Date.now()}.tmp`;
+  await fs.promises.writeFile(tmp, JSON.stringify(value));
+  await fs.promises.rename(tmp, file);
+}
+
+// Runs functions one at a time per key, for read-modify-write updates
+function createKeyedQueue() {
+  const queues = new Map();
+
+  return function run(key, fn) {
+    const previous = queues.get(key) || Promise.resolve();
+    const next = previous.catch(() => {}).then(fn);
+    queues.set(key, next);
+    next.finally(() => {
+      if (queues.get(key) === next) queues.delete(key);
+    }).catch(() => {});
+    return next;
+  };
+}
+
+module.exports = { readJson, writeJson, createKeyedQueue };
@@ -0,0 +1,262 @@
+const fetch = require('node-fetch');
+const { StringDecoder } = require('string_decoder');
+const { limiters } = require('./concurrency');
+
+// LLM provider layer. Every route talks to an OpenAI-compatible
+// /chat/completions endpoint; which one (OpenAI, a local Ollama or vLLM
+// server, any other compatible gateway) and which model are configuration.
+//
+// Resolution for a route such as "compare" (first match wins):
+//   provider: LLM_PROVIDER_COMPARE, LLM_PROVIDER, "openai"
+//   model:    LLM_MODEL_COMPARE, LLM_MODEL, provider default
+//   base URL: LLM_BASE_URL_COMPARE, LLM_BASE_URL, provider default
+//   API key:  LLM_API_KEY_COMPARE, LLM_API_KEY, provider key variable
+const PROVIDERS = {
+  openai: {
+    baseUrl: 'https://api.openai.com/v1',
+    defaultModel: 'gpt-4o',
+    apiKeyEnv: 'OPENAI_API_KEY',
+    requiresApiKey: true,
+    jsonSchema: true
+  },
+  ollama: {
+    baseUrl: 'http://localhost:11434/v1',
+    defaultModel: null,
+    apiKeyEnv: null,
+    requiresApiKey: false,
+    jsonSchema: true
+  },
+  vllm: {
+    baseUrl: 'http://localhost:8000/v1',
+    defaultModel: null,
+    apiKeyEnv: 'VLLM_API_KEY',
+    requiresApiKey: false,
+    jsonSchema: true
+  },
+  // Any other server exposing the OpenAI chat completions API
+  'openai-compatible': {
+    baseUrl: null,
+    defaultModel: null,
+    apiKeyEnv: null,
+    requiresApiKey: false,
+    jsonSchema: false
+  }
+};
+
+const ROUTES = ['alternatives', 'compare', 'bulk', 'extraction'];
+
+class LLMError extends Error {
+  constructor(message, status = 500) {
+    super(message);
+    this.name = 'LLMError';
+    this.status = status;
+  }
+}
+
+function routeEnv(name, route) {
+  return process.env[`${name}_${route.toUpperCase()}`] || process.env[name] || null;
+}
+
+function resolveConfig(route) {
+  const providerName = routeEnv('LLM_PROVIDER', route) || 'openai';
+  const provider = PROVIDERS[providerName];
+  if (!provider) {
+    throw new LLMError(`Unknown LLM provider "${providerName}". Use one of: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+
+  const apiKey = routeEnv('LLM_API_KEY', route) || (provider.apiKeyEnv ? process.env[provider.apiKeyEnv] : null);
+  const jsonSchemaEnv = routeEnv('LLM_JSON_SCHEMA', route);
+
+  return {
+    route,
+    provider: providerName,
+    model: routeEnv('LLM_MODEL', route) || provider.defaultModel,
+    baseUrl: (routeEnv('LLM_BASE_URL', route) || provider.baseUrl || '').replace(/\/+$/, ''),
+    apiKey,
+    apiKeyEnv: provider.apiKeyEnv,
+    requiresApiKey: provider.requiresApiKey,
+    jsonSchema: jsonSchemaEnv ? jsonSchemaEnv === 'true' : provider.jsonSchema
+  };
+}
+
+// Returns a human-readable problem with a route's configuration, or null.
+function configurationError(route) {
+  try {
+    const config = resolveConfig(route);
+    if (config.requiresApiKey && !config.apiKey) {
+      return `Server is not configured with ${config.apiKeyEnv || 'LLM_API_KEY'}`;
+    }
+    if (!config.model) {
+      return `Server is not configured with LLM_MODEL for provider "${config.provider}"`;
+    }
+    if (!config.baseUrl) {
+      return `Server is not configured with LLM_BASE_URL for provider "${config.provider}"`;
+    }
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+// Stable identifier of the model serving a route, used in cache keys so that
+// switching models never returns another model's answer.
+function modelId(route) {
+  const config = resolveConfig(route);
+  return `${config.provider}/${config.model}`;
+}
+
+function buildResponseFormat(config, jsonSchema) {
+  if (!jsonSchema) return undefined;
+  if (config.jsonSchema) {
+    return { type: 'json_schema', json_schema: jsonSchema };
+  }
+  // Servers without structured outputs: plain JSON mode, schema goes in the prompt
+  return { type: 'json_object' };
+}
+
+function buildRequest(route, { messages, maxTokens, temperature, jsonSchema, stream = false }) {
+  const problem = configurationError(route);
+  if (problem) throw new LLMError(problem);
+
+  const config = resolveConfig(route);
+  const responseFormat = buildResponseFormat(config, jsonSchema);
+  const finalMessages = jsonSchema && !config.jsonSchema
+    ? [
+      ...messages,
+      { role: 'system', content: `Respond only with JSON matching this schema:\n${JSON.stringify(jsonSchema.schema)}` }
+    ]
+    : messages;
+
+  const body = { model: config.model, messages: finalMessages };
+  if (maxTokens) body.max_tokens = maxTokens;
+  if (temperature !== undefined) body.temperature = temperature;
+  if (responseFormat) body.response_format = responseFormat;
+  if (stream) body.stream = true;
+
+  const headers = { 'Content-Type': 'application/json' };
+  if (config.apiKey) headers.Authorization = `Bearer ${config.apiKey}`;
+
+  return { config, url: `${config.baseUrl}/chat/completions`, headers, body };
+}
+
+async function readError(response) {
+  const errorData = await response.json().catch(() => ({}));
+  return new LLMError(`API Error: ${errorData.error?.message || response.statusText}`, response.status);
+}
+
+// Helper: one non-streaming chat completion for a route.
+// Resolves to { content, model, provider }.
+async function chatCompletion(route, options) {
+  const { config, url, headers, body } = buildRequest(route, options);
+  console.log(`[llm] ${route} -> ${config.provider}/${config.model}`);
+
+  const response = await limiters.llm(() => fetch(url, {
+    method: 'POST',
+    headers,
+    body: JSON.stringify(body)
+  }));
+
+  if (!response.ok) {
+    throw await readError(response);
+  }
+
+  const data = await response.json();
+  const content = data?.choices?.[0]?.message?.content || '';
+  if (!content) {
+    throw new LLMError('Empty response from model', 502);
+  }
+
+  return { content, model: data.model || config.model, provider: config.provider };
+}
+
+// Helper: streaming chat completion. Calls onDelta(text) for each content
+// chunk as it arrives and resolves to the same shape as chatCompletion once
+// the stream ends. Pass an AbortSignal to stop the upstream request early.
+async function streamChatCompletion(route, options, onDelta, signal) {
+  const { config, url, headers, body } = buildRequest(route, { ...options, stream: true });
+  console.log(`[llm] ${route} -> ${config.provider}/${config.model} (streaming)`);
+
+  return limiters.llm(async () => {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify(body),
+      signal
+    });
+
+    if (!response.ok) {
+      throw await readError(response);
+    }
+
+    let content = '';
+    let model = config.model;
+    let buffer = '';
+    const decoder = new StringDecoder('utf8'); // chunks can split multi-byte characters
+
+    // Server-sent events: "data: {json}" lines, terminated by "data: [DONE]"
+    for await (const chunk of response.body) {
+      buffer += decoder.write(chunk);
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+
+      for (const line of lines) {
+        const trimmed = line.trim();
+        if (!trimmed.startsWith('data:')) continue;
+        const payload = trimmed.slice(5).trim();
+        if (payload === '[DONE]') continue;
+
+        let event;
+        try {
+          event = JSON.parse(payload);
+        } catch (error) {
+          continue; // keep-alive or partial garbage
+        }
+        if (event.error) {
+          throw new LLMError(`API Error: ${event.error.message || 'stream error'}`, 502);
+        }
+        if (event.model) model = event.model;
+        const delta = event.choices?.[0]?.delta?.content;
+        if (delta) {
+          content += delta;
+          onDelta(delta);
+        }
+      }
+    }
+
+    if (!content) {
+      throw new LLMError('Empty response from model', 502);
+    }
+    return { content, model, provider: config.provider };
+  });
+}
+
+function describeRoutes() {
+  return ROUTES.reduce((acc, route) => {
+    try {
+      const config = resolveConfig(route);
+      acc[route] = {
+        provider: config.provider,
+        model: config.model,
+        baseUrl: config.baseUrl,
+        configured: !configurationError(route)
+      };
+    } catch (error) {
+      acc[route] = { configured: false, error: error.message };
+    }
+    return acc;
+  }, {});
+}
+
+module.exports = {
+  PROVIDERS,
+  ROUTES,
+  LLMError,
+  resolveConfig,
+  configurationError,
+  modelId,
+  buildRequest,
+  readError,
+  chatCompletion,
+  streamChatCompletion,
+  describeRoutes
+};
@@ -0,0 +1,182 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { dataPath } = require('./dataDir');
+const { envInt } = require('./concurrency');
+const { createInflight } = require('./inflight');
+
+// Filesystem-backed cache for upstream lookups (web search, cross-references,
+// LLM, datasheets), keyed by source and normalized part number. One JSON file
+// per entry keeps it dependency-free and easy to inspect or wipe by hand.
+const CACHE_DIR = process.env.CACHE_DIR || dataPath('cache');
+
+// TTL per source, in seconds
+const TTL_SECONDS = {
+  search: envInt('CACHE_TTL_SEARCH', envInt('CACHE_TTL_GOOGLE', 24 * 60 * 60)),
+  crossref: envInt('CACHE_TTL_CROSSREF', envInt('CACHE_TTL_TI', 7 * 24 * 60 * 60)),
+  llm: envInt('CACHE_TTL_LLM', envInt('CACHE_TTL_OPENAI', 7 * 24 * 60 * 60)),
+  datasheet: envInt('CACHE_TTL_DATASHEET', 30 * 24 * 60 * 60)
+};
+const SOURCES = Object.keys(TTL_SECONDS);
+
+const counters = { hits: 0, misses: 0, bypassed: 0, writes: 0 };
+const enabled = process.env.CACHE_DISABLED !== 'true';
+const inflight = createInflight();
+
+function normalizeKey(key) {
+  return String(key).trim().toUpperCase();
+}
+
+function entryPath(source, key) {
+  const hash = crypto.createHash('sha1').update(normalizeKey(key)).digest('hex');
+  return path.join(CACHE_DIR, source, `${hash}.json`);
+}
+
+function assertSource(source) {
+  if (!SOURCES.includes(source)) {
+    throw new Error(`Unknown cache source "${source}". Use one of: ${SOURCES.join(', ')}`);
+  }
+}
+
+async function readEntry(file) {
+  try {
+    return JSON.parse(await fs.promises.readFile(file, 'utf8'));
+  } catch (error) {
+    return null;
+  }
+}
+
+async function get(source, key) {
+  assertSource(source);
+  const file = entryPath(source, key);
+  const entry = await readEntry(file);
+  if (!entry) return undefined;
+  if (Date.parse(entry.expiresAt) <= Date.now()) {
+    await fs.promises.unlink(file).catch(() => {});
+    return undefined;
+  }
+  return entry.value;
+}
+
+async function set(source, key, value) {
+  assertSource(source);
+  const file = entryPath(source, key);
+  const now = Date.now();
+  const entry = {
+    source,
+    key: normalizeKey(key),
+    createdAt: new Date(now).toISOString(),
+    expiresAt: new Date(now + TTL_SECONDS[source] * 1000).toISOString(),
+    value
+  };
+  await fs.promises.mkdir(path.dirname(file), { recursive: true });
+  // Write then rename so a concurrent reader never sees a partial file
+  const tmp = `${file}.${process.pid}.${now}.tmp`;
+  await fs.promises.writeFile(tmp, JSON.stringify(entry));
+  await fs.promises.rename(tmp, file);
+  counters.writes++;
+}
+
+// Return the cached value for (source, key) or compute, store and return it.
+// `bypass` skips the read but still refreshes the entry. `shouldCache` lets a
+// caller refuse to store results that may be transient failures. Concurrent
+// calls for the same (source, key) share a single execution, cached or not;
+// bypassing calls only join other bypassing calls so they always go upstream.
+function inflightKey(source, key, bypass) {
+  return `${source}:${normalizeKey(key)}${bypass ? ':bypass' : ''}`;
+}
+
+function wrap(source, key, compute, { bypass = false, shouldCache = () => true } = {}) {
+  return inflight.run(inflightKey(source, key, bypass), async () => {
+    if (!enabled) return compute();
+
+    if (bypass) {
+      counters.bypassed++;
+    } else {
+      const cached = await get(source, key);
+      if (cached !== undefined) {
+        counters.hits++;
+        console.log(`[lookupCache] ${source} hit: ${normalizeKey(key)}`);
+        return cached;
+      }
+      counters.misses++;
+    }
+
+    const value = await compute();
+    if (value !== undefined && shouldCache(value)) {
+      await set(source, key, value).catch(error => {
+        console.warn(`[lookupCache] Failed to write ${source} entry:`, error.message);
+      });
+    }
+    return value;
+  });
+}
+
+// Number of other requests currently waiting on the same wrap() call.
+function joinedCount(source, key, { bypass = false } = {}) {
+  return inflight.joiners(inflightKey(source, key, bypass));
+}
+
+// Part numbers a cache key is for. Keys are the part number, optionally after
+// a namespace ("ti:LM317", "alternatives:LM317") and before "@<model or
+// config>"; comparisons join their parts with "|".
+function keyPartNumbers(key) {
+  const subject = key.split('@')[0];
+  return subject.slice(subject.lastIndexOf(':') + 1).split('|');
+}
+
+// An entry matches a key filter when the filter is one of its part numbers
+// (LM317 does not match LM3170 or LM317A) or its whole key (e.g. a datasheet URL)
+function matchesKey(entryKey, wanted) {
+  return entryKey === wanted || keyPartNumbers(entryKey).includes(wanted);
+}
+
+async function list({ source, key } = {}) {
+  const sources = source ? [source] : SOURCES;
+  sources.forEach(assertSource);
+  const wanted = key ? normalizeKey(key) : null;
+  const entries = [];
+
+  for (const src of sources) {
+    const dir = path.join(CACHE_DIR, src);
+    const files = await fs.promises.readdir(dir).catch(() => []);
+    for (const name of files.filter(f => f.endsWith('.json'))) {
+      const entry = await readEntry(path.join(dir, name));
+      if (!entry) continue;
+      if (wanted && !matchesKey(entry.key, wanted)) continue;
+      entries.push({
+        source: entry.source,
+        key: entry.key,
+        createdAt: entry.createdAt,
+        expiresAt: entry.expiresAt,
+        expired: Date.parse(entry.expiresAt) <= Date.now()
+      });
+    }
+  }
+
+  return entries.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+// Remove the entries list() would return; with no filter this empties the
+// whole cache.
+async function clear({ source, key } = {}) {
+  const entries = await list({ source, key });
+  await Promise.all(entries.map(e => fs.promises.unlink(entryPath(e.source, e.key)).catch(() => {})));
+  return entries.length;
+}
+
+function stats() {
+  return { enabled, directory: CACHE_DIR, ttlSeconds: TTL_SECONDS, ...counters, inflight: inflight.stats() };
+}
+
+module.exports = {
+  SOURCES,
+  normalizeKey,
+  get,
+  set,
+  wrap,
+  joinedCount,
+  list,
+  clear,
+  stats
+};
@@ -0,0 +1,57 @@
+const { Marked } = require('marked');
+
+// Model reports rendered to HTML for the page. The markdown is written by a
+// model from scraped web pages, so it is untrusted: raw HTML in it is shown as
+// text (except <br>, which reports use inside table cells), and links and
+// images only keep http(s), mailto and relative URLs. script.js renders the
+// streamed preview with the same rules.
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// Browsers ignore control characters and spaces inside a scheme ("java\tscript:")
+function isSafeUrl(href, schemes) {
+  const url = String(href || '').replace(/[\u0000- ]/g, '');
+  const scheme = url.match(/^([a-z][a-z0-9+.-]*):/i);
+  return !scheme || schemes.includes(scheme[1].toLowerCase());
+}
+
+const markdown = new Marked({
+  breaks: true, // Convert line breaks to <br>
+  gfm: true, // GitHub Flavored Markdown
+  renderer: {
+    html(html) {
+      return escapeHtml(html).replace(/&lt;br\s*\/?&gt;/gi, '<br>');
+    },
+    // false falls back to the default rendering
+    link(href, title, text) {
+      return isSafeUrl(href, ['http', 'https', 'mailto']) ? false : text;
+    },
+    image(href, title, text) {
+      return isSafeUrl(href, ['http', 'https']) ? false : text;
+    }
+  }
+});
+
+function renderMarkdown(text) {
+  return markdown.parse(String(text || ''));
+}
+
+// Comparison reports, with the classes the comparison table is styled by
+function renderComparison(text) {
+  return renderMarkdown(text)
+    .replace(/<table\b/g, '<table class="comparison-table"')
+    .replace(/<tr\b/g, '<tr class="comparison-row"')
+    .replace(/<td\b/g, '<td class="comparison-cell"')
+    .replace(/<th\b/g, '<th class="comparison-header"');
+}
+
+module.exports = {
+  renderMarkdown,
+  renderComparison
+};
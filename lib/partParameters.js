@@ -0,0 +1,279 @@
+const llm = require('./llm');
+const { LIFECYCLE_VALUES } = require('./structuredAlternatives');
+
+// Parametric data for every part an analysis report talks about: package,
+// pin count, lifecycle, price and electrical parameters with units. The
+// report is converted with a schema-constrained completion, then values are
+// normalized (canonical parameter keys, SI base units) for the parts database.
+const CATEGORY_VALUES = [
+  'LDO Regulator',
+  'Switching Regulator',
+  'Voltage Reference',
+  'Power Management',
+  'Op Amp',
+  'Comparator',
+  'ADC',
+  'DAC',
+  'Microcontroller',
+  'Processor',
+  'FPGA',
+  'Memory',
+  'Interface',
+  'Clock and Timing',
+  'Logic',
+  'Sensor',
+  'MOSFET',
+  'BJT',
+  'Diode',
+  'Passive',
+  'Other'
+];
+
+// Parameters stored under a fixed key whatever the report calls them, so
+// queries can compare parts analyzed at different times. A name matches when
+// its whole stem does (see parameterStem) and its unit is the key's unit, so
+// "Supply voltage rejection ratio" in dB or "Output voltage swing" keep names
+// of their own.
+const CANONICAL_PARAMETERS = [
+  { key: 'dropoutVoltage', label: 'Dropout voltage', unit: 'V', pattern: /^(dropout( voltage)?|v ?do|v ?dropout)$/ },
+  { key: 'inputVoltage', label: 'Input voltage', unit: 'V', pattern: /^(input( supply)? voltage|v ?in)$/ },
+  { key: 'outputVoltage', label: 'Output voltage', unit: 'V', pattern: /^(output voltage|v ?out)$/ },
+  { key: 'supplyVoltage', label: 'Supply voltage', unit: 'V', pattern: /^((operating )?supply voltage|operating voltage|v ?(cc|dd|s))$/ },
+  { key: 'outputCurrent', label: 'Output current', unit: 'A', pattern: /^(output current|load current|i ?out)$/ },
+  { key: 'quiescentCurrent', label: 'Quiescent current', unit: 'A', pattern: /^(quiescent current|ground current|supply current|i ?(q|cc|dd|gnd))$/ },
+  { key: 'powerDissipation', label: 'Power dissipation', unit: 'W', pattern: /^(power dissipation|p ?d)$/ },
+  { key: 'frequency', label: 'Frequency', unit: 'Hz', pattern: /^((operating|switching|clock|oscillator) )?frequency$|^clock (speed|rate)$|^f ?(sw|clk|osc)$/ },
+  { key: 'bandwidth', label: 'Bandwidth', unit: 'Hz', pattern: /^((unity )?gain )?bandwidth( product)?$|^gbwp?$/ },
+  { key: 'resolution', label: 'Resolution', unit: 'bit', pattern: /^resolution$/ },
+  { key: 'operatingTemperature', label: 'Operating temperature', unit: '°C', pattern: /^(operating( ambient)? temperature|ambient temperature|temperature|t ?(a|op|opr))$/ }
+];
+
+// Qualifiers that do not change what a parameter is
+const PARAMETER_QUALIFIERS = /\b(absolute|max|maximum|min|minimum|typ|typical|nominal|recommended|rated|continuous|range)\b/g;
+
+const UNIT_PREFIXES = { G: 1e9, M: 1e6, k: 1e3, K: 1e3, m: 1e-3, 'µ': 1e-6, 'μ': 1e-6, u: 1e-6, n: 1e-9, p: 1e-12 };
+const BASE_UNITS = { V: 'V', A: 'A', W: 'W', Hz: 'Hz', F: 'F', H: 'H', s: 's', 'Ω': 'Ω', ohm: 'Ω', ohms: 'Ω', bit: 'bit', bits: 'bit', B: 'B' };
+const TEMPERATURE_UNITS = ['°C', 'ºC', 'degC', 'C'];
+
+const nullableString = { type: ['string', 'null'] };
+const nullableNumber = { type: ['number', 'null'] };
+
+const PARAMETERS_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['parts'],
+  properties: {
+    parts: {
+      type: 'array',
+      items: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['partNumber', 'manufacturer', 'category', 'description', 'package', 'pinCount', 'lifecycle', 'price', 'parameters'],
+        properties: {
+          partNumber: { type: 'string' },
+          manufacturer: nullableString,
+          category: { type: 'string', enum: CATEGORY_VALUES },
+          description: nullableString,
+          package: nullableString,
+          pinCount: { type: ['integer', 'null'] },
+          lifecycle: { type: 'string', enum: LIFECYCLE_VALUES },
+          price: {
+            type: 'object',
+            additionalProperties: false,
+            required: ['unitPrice', 'currency', 'distributor', 'sourceUrl'],
+            properties: {
+              unitPrice: nullableNumber,
+              currency: nullableString,
+              distributor: nullableString,
+              sourceUrl: nullableString
+            }
+          },
+          parameters: {
+            type: 'array',
+            items: {
+              type: 'object',
+              additionalProperties: false,
+              required: ['name', 'min', 'typ', 'max', 'unit', 'conditions', 'citation'],
+              properties: {
+                name: { type: 'string' },
+                min: nullableNumber,
+                typ: nullableNumber,
+                max: nullableNumber,
+                unit: nullableString,
+                conditions: nullableString,
+                citation: nullableString
+              }
+            }
+          }
+        }
+      }
+    }
+  }
+};
+
+function asString(value) {
+  if (value === null || value === undefined) return null;
+  const text = String(value).trim();
+  return text.length ? text : null;
+}
+
+function asNumber(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+function asEnum(value, allowed, fallback) {
+  const text = asString(value);
+  if (!text) return fallback;
+  return allowed.find(v => v.toLowerCase() === text.toLowerCase()) || fallback;
+}
+
+function camelCase(name) {
+  const words = name.toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim().split(' ').filter(Boolean);
+  return words.map((word, i) => (i === 0 ? word : word[0].toUpperCase() + word.slice(1))).join('');
+}
+
+// Helper: a parameter name without symbols in parentheses, qualifiers or
+// punctuation: "Maximum Output Current (IOUT)" -> "output current"
+function parameterStem(name) {
+  return name.toLowerCase()
+    .replace(/\(.*?\)/g, ' ')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .replace(PARAMETER_QUALIFIERS, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// Canonical { key, label } for a parameter name as the report wrote it and
+// its base unit
+function canonicalParameter(name, unit) {
+  const stem = parameterStem(name);
+  const known = CANONICAL_PARAMETERS.find(p => p.unit === unit && p.pattern.test(stem));
+  if (known) return { key: known.key, label: known.label };
+
+  const key = camelCase(name) || 'parameter';
+  if (!CANONICAL_PARAMETERS.some(p => p.key === key)) return { key, label: name };
+  // A canonical name in another unit is kept apart from the canonical values
+  const unitWord = camelCase(unit || 'no unit') || 'other';
+  return { key: `${key}${unitWord[0].toUpperCase()}${unitWord.slice(1)}`, label: `${name} (${unit || 'no unit'})` };
+}
+
+// Scale factor and base unit for a unit string such as "mA", "MHz" or "kΩ".
+// Units it does not know (%, dB, ppm/°C, ...) are kept as written.
+function parseUnit(unit) {
+  const text = asString(unit);
+  if (!text) return { factor: 1, unit: null };
+  if (TEMPERATURE_UNITS.includes(text)) return { factor: 1, unit: '°C' };
+  if (BASE_UNITS[text]) return { factor: 1, unit: BASE_UNITS[text] };
+
+  const prefix = text[0];
+  const rest = text.slice(1);
+  if (UNIT_PREFIXES[prefix] && BASE_UNITS[rest]) {
+    return { factor: UNIT_PREFIXES[prefix], unit: BASE_UNITS[rest] };
+  }
+  return { factor: 1, unit: text };
+}
+
+// Rounds away floating point noise from unit scaling (0.1 * 1e-3 etc.)
+function scale(value, factor) {
+  if (value === null) return null;
+  return Number((value * factor).toPrecision(12));
+}
+
+function normalizeParameter(param) {
+  const name = asString(param && param.name);
+  if (!name) return null;
+  const { factor, unit } = parseUnit(param.unit);
+  const { key, label } = canonicalParameter(name, unit);
+  const values = ['min', 'typ', 'max'].map(field => scale(asNumber(param[field]), factor));
+  if (values.every(v => v === null)) return null;
+
+  const [min, typ, max] = values;
+  return {
+    key,
+    label,
+    name,
+    min,
+    typ,
+    max,
+    unit,
+    conditions: asString(param.conditions),
+    citation: asString(param.citation)
+  };
+}
+
+// Normalize and validate model output against PARAMETERS_SCHEMA. Parts
+// without a part number and parameters without any value are dropped.
+function validatePartParameters(data) {
+  if (!data || typeof data !== 'object' || !Array.isArray(data.parts)) {
+    throw new Error('Part parameters missing "parts" array');
+  }
+
+  return data.parts
+    .map(part => {
+      if (!part || typeof part !== 'object') return null;
+      const partNumber = asString(part.partNumber);
+      if (!partNumber) return null;
+
+      const price = part.price || {};
+      const unitPrice = asNumber(price.unitPrice);
+      const pinCount = asNumber(part.pinCount);
+
+      return {
+        partNumber,
+        manufacturer: asString(part.manufacturer),
+        category: asEnum(part.category, CATEGORY_VALUES, 'Other'),
+        description: asString(part.description),
+        package: asString(part.package),
+        pinCount: Number.isInteger(pinCount) && pinCount > 0 ? pinCount : null,
+        lifecycle: asEnum(part.lifecycle, LIFECYCLE_VALUES, 'Unknown'),
+        price: unitPrice !== null && unitPrice >= 0
+          ? {
+            unitPrice,
+            currency: asString(price.currency),
+            distributor: asString(price.distributor),
+            sourceUrl: /^https?:\/\//i.test(asString(price.sourceUrl) || '') ? asString(price.sourceUrl) : null
+          }
+          : null,
+        parameters: Array.isArray(part.parameters)
+          ? part.parameters.map(normalizeParameter).filter(Boolean)
+          : []
+      };
+    })
+    .filter(Boolean);
+}
+
+// Helper: extract every part's parameters from a report. `partNumbers` are the
+// parts the analysis was about; alternatives the report names are included.
+async function extractPartParameters(markdown, partNumbers) {
+  console.log(`[extractPartParameters] Extracting parameters for: ${partNumbers.join(', ')}`);
+  const { content } = await llm.chatCompletion('extraction', {
+    messages: [
+      {
+        role: 'system',
+        content: 'You convert electronic component reports into parametric data. Only use values stated in the report. Give numbers with their unit as written (e.g. 15 and "V", 800 and "mA"). Keep the datasheet citation, e.g. "Datasheet 1, p. 4", when the report gives one, otherwise null. Never invent values.'
+      },
+      {
+        role: 'user',
+        content: `Parts analyzed: ${partNumbers.join(', ')}\n\nReport:\n${markdown}`
+      }
+    ],
+    jsonSchema: { name: 'part_parameters', strict: true, schema: PARAMETERS_SCHEMA },
+    maxTokens: 6000,
+    temperature: 0
+  });
+
+  return validatePartParameters(JSON.parse(content));
+}
+
+module.exports = {
+  CATEGORY_VALUES,
+  CANONICAL_PARAMETERS,
+  PARAMETERS_SCHEMA,
+  canonicalParameter,
+  parseUnit,
+  normalizeParameter,
+  validatePartParameters,
+  extractPartParameters
+};
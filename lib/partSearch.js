@@ -0,0 +1,219 @@
+const partsDb = require('./partsDb');
+const { CATEGORY_VALUES, CANONICAL_PARAMETERS, parseUnit } = require('./partParameters');
+const { LIFECYCLE_VALUES } = require('./structuredAlternatives');
+
+// Parametric search over the parts database, without a model call. A query
+// (all criteria optional, all must match):
+//
+//   {
+//     partNumber: 'LM11',                 // substring
+//     manufacturer: 'texas',              // substring, case-insensitive
+//     category: ['LDO Regulator'],        // any of
+//     package: 'SOT-23-5',                // substring, ignoring case and punctuation
+//     lifecycle: ['Active', 'NRND'],      // any of
+//     parameters: [
+//       { key: 'inputVoltage', bound: 'max', gte: 16, unit: 'V' }
+//     ],
+//     verifiedOnly: false,                // parameters must have a datasheet citation
+//     limit: 100
+//   }
+//
+// A parameter range tests the stated `bound` (min, typ or max) against
+// gte/lte, in `unit` (prefixes allowed, e.g. mA). Without a bound the part's
+// stated range must overlap the requested one.
+const BOUNDS = ['min', 'typ', 'max'];
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 500;
+
+class PartSearchError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'PartSearchError';
+    this.status = status;
+  }
+}
+
+// Helper: packages compare without case, spaces or punctuation (SOT-23-5 = SOT23 5)
+function packageKey(value) {
+  return String(value || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+}
+
+function asList(value, allowed, name) {
+  if (value === undefined || value === null || value === '') return null;
+  const values = (Array.isArray(value) ? value : [value]).map(v => String(v).trim()).filter(Boolean);
+  const matched = values.map(v => allowed.find(a => a.toLowerCase() === v.toLowerCase()));
+  const unknown = values.filter((v, i) => !matched[i]);
+  if (unknown.length) {
+    throw new PartSearchError(`Unknown ${name}: ${unknown.join(', ')}. Expected one of: ${allowed.join(', ')}`);
+  }
+  return matched.length ? matched : null;
+}
+
+function asText(value) {
+  if (value === undefined || value === null) return null;
+  const text = String(value).trim();
+  return text.length ? text : null;
+}
+
+function asBound(value, name) {
+  if (value === undefined || value === null || value === '') return null;
+  const number = Number(value);
+  if (!Number.isFinite(number)) throw new PartSearchError(`${name} must be a number`);
+  return number;
+}
+
+function parseRange(range, i) {
+  if (!range || typeof range !== 'object') throw new PartSearchError(`parameters[${i}] must be an object`);
+  const key = asText(range.key);
+  if (!key) throw new PartSearchError(`parameters[${i}].key is required`);
+  const bound = asText(range.bound);
+  if (bound && !BOUNDS.includes(bound)) {
+    throw new PartSearchError(`parameters[${i}].bound must be one of: ${BOUNDS.join(', ')}`);
+  }
+
+  const { factor, unit } = parseUnit(range.unit);
+  const gte = asBound(range.gte, `parameters[${i}].gte`);
+  const lte = asBound(range.lte, `parameters[${i}].lte`);
+  return {
+    key,
+    bound,
+    unit,
+    gte: gte === null ? null : gte * factor,
+    lte: lte === null ? null : lte * factor
+  };
+}
+
+// Validate a request body into a query; throws PartSearchError (400)
+function parseQuery(body) {
+  const query = body || {};
+  if (query.parameters !== undefined && !Array.isArray(query.parameters)) {
+    throw new PartSearchError('parameters must be an array');
+  }
+  const limit = asBound(query.limit, 'limit');
+
+  return {
+    partNumber: asText(query.partNumber),
+    manufacturer: asText(query.manufacturer),
+    category: asList(query.category, CATEGORY_VALUES, 'category'),
+    package: asText(query.package),
+    lifecycle: asList(query.lifecycle, LIFECYCLE_VALUES, 'lifecycle'),
+    parameters: (query.parameters || []).map(parseRange),
+    verifiedOnly: query.verifiedOnly === true || query.verifiedOnly === 'true',
+    limit: Math.min(Math.max(Math.floor(limit || DEFAULT_LIMIT), 1), MAX_LIMIT)
+  };
+}
+
+function fieldValue(record, field) {
+  const entry = record.fields[field];
+  return entry ? entry.value : null;
+}
+
+function contains(value, text) {
+  return value !== null && String(value).toLowerCase().includes(text.toLowerCase());
+}
+
+// Helper: floating point tolerance for values scaled between units
+function atLeast(value, limit) {
+  return value >= limit - Math.abs(limit) * 1e-9;
+}
+
+function atMost(value, limit) {
+  return value <= limit + Math.abs(limit) * 1e-9;
+}
+
+function matchesRange(param, range, verifiedOnly) {
+  if (!param) return false;
+  if (verifiedOnly && !param.verified) return false;
+  if (range.unit && param.unit !== range.unit) return false;
+
+  if (range.bound) {
+    const value = param[range.bound];
+    if (value === null || value === undefined) return false;
+    return (range.gte === null || atLeast(value, range.gte)) && (range.lte === null || atMost(value, range.lte));
+  }
+
+  // The stated range [low, high] must overlap the requested one
+  const stated = BOUNDS.map(b => param[b]).filter(v => v !== null && v !== undefined);
+  if (!stated.length) return false;
+  const low = Math.min(...stated);
+  const high = Math.max(...stated);
+  return (range.gte === null || atLeast(high, range.gte)) && (range.lte === null || atMost(low, range.lte));
+}
+
+function matches(record, query) {
+  if (query.partNumber && !contains(record.partNumber, query.partNumber)) return false;
+  if (query.manufacturer && !contains(fieldValue(record, 'manufacturer'), query.manufacturer)) return false;
+  if (query.category && !query.category.includes(fieldValue(record, 'category') || 'Other')) return false;
+  if (query.lifecycle && !query.lifecycle.includes(fieldValue(record, 'lifecycle') || 'Unknown')) return false;
+  if (query.package && !packageKey(fieldValue(record, 'package')).includes(packageKey(query.package))) return false;
+  return query.parameters.every(range => matchesRange(record.parameters[range.key], range, query.verifiedOnly));
+}
+
+// Helper: flat row for results, with the parameters the query tested first
+function toResult(record, query) {
+  const tested = query.parameters.map(range => range.key);
+  const keys = Object.keys(record.parameters)
+    .sort((a, b) => (tested.includes(b) - tested.includes(a)) || a.localeCompare(b));
+
+  return {
+    partNumber: record.partNumber,
+    manufacturer: fieldValue(record, 'manufacturer'),
+    category: fieldValue(record, 'category'),
+    description: fieldValue(record, 'description'),
+    package: fieldValue(record, 'package'),
+    pinCount: fieldValue(record, 'pinCount'),
+    lifecycle: fieldValue(record, 'lifecycle'),
+    price: fieldValue(record, 'price'),
+    parameters: keys.map(key => ({ key, ...record.parameters[key] })),
+    updatedAt: record.updatedAt
+  };
+}
+
+function filterParts(records, query) {
+  const matched = records
+    .filter(record => matches(record, query))
+    .sort((a, b) => a.partNumber.localeCompare(b.partNumber));
+  return {
+    total: matched.length,
+    parts: matched.slice(0, query.limit).map(record => toResult(record, query))
+  };
+}
+
+async function search(body) {
+  const query = parseQuery(body);
+  const result = filterParts(await partsDb.list(), query);
+  console.log(`[partSearch] ${result.total} of the recorded parts match`, JSON.stringify(query));
+  return result;
+}
+
+// What the database holds, for building a search form: the fixed categories,
+// lifecycles and canonical parameters, plus the packages and manufacturers
+// and the other parameter keys seen so far.
+async function describe() {
+  const records = await partsDb.list();
+  const distinct = field => [...new Set(records.map(record => fieldValue(record, field)).filter(Boolean))].sort();
+
+  const parameters = CANONICAL_PARAMETERS.map(({ key, label, unit }) => ({ key, label, unit }));
+  records.forEach(record => {
+    Object.entries(record.parameters).forEach(([key, param]) => {
+      if (!parameters.some(p => p.key === key)) parameters.push({ key, label: param.label, unit: param.unit });
+    });
+  });
+
+  return {
+    count: records.length,
+    categories: CATEGORY_VALUES,
+    lifecycles: LIFECYCLE_VALUES,
+    packages: distinct('package'),
+    manufacturers: distinct('manufacturer'),
+    parameters
+  };
+}
+
+module.exports = {
+  PartSearchError,
+  parseQuery,
+  filterParts,
+  search,
+  describe
+};
@@ -0,0 +1,139 @@
+const fs = require('fs');
+const path = require('path');
+const { dataPath } = require('./dataDir');
+const { normalizeKey } = require('./lookupCache');
+const { readJson, writeJson, createKeyedQueue } = require('./jsonFiles');
+
+// Local parts database: what alternatives, compare and bulk runs have found
+// out about each part, so later analyses can reuse it. One JSON file per part:
+//
+//   {
+//     partNumber,
+//     fields: {                      // manufacturer, category, description,
+//       package: { value, source, recordedAt }      // package, pinCount,
+//     },                                            // lifecycle, price
+//     parameters: {                  // canonical key -> SI base unit values
+//       inputVoltage: { label, name, min, typ, max, unit, conditions,
+//                       citation, verified, source, recordedAt }
+//     },
+//     updatedAt
+//   }
+//
+// `source` is { analysis: 'alternatives' | 'compare' | 'bulk', subject, model }.
+// A parameter is verified when the report cited a datasheet page for it. A
+// newer value replaces an older one, except that an unverified parameter never
+// replaces a verified one.
+const DB_DIR = process.env.PARTS_DB_DIR || dataPath('parts');
+const FIELDS = ['manufacturer', 'category', 'description', 'package', 'pinCount', 'lifecycle', 'price'];
+
+// Placeholder values the extraction uses when a report says nothing
+const UNKNOWN_VALUES = { category: 'Other', lifecycle: 'Unknown' };
+
+const queue = createKeyedQueue();
+
+function partFile(partNumber) {
+  return path.join(DB_DIR, `${encodeURIComponent(normalizeKey(partNumber))}.json`);
+}
+
+async function get(partNumber) {
+  return readJson(partFile(partNumber), null);
+}
+
+// Every part in the database
+async function list() {
+  const files = await fs.promises.readdir(DB_DIR).catch(() => []);
+  const records = await Promise.all(files
+    .filter(name => name.endsWith('.json'))
+    .map(name => readJson(path.join(DB_DIR, name), null)));
+  return records.filter(Boolean);
+}
+
+function isKnown(field, value) {
+  return value !== null && value !== undefined && value !== '' && value !== UNKNOWN_VALUES[field];
+}
+
+function mergePart(existing, part, source, recordedAt) {
+  const record = existing || { partNumber: normalizeKey(part.partNumber), fields: {}, parameters: {} };
+
+  FIELDS.forEach(field => {
+    if (isKnown(field, part[field])) {
+      record.fields[field] = { value: part[field], source, recordedAt };
+    }
+  });
+
+  (part.parameters || []).forEach(param => {
+    const { key, ...values } = param;
+    const verified = Boolean(param.citation);
+    const current = record.parameters[key];
+    if (current && current.verified && !verified) return;
+    record.parameters[key] = { ...values, verified, source, recordedAt };
+  });
+
+  record.updatedAt = recordedAt;
+  return record;
+}
+
+// Merge extracted parts ([{ partNumber, ...fields, parameters }]) into the
+// database. Returns the normalized part numbers written.
+async function record(parts, source, recordedAt = new Date().toISOString()) {
+  const written = await Promise.all(parts
+    .filter(part => part && part.partNumber)
+    .map(part => queue(normalizeKey(part.partNumber), async () => {
+      const file = partFile(part.partNumber);
+      await writeJson(file, mergePart(await readJson(file, null), part, source, recordedAt));
+      return normalizeKey(part.partNumber);
+    })));
+
+  if (written.length) {
+    console.log(`[partsDb] Recorded ${written.join(', ')} from ${source.analysis} ${source.subject}`);
+  }
+  return written;
+}
+
+async function remove(partNumber) {
+  return queue(normalizeKey(partNumber), async () => {
+    try {
+      await fs.promises.unlink(partFile(partNumber));
+      return true;
+    } catch (error) {
+      return false;
+    }
+  });
+}
+
+// Helper: "max 15 V", "2.6 to 15 V", "typ 50 µA"-style text for one parameter
+function formatRange({ min, typ, max, unit }) {
+  const suffix = unit ? ` ${unit}` : '';
+  if (min !== null && max !== null) return `${min} to ${max}${suffix}`;
+  const parts = [];
+  if (min !== null) parts.push(`min ${min}`);
+  if (typ !== null) parts.push(`typ ${typ}`);
+  if (max !== null) parts.push(`max ${max}`);
+  return `${parts.join(', ')}${suffix}`;
+}
+
+// Prompt context: the verified parameters earlier analyses recorded for some
+// parts, with the datasheet page and date they came from.
+function summarizeVerified(records) {
+  const lines = records.filter(Boolean).map(rec => {
+    const params = Object.values(rec.parameters).filter(param => param.verified);
+    if (!params.length) return null;
+    return `${rec.partNumber}:\n${params.map(param =>
+      `- ${param.label}: ${formatRange(param)}${param.conditions ? ` (${param.conditions})` : ''} [${param.citation}; ${param.source.analysis} ${param.source.subject}, ${param.recordedAt.slice(0, 10)}]`
+    ).join('\n')}`;
+  }).filter(Boolean);
+
+  return lines.length ? lines.join('\n\n') : 'No previously verified parameters.';
+}
+
+module.exports = {
+  DB_DIR,
+  FIELDS,
+  get,
+  list,
+  record,
+  remove,
+  mergePart,
+  formatRange,
+  summarizeVerified
+};
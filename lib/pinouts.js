@@ -0,0 +1,201 @@
+const llm = require('./llm');
+const { normalizeKey } = require('./lookupCache');
+
+// Pin-by-pin pinouts of the compared parts, extracted from the compare report
+// with a schema-constrained completion, and the mismatches of every part
+// against the baseline computed here rather than left to the report's wording.
+const PIN_TYPE_VALUES = [
+  'Power',
+  'Ground',
+  'Input',
+  'Output',
+  'Bidirectional',
+  'Analog',
+  'Clock',
+  'No Connect',
+  'Thermal Pad',
+  'Other'
+];
+
+const nullableString = { type: ['string', 'null'] };
+
+const PINOUTS_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['parts'],
+  properties: {
+    parts: {
+      type: 'array',
+      items: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['partNumber', 'package', 'pins'],
+        properties: {
+          partNumber: { type: 'string' },
+          package: nullableString,
+          pins: {
+            type: 'array',
+            items: {
+              type: 'object',
+              additionalProperties: false,
+              required: ['number', 'name', 'function', 'type', 'citation'],
+              properties: {
+                number: { type: 'string' },
+                name: { type: 'string' },
+                function: nullableString,
+                type: { type: 'string', enum: PIN_TYPE_VALUES },
+                citation: nullableString
+              }
+            }
+          }
+        }
+      }
+    }
+  }
+};
+
+function asString(value) {
+  if (value === null || value === undefined) return null;
+  const text = String(value).trim();
+  return text.length ? text : null;
+}
+
+function asEnum(value, allowed, fallback) {
+  const text = asString(value);
+  if (!text) return fallback;
+  return allowed.find(v => v.toLowerCase() === text.toLowerCase()) || fallback;
+}
+
+// Helper: pin numbers in package order, numeric ones first (1, 2, 10), then
+// ball names (A1, A2, B1) and the thermal pad
+function comparePinNumbers(a, b) {
+  const na = Number(a);
+  const nb = Number(b);
+  if (Number.isFinite(na) && Number.isFinite(nb)) return na - nb;
+  if (Number.isFinite(na)) return -1;
+  if (Number.isFinite(nb)) return 1;
+  return a.localeCompare(b, undefined, { numeric: true });
+}
+
+function validatePins(pins) {
+  const seen = new Set();
+  return (Array.isArray(pins) ? pins : [])
+    .map(pin => {
+      const number = asString(pin && pin.number);
+      const name = asString(pin && pin.name);
+      if (!number || !name || seen.has(number.toUpperCase())) return null;
+      seen.add(number.toUpperCase());
+      return {
+        number,
+        name,
+        function: asString(pin.function),
+        type: asEnum(pin.type, PIN_TYPE_VALUES, 'Other'),
+        citation: asString(pin.citation)
+      };
+    })
+    .filter(Boolean)
+    .sort((a, b) => comparePinNumbers(a.number, b.number));
+}
+
+// Normalize model output into the pinouts of the compared parts, in the order
+// of `partNumbers`, matched by part number (or by position when the model
+// renamed them). A part whose pinout the report does not give has no pins.
+function validatePinouts(data, partNumbers) {
+  if (!data || typeof data !== 'object' || !Array.isArray(data.parts)) {
+    throw new Error('Pinouts missing "parts" array');
+  }
+
+  const parts = data.parts.filter(part => part && typeof part === 'object');
+  const named = partNumbers.map(partNumber => parts.find(p => normalizeKey(p.partNumber || '') === normalizeKey(partNumber)));
+  const unnamed = parts.filter(part => !named.includes(part));
+
+  return partNumbers.map((partNumber, i) => {
+    const part = named[i] || unnamed.shift() || {};
+    return {
+      partNumber,
+      package: asString(part.package),
+      pins: validatePins(part.pins)
+    };
+  });
+}
+
+// Helper: pin names compare without case, punctuation or overbar markers
+// (nRESET, RESET#, /RESET and RESET all match)
+function pinNameKey(name) {
+  return name.toUpperCase().replace(/^(N|\/)(?=[A-Z]{3,})/, '').replace(/[^A-Z0-9]/g, '');
+}
+
+// Pin-by-pin comparison. Every pin number on either part gets a row:
+//   match     same type and name
+//   renamed   same type, different name (usually a naming convention)
+//   type      different pin type (power on one part, a signal on the other, ...)
+//   missing   the pin exists on one part only
+// `mismatches` lists every row that is not a match.
+function comparePinouts(pinoutA, pinoutB) {
+  const numbers = [...new Set([...pinoutA.pins, ...pinoutB.pins].map(pin => pin.number))]
+    .sort(comparePinNumbers);
+
+  const rows = numbers.map(number => {
+    const a = pinoutA.pins.find(pin => pin.number === number) || null;
+    const b = pinoutB.pins.find(pin => pin.number === number) || null;
+    let status = 'match';
+    if (!a || !b) status = 'missing';
+    else if (a.type !== b.type) status = 'type';
+    else if (pinNameKey(a.name) !== pinNameKey(b.name)) status = 'renamed';
+    return { number, a, b, status };
+  });
+
+  const mismatches = rows
+    .filter(row => row.status !== 'match')
+    .map(({ number, a, b, status }) => ({
+      number,
+      status,
+      detail: status === 'missing'
+        ? `Pin ${number} only on ${a ? pinoutA.partNumber : pinoutB.partNumber} (${(a || b).name})`
+        : `Pin ${number}: ${a.name} (${a.type}) vs ${b.name} (${b.type})`
+    }));
+
+  return {
+    comparable: pinoutA.pins.length > 0 && pinoutB.pins.length > 0,
+    pinCountMatch: pinoutA.pins.length === pinoutB.pins.length,
+    matching: rows.length - mismatches.length,
+    rows,
+    mismatches
+  };
+}
+
+// Helper: pinouts of the compared parts from a compare report, and each
+// other part's pin-by-pin comparison against the baseline (partNumbers[0])
+async function extractPinouts(markdown, partNumbers) {
+  console.log(`[extractPinouts] Extracting pinouts for ${partNumbers.join(' vs ')}`);
+  const { content } = await llm.chatCompletion('extraction', {
+    messages: [
+      {
+        role: 'system',
+        content: `You convert electronic component comparison reports into pinout data. List every pin of each part that the report gives: pin number as printed (e.g. "1", "A3", "EP"), pin name, function and type. Keep the datasheet citation, e.g. "Datasheet 1, p. 3", when the report gives one, otherwise null. Only use pins stated in the report; return an empty pins array for a part whose pinout the report does not give. Never invent pins.`
+      },
+      {
+        role: 'user',
+        content: `Parts compared: ${partNumbers.join(', ')}\n\nReport:\n${markdown}`
+      }
+    ],
+    jsonSchema: { name: 'pinouts', strict: true, schema: PINOUTS_SCHEMA },
+    maxTokens: 6000,
+    temperature: 0
+  });
+
+  const [baseline, ...candidates] = validatePinouts(JSON.parse(content), partNumbers);
+  return {
+    baseline: baseline.partNumber,
+    parts: [baseline, ...candidates],
+    comparisons: candidates.map(candidate => ({ partNumber: candidate.partNumber, ...comparePinouts(baseline, candidate) }))
+  };
+}
+
+module.exports = {
+  PIN_TYPE_VALUES,
+  PINOUTS_SCHEMA,
+  validatePinouts,
+  comparePinouts,
+  extractPinouts
+};
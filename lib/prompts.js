@@ -0,0 +1,217 @@
+// Prompts for the alternatives, compare and bulk models. Both entrypoints
+// build their requests from here so the deployments cannot drift apart.
+
+// Numbered web search results as prompt context
+function summarizeSearchResults(searchItems) {
+  if (!searchItems.length) return 'No search results found.';
+  return searchItems
+    .slice(0, 6)
+    .map((r, i) => `${i + 1}. ${r.title}\nURL: ${r.link}\n${r.snippet}`)
+    .join('\n\n');
+}
+
+const ALTERNATIVES_SYSTEM_PROMPT = 'You are a helpful electronics engineer who specializes in finding component alternatives. Provide accurate, practical alternatives with clear specifications. The alternatives should be package and footprint compatible with similar electrical and timing specifications and if applicable, firmware/register similarities.';
+
+// Appended to prompts that carry datasheet excerpts
+const DATASHEET_CITATION_RULES = `Datasheet citations:
+- The datasheet excerpts are text extracted from the PDFs, split by page. Prefer them over any other source for package, pinout and electrical values.
+- Datasheets marked as uploaded by an engineer are the primary source and take precedence wherever sources disagree.
+- Every claim taken from a datasheet must cite the document and page it came from, e.g. (Datasheet 1, p. 4).
+- Claims not supported by the excerpts must name their source instead, or be marked as unverified.`;
+
+// Parameters earlier analyses verified against a datasheet, from the parts database
+function knownParametersSection(knownSummary) {
+  return `Previously verified parameters (cited from datasheets by earlier analyses; reuse them with their citation unless the current excerpts disagree):
+${knownSummary}`;
+}
+
+function alternativesPrompt(partNumber, searchSummary, crossReferenceSummary, datasheetSummary, knownSummary) {
+  return `I need to find 3 alternative components for the electronic part number: ${partNumber}.
+	Use the following web search results as context for the original part only:${searchSummary}
+	
+	Manufacturer Cross-Reference Results:${crossReferenceSummary}
+
+	Datasheet excerpts for the original part:
+${datasheetSummary}
+
+${knownParametersSection(knownSummary)}
+ 	
+  Follow these requirements carefully:
+1. Original Part Verification
+• Short Description: Provide a concise summary of the original component’s function and key specifications Using the following web search results as context for the original part only:${searchSummary}
+• Package Type Verification Using the following web search results as context for the original part only:${searchSummary}:
+ No assumptions.
+  - Consistency Rules:
+    - Do not assume family parts share the same package; only confirm from “Package / Case” AND “Supplier Device Package”.
+    - Do not invent, infer, or guess.
+• Core Electrical Specs: Verify voltage, current, frequency, timing, and power from the datasheet. Using the following web search results as context for the original part only:${searchSummary}.
+• Pinout Verification: Confirm pinout from datasheet Using the following web search results as context for the original part only:${searchSummary}.
+• Block Diagram Summary: Analyze internal functional blocks (e.g., PLL, MUX, Buffers, ADC, interfaces). Using the following web search results as context for the original part only:${searchSummary}.
+• Price & Lifecycle: Provide current unit price from Digi-Key or Mouser. Confirm lifecycle status (Active, NRND, Last Time Buy) Using the following web search results as context for the original part only:${searchSummary}.
+2. Alternatives Search. Use short description, functionality and package of the original part to search for altnernate parts.
+• Identify 3 Alternatives:
+  - From reputable manufacturers (e.g., TI, ADI, NXP, ON Semi, Microchip)
+  - Alternate part must not be from the same manufacturer as the original part. **important**
+  - Prioritize parts that are functionally equivalent and package-compatible
+• Industry-Preferred Equivalents: Always include known industry-preferred equivalents if they meet functional and package criteria.
+• Verification Requirements:
+  - Confirm lifecycle status (Active, NRND, Last Time Buy)
+  - Verify package type, pinout, and core electrical specs from datasheet
+  - Analyze block diagrams or functional descriptions and compare to original
+  - Confirm functionality using datasheet keywords (PLL, zero delay, fanout buffer, output count, interface type, voltage/current range)
+  - Provide price per unit with distributor citation
+  - Note any differences (footprint, electrical, interface, software)
+  - Include confidence level (High / Medium / Low)
+3. For each alternative, include:
+   - Part number
+   - Brief description of key specifications. Be sure to include the package type and verify it from the manufacturer's datasheet or distributor platforms. Clearly cite the section of the datasheet or distributor listing where the package type is confirmed.
+   - Any notable differences from the original part
+   - Manufacturer name if known. 
+   - List if the alternate part matches the functionality and the package of the original part
+   - Price per Unit (with link)
+   - Confirmed Package Type (from datasheet ordering code + at least one distributor listing). Cite exact table/section or distributor field. If not verifiable, state “Package type cannot be confirmed” and exclude.
+4. Ranking
+Rank the 3 alternatives by closeness to the original part using these priorities:
+1. Package Match
+2. Functional Match, including block diagram similarity
+3. Lifecycle Status
+4. Distributor Availability
+5. Price Competitiveness
+If a verified preferred alternate exists, list it first and explain any minor deviations. Include rationale for ranking.
+5. Summary & Conclusion
+• Provide a clear overview of findings.
+• Highlight whether package-compatible alternatives exist or if PCB/firmware adaptations are required.
+• Explicitly note differences in functional blocks that may affect compatibility.
+• Recommend the most suitable alternatives with reasoning.
+• Include date of availability verification for all parts.
+   
+IMPORTANT: Make each alternative visually distinct and easy to separate. Use clear section breaks, numbered lists, or visual separators between each alternative. Consider using:
+- Clear numbered sections (1., 2., 3.)
+- Horizontal rules (---) between alternatives
+- Distinct headings for each alternative
+- Bullet points with clear spacing
+
+Ensure all information is accurate, cited from datasheets or distributor listings, and avoid inventing parts, packages, or specifications. Prioritize functionally equivalent, package-compatible alternates, using block diagram comparison to verify internal functionality.
+
+${DATASHEET_CITATION_RULES}`;
+}
+
+const COMPARE_SYSTEM_PROMPT = [
+    'You are an expert electronics engineer and component librarian specializing in detailed component analysis. ',
+    'Your task is to provide comprehensive comparisons between electronic components with EXTREME accuracy and attention to detail. ',
+    ' REQUIREMECRITICALNTS:',
+    '- Only provide information you are 100% confident about based on your training data',
+    '- Prioritize accuracy over completeness - it is better to provide less information that is correct than more information that may be wrong',
+    '- For any values you provide, indicate if they are typical, minimum, maximum, or absolute maximum ratings',
+    '- When comparing components, focus on verified differences rather than assumptions',
+    '- If package or footprint information is unclear, explicitly state the limitations. Do not assume or invent package type.',
+    '- For package, Be sure to include the package type and verify it from the manufacturers datasheet or distributor platforms. Clearly cite the section of the datasheet or distributor listing where the package type is confirmed. Confirm using: Official datasheet (Features, Description, Ordering Information) Distributor listings (e.g., Digi-Key, Mouser)',
+    '- For electrical specifications, always specify the conditions (temperature, voltage, etc.) when possible',
+    'Your analysis must include:',
+    '- Detailed electrical specifications with exact values (only if verified)',
+    '- Register maps and firmware compatibility analysis (with confidence levels)',
+    '- Package and footprint compatibility details (with verification status)',
+    '- Drop-in replacement assessment with specific reasons and confidence levels',
+    '- Highlight ALL differences, no matter how small',
+    '- Include datasheet URLs and manufacturer information when available',
+    '- Read the datasheets for both parts and compare the specifications',
+    '- Be extremely thorough, accurate, and conservative in your analysis. When in doubt, state the uncertainty clearly.'
+  ].join(' ');
+
+// parts[0] is the baseline every other part is compared against
+function comparePrompt(parts, datasheetSummary, knownSummary) {
+  const [baseline, ...candidates] = parts;
+  const columns = suffix => parts.map(part => `   - ${part} ${suffix}`).join('\n');
+  const count = parts.length === 2 ? 'two' : String(parts.length);
+
+  return `Compare these ${count} electronic components: ${parts.map(part => `"${part}"`).join(' vs ')}.
+"${baseline}" is the baseline part: state every difference relative to ${baseline}.
+
+Provide a comprehensive analysis including:
+
+1. **OVERVIEW TABLE** - Create a markdown table with these columns:
+   - Specification Category
+${columns('Value')}
+   - Difference vs ${baseline} (highlight in bold if significant)
+   - Impact Assessment
+   - Function and application of each part.  
+   - High-level block diagram summary (if available).  
+   - Notable differences in intended use.  
+
+2. **ELECTRICAL SPECIFICATIONS** - Create a markdown table with these columns:
+   - Specification
+${columns('Value')}
+   Include: Voltage ranges (min/max/typical), Current ratings (input/output/supply), Power dissipation, Thermal characteristics, Frequency/speed specifications, Memory sizes (if applicable)
+
+3. **REGISTER/FIRMWARE COMPATIBILITY** - Create a markdown table with these columns:
+   - Compatibility Aspect
+${columns('Details')}
+   - Register number in hex and register name and function all registers if applicable
+   Include: Register map differences, Firmware compatibility level, Programming differences, Boot sequence variations, Memory organization
+
+4. **PACKAGE & FOOTPRINT** - Create a markdown table with these columns:
+   - Physical Characteristic
+${columns('Specification')}
+   Include: Package dimensions, Materials, Pin count and spacing, Mounting requirements, Thermal pad differences, Operating temperature range. Side-by-side pinout comparison:  
+       ◦ Table format listing Pin Number, then Pin Name/Function for each of ${parts.join(', ')}. List all pins.  
+       ◦ Explicitly mark mismatches against ${baseline}.  
+       ◦ This information should be taken out of manufactuer datasheet . Do not assume. Never invent. 
+
+5. **DROP-IN COMPATIBILITY ASSESSMENT** (${candidates.join(', ')} replacing ${baseline}, one subsection each):
+   - Do not give an overall compatibility percentage; the tool scores compatibility from the structured package, pinout and specification data. Comment on what drives compatibility instead
+   - Specific reasons for incompatibility
+   - Required modifications for replacement
+   - Risk assessment
+
+6. **RECOMMENDATIONS**:
+   - When to use each part
+   - Migration strategies
+   - Alternative suggestions
+
+**CRITICAL ACCURACY REQUIREMENTS:**
+- Only provide specifications you are 100% confident about
+- For electrical values, always specify if they are min/max/typical/absolute max
+- Include confidence levels for each comparison section
+- When in doubt about compatibility, state the uncertainty clearly
+
+Format the response in clean markdown with proper tables, code blocks for ASCII art, and ensure all differences are clearly highlighted. Be extremely detailed, thorough, and ACCURATE in your analysis. Prioritize correctness over completeness.
+
+Datasheet excerpts for ${parts.length === 2 ? 'both parts' : 'all parts'}:
+${datasheetSummary}
+
+${knownParametersSection(knownSummary)}
+
+${DATASHEET_CITATION_RULES}`;
+}
+
+const BULK_SYSTEM_PROMPT = 'You are a helpful electronics engineer. Provide exactly 3 alternatives in the specified format. Be concise and accurate.';
+
+function bulkPrompt(partNumber, searchSummary, crossReferenceSummary, knownSummary) {
+  return `I need to find 3 alternative components for the electronic part number: ${partNumber}.
+Use the following web search results as context: ${searchSummary}
+
+Manufacturer Cross-Reference Results: ${crossReferenceSummary}
+
+${knownParametersSection(knownSummary)}
+
+Please provide exactly 3 alternatives in this format:
+1. [Part Number] - [Brief Description] - [Manufacturer]
+2. [Part Number] - [Brief Description] - [Manufacturer]  
+3. [Part Number] - [Brief Description] - [Manufacturer]
+
+Focus on:
+- Different manufacturers than the original
+- Package compatibility
+- Functional equivalence
+- Current availability`;
+}
+
+module.exports = {
+  summarizeSearchResults,
+  ALTERNATIVES_SYSTEM_PROMPT,
+  alternativesPrompt,
+  COMPARE_SYSTEM_PROMPT,
+  comparePrompt,
+  BULK_SYSTEM_PROMPT,
+  bulkPrompt
+};
@@ -0,0 +1,242 @@
+const fs = require('fs');
+const fetch = require('node-fetch');
+const { dataPath } = require('./dataDir');
+const { envInt } = require('./concurrency');
+
+// Web search layer. The alternatives prompt gets its web context from one or
+// more search backends; which ones, which sites the query is biased towards
+// and how many results come back are configuration.
+//
+//   SEARCH_PROVIDERS     comma-separated, in priority order (default "google")
+//   SEARCH_SITES         comma-separated domains to bias towards
+//   SEARCH_RESULT_COUNT  results returned after merging (default 6)
+const DEFAULT_SITES = ['digikey.com', 'mouser.com', 'arrow.com', 'avnet.com', 'ti.com'];
+
+class SearchError extends Error {
+  constructor(message, status = 500) {
+    super(message);
+    this.name = 'SearchError';
+    this.status = status;
+  }
+}
+
+function listEnv(name, fallback) {
+  const value = process.env[name];
+  if (!value) return fallback;
+  return value.split(',').map(v => v.trim()).filter(Boolean);
+}
+
+function resolveConfig() {
+  return {
+    providers: listEnv('SEARCH_PROVIDERS', ['google']).map(p => p.toLowerCase()),
+    sites: listEnv('SEARCH_SITES', DEFAULT_SITES),
+    resultCount: envInt('SEARCH_RESULT_COUNT', 6)
+  };
+}
+
+// Bias towards datasheets and authorized distributors
+function buildQuery(partNumber, sites) {
+  const siteTerms = sites.map(site => `site:${site}`);
+  return [`${partNumber} datasheet`, ...siteTerms].join(' OR ') + ' filetype:pdf';
+}
+
+async function readJson(resp, label) {
+  if (!resp.ok) {
+    const text = await resp.text().catch(() => '');
+    console.error(`[search] ${label} error:`, resp.status, text);
+    throw new SearchError(`${label} error: ${resp.status} ${text}`, 502);
+  }
+  return resp.json();
+}
+
+// Each provider: configurationError() returns a problem or null, and
+// search(query, { partNumber, count }) resolves to [{ title, link, snippet }].
+const PROVIDERS = {
+  google: {
+    configurationError() {
+      return process.env.GOOGLE_API_KEY && process.env.GOOGLE_CX
+        ? null
+        : 'Server is not configured with GOOGLE_API_KEY and GOOGLE_CX';
+    },
+    async search(query, { count }) {
+      // Custom Search returns at most 10 results per request
+      const url = `https://www.googleapis.com/customsearch/v1?key=${process.env.GOOGLE_API_KEY}&cx=${process.env.GOOGLE_CX}&num=${Math.min(count, 10)}&q=${encodeURIComponent(query)}`;
+      const data = await readJson(await fetch(url), 'Google Search API');
+      const items = Array.isArray(data.items) ? data.items : [];
+      return items.map(it => ({ title: it.title, link: it.link, snippet: it.snippet || '' }));
+    }
+  },
+
+  bing: {
+    configurationError() {
+      return process.env.BING_API_KEY ? null : 'Server is not configured with BING_API_KEY';
+    },
+    async search(query, { count }) {
+      const endpoint = process.env.BING_ENDPOINT || 'https://api.bing.microsoft.com/v7.0/search';
+      const url = `${endpoint}?count=${count}&q=${encodeURIComponent(query)}`;
+      const resp = await fetch(url, { headers: { 'Ocp-Apim-Subscription-Key': process.env.BING_API_KEY } });
+      const data = await readJson(resp, 'Bing Search API');
+      const items = data.webPages && Array.isArray(data.webPages.value) ? data.webPages.value : [];
+      return items.map(it => ({ title: it.name, link: it.url, snippet: it.snippet || '' }));
+    }
+  },
+
+  searxng: {
+    configurationError() {
+      return process.env.SEARXNG_URL ? null : 'Server is not configured with SEARXNG_URL';
+    },
+    async search(query, { count }) {
+      const base = process.env.SEARXNG_URL.replace(/\/+$/, '');
+      const url = `${base}/search?format=json&q=${encodeURIComponent(query)}`;
+      const data = await readJson(await fetch(url, { headers: { Accept: 'application/json' } }), 'SearXNG');
+      const items = Array.isArray(data.results) ? data.results : [];
+      return items.slice(0, count).map(it => ({ title: it.title, link: it.url, snippet: it.content || '' }));
+    }
+  },
+
+  // JSON file of [{ title, link, snippet, parts? }], e.g. an internal datasheet
+  // library. Matches on the part number rather than the web query.
+  local: {
+    indexPath() {
+      return process.env.SEARCH_LOCAL_INDEX || dataPath('search-index.json');
+    },
+    configurationError() {
+      return fs.existsSync(this.indexPath())
+        ? null
+        : `Local search index not found at ${this.indexPath()}`;
+    },
+    async search(query, { partNumber, count }) {
+      const entries = JSON.parse(await fs.promises.readFile(this.indexPath(), 'utf8'));
+      if (!Array.isArray(entries)) {
+        throw new SearchError('Local search index must be a JSON array');
+      }
+      const wanted = partNumber.toUpperCase();
+      return entries
+        .filter(entry => entry && entry.link)
+        .filter(entry => {
+          const parts = Array.isArray(entry.parts) ? entry.parts : [];
+          return parts.some(p => String(p).toUpperCase() === wanted)
+            || [entry.title, entry.snippet, entry.link].some(text => String(text || '').toUpperCase().includes(wanted));
+        })
+        .slice(0, count)
+        .map(entry => ({ title: entry.title || entry.link, link: entry.link, snippet: entry.snippet || '' }));
+    }
+  }
+};
+
+// Returns a human-readable problem with the search configuration, or null.
+// Search is usable as long as at least one enabled provider is configured.
+function configurationError() {
+  const { providers } = resolveConfig();
+  const problems = providers.map(name => {
+    const provider = PROVIDERS[name];
+    if (!provider) return `Unknown search provider "${name}". Use one of: ${Object.keys(PROVIDERS).join(', ')}`;
+    return provider.configurationError();
+  });
+  return problems.every(Boolean) ? problems.join('; ') : null;
+}
+
+// Stable identifier of the enabled providers and query settings, used in
+// cache keys so that changing them never returns stale merged results.
+function configId() {
+  const { providers, sites, resultCount } = resolveConfig();
+  return `${providers.join('+')}/${sites.join(',')}/${resultCount}`;
+}
+
+// Comparable form of a result URL: no scheme, "www.", fragment, tracking
+// parameters or trailing slash.
+function normalizeLink(link) {
+  try {
+    const url = new URL(link);
+    url.hash = '';
+    [...url.searchParams.keys()]
+      .filter(key => key.startsWith('utm_'))
+      .forEach(key => url.searchParams.delete(key));
+    const host = url.hostname.toLowerCase().replace(/^www\./, '');
+    return `${host}${url.pathname.replace(/\/+$/, '')}${url.search}`;
+  } catch (error) {
+    return String(link).trim().toLowerCase();
+  }
+}
+
+// Interleave provider result lists by rank so every provider's best hits make
+// the cut, dropping duplicates (first occurrence wins).
+function mergeResults(resultLists, count) {
+  const seen = new Set();
+  const merged = [];
+  const longest = Math.max(0, ...resultLists.map(list => list.length));
+
+  for (let rank = 0; rank < longest; rank++) {
+    for (const list of resultLists) {
+      const item = list[rank];
+      if (!item || !item.link) continue;
+      const key = normalizeLink(item.link);
+      if (seen.has(key)) continue;
+      seen.add(key);
+      merged.push(item);
+    }
+  }
+
+  return merged.slice(0, count);
+}
+
+// Helper: search every enabled, configured provider in parallel and merge.
+// Fails only if no provider produced results without error.
+async function search(partNumber) {
+  const { providers, sites, resultCount } = resolveConfig();
+  const query = buildQuery(partNumber, sites);
+  console.log(`[search] Searching for part: ${partNumber} via ${providers.join(', ')}`);
+
+  const settled = await Promise.allSettled(providers.map(async name => {
+    const provider = PROVIDERS[name];
+    if (!provider) throw new SearchError(`Unknown search provider "${name}"`);
+    const problem = provider.configurationError();
+    if (problem) throw new SearchError(problem);
+
+    const items = await provider.search(query, { partNumber, count: resultCount });
+    console.log(`[search] ${name} found ${items.length} items`);
+    return items.map(item => ({ ...item, provider: name }));
+  }));
+
+  const failures = [];
+  const resultLists = [];
+  settled.forEach((outcome, i) => {
+    if (outcome.status === 'fulfilled') {
+      resultLists.push(outcome.value);
+    } else {
+      console.warn(`[search] ${providers[i]} failed:`, outcome.reason.message);
+      failures.push(`${providers[i]}: ${outcome.reason.message}`);
+    }
+  });
+
+  if (!resultLists.length) {
+    throw new SearchError(`All search providers failed (${failures.join('; ')})`, 502);
+  }
+  return mergeResults(resultLists, resultCount);
+}
+
+function describeProviders() {
+  const { providers, sites, resultCount } = resolveConfig();
+  return {
+    providers: providers.map(name => ({
+      name,
+      configured: Boolean(PROVIDERS[name]) && !PROVIDERS[name].configurationError()
+    })),
+    sites,
+    resultCount
+  };
+}
+
+module.exports = {
+  PROVIDERS,
+  DEFAULT_SITES,
+  SearchError,
+  resolveConfig,
+  buildQuery,
+  configurationError,
+  configId,
+  normalizeLink,
+  mergeResults,
+  search,
+  describeProviders
+};
@@ -0,0 +1,63 @@
+// Server-sent events for long-running routes. A client opts in with
+// `Accept: text/event-stream` (or `"stream": true` in the JSON body) and
+// receives named events instead of one JSON response at the end.
+
+function wantsEventStream(req) {
+  return (req.body && req.body.stream === true)
+    || (req.headers.accept || '').includes('text/event-stream');
+}
+
+// Open the stream on res. `canAbort` is consulted when the client goes away:
+// if it returns true, `signal` fires so upstream work can be cancelled.
+function openEventStream(res, { canAbort = () => true, heartbeatMs = 15000 } = {}) {
+  const controller = new AbortController();
+  let finished = false;
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no' // stop proxies from buffering the stream
+  });
+  res.flushHeaders();
+
+  // Comment lines keep idle connections open through proxies
+  const heartbeat = setInterval(() => {
+    if (!finished) res.write(': keep-alive\n\n');
+  }, heartbeatMs);
+
+  res.on('close', () => {
+    clearInterval(heartbeat);
+    if (finished) return;
+    finished = true;
+    if (canAbort()) {
+      console.log('[sse] Client disconnected, cancelling upstream work');
+      controller.abort();
+    } else {
+      console.log('[sse] Client disconnected, upstream work is shared and keeps running');
+    }
+  });
+
+  function send(event, data) {
+    if (finished) return;
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  }
+
+  function close() {
+    if (finished) return;
+    finished = true;
+    clearInterval(heartbeat);
+    res.end();
+  }
+
+  return {
+    send,
+    close,
+    signal: controller.signal,
+    get closed() {
+      return finished;
+    }
+  };
+}
+
+module.exports = { wantsEventStream, openEventStream };
@@ -0,0 +1,165 @@
+const llm = require('./llm');
+
+// Structured view of an /api/alternatives analysis. The markdown report stays
+// the primary output; this schema is what downstream tools (BOM scripts, PDF
+// export) consume instead of scraping part numbers out of rendered HTML.
+const LIFECYCLE_VALUES = ['Active', 'NRND', 'Last Time Buy', 'Obsolete', 'Unknown'];
+const CONFIDENCE_VALUES = ['High', 'Medium', 'Low'];
+
+const nullableString = { type: ['string', 'null'] };
+
+const ALTERNATIVES_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['originalPart', 'alternatives'],
+  properties: {
+    originalPart: {
+      type: 'object',
+      additionalProperties: false,
+      required: ['partNumber', 'manufacturer', 'description', 'package', 'lifecycle'],
+      properties: {
+        partNumber: { type: 'string' },
+        manufacturer: nullableString,
+        description: nullableString,
+        package: nullableString,
+        lifecycle: { type: 'string', enum: LIFECYCLE_VALUES }
+      }
+    },
+    alternatives: {
+      type: 'array',
+      items: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['rank', 'partNumber', 'manufacturer', 'description', 'package', 'lifecycle', 'price', 'confidence', 'differences'],
+        properties: {
+          rank: { type: 'integer' },
+          partNumber: { type: 'string' },
+          manufacturer: nullableString,
+          description: nullableString,
+          package: nullableString,
+          lifecycle: { type: 'string', enum: LIFECYCLE_VALUES },
+          price: {
+            type: 'object',
+            additionalProperties: false,
+            required: ['unitPrice', 'currency', 'distributor', 'sourceUrl'],
+            properties: {
+              unitPrice: { type: ['number', 'null'] },
+              currency: nullableString,
+              distributor: nullableString,
+              sourceUrl: nullableString
+            }
+          },
+          confidence: { type: 'string', enum: CONFIDENCE_VALUES },
+          differences: { type: 'array', items: { type: 'string' } }
+        }
+      }
+    }
+  }
+};
+
+function asString(value) {
+  if (value === null || value === undefined) return null;
+  const text = String(value).trim();
+  return text.length ? text : null;
+}
+
+function asEnum(value, allowed, fallback) {
+  const text = asString(value);
+  if (!text) return fallback;
+  const match = allowed.find(v => v.toLowerCase() === text.toLowerCase());
+  return match || fallback;
+}
+
+// Non-negative number, or null; numeric strings count, "" and "$0.42" do not
+function asPrice(value) {
+  const text = asString(value);
+  const number = Number(text);
+  return text && Number.isFinite(number) && number >= 0 ? number : null;
+}
+
+function asUrl(value) {
+  const text = asString(value);
+  return text && /^https?:\/\//i.test(text) ? text : null;
+}
+
+// Normalize and validate model output against ALTERNATIVES_SCHEMA. Entries
+// without a part number are dropped; anything else malformed is coerced to
+// null rather than passed through, so consumers can rely on the types.
+function validateStructuredAlternatives(data, partNumber) {
+  if (!data || typeof data !== 'object' || !Array.isArray(data.alternatives)) {
+    throw new Error('Structured alternatives missing "alternatives" array');
+  }
+
+  const original = data.originalPart || {};
+  const alternatives = data.alternatives
+    .map((alt, i) => {
+      if (!alt || typeof alt !== 'object') return null;
+      const altPartNumber = asString(alt.partNumber);
+      if (!altPartNumber) return null;
+
+      const price = alt.price || {};
+
+      return {
+        rank: Number.isInteger(alt.rank) && alt.rank > 0 ? alt.rank : i + 1,
+        partNumber: altPartNumber,
+        manufacturer: asString(alt.manufacturer),
+        description: asString(alt.description),
+        package: asString(alt.package),
+        lifecycle: asEnum(alt.lifecycle, LIFECYCLE_VALUES, 'Unknown'),
+        price: {
+          unitPrice: asPrice(price.unitPrice),
+          currency: asString(price.currency),
+          distributor: asString(price.distributor),
+          sourceUrl: asUrl(price.sourceUrl)
+        },
+        confidence: asEnum(alt.confidence, CONFIDENCE_VALUES, 'Low'),
+        differences: Array.isArray(alt.differences)
+          ? alt.differences.map(asString).filter(Boolean)
+          : []
+      };
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.rank - b.rank);
+
+  return {
+    originalPart: {
+      partNumber: asString(original.partNumber) || partNumber,
+      manufacturer: asString(original.manufacturer),
+      description: asString(original.description),
+      package: asString(original.package),
+      lifecycle: asEnum(original.lifecycle, LIFECYCLE_VALUES, 'Unknown')
+    },
+    alternatives
+  };
+}
+
+// Helper: second, small completion that turns the markdown report into
+// ALTERNATIVES_SCHEMA using the provider's structured outputs.
+async function extractStructuredAlternatives(markdown, partNumber) {
+  console.log(`[extractStructuredAlternatives] Extracting structured data for: ${partNumber}`);
+  const { content } = await llm.chatCompletion('extraction', {
+    messages: [
+      {
+        role: 'system',
+        content: 'You convert electronic component alternative reports into structured data. Only use facts stated in the report. Use null for anything the report does not state; never invent prices, URLs or packages.'
+      },
+      {
+        role: 'user',
+        content: `Original part: ${partNumber}\n\nReport:\n${markdown}`
+      }
+    ],
+    jsonSchema: { name: 'part_alternatives', strict: true, schema: ALTERNATIVES_SCHEMA },
+    maxTokens: 4000,
+    temperature: 0
+  });
+
+  return validateStructuredAlternatives(JSON.parse(content), partNumber);
+}
+
+module.exports = {
+  ALTERNATIVES_SCHEMA,
+  LIFECYCLE_VALUES,
+  CONFIDENCE_VALUES,
+  validateStructuredAlternatives,
+  extractStructuredAlternatives
+};
@@ -12,6 +12,27 @@ class PartAnalysisTool {
 		this.compareBtn = document.getElementById('compareBtn');
 		this.compareSpinner = document.getElementById('compareSpinner');
 		this.compareResults = document.getElementById('compareResults');
+		this.compareExtraParts = document.getElementById('compareExtraParts');
+		this.addComparePartBtn = document.getElementById('addComparePartBtn');
+		this.compareDatasheetBars = document.getElementById('compareDatasheetBars');
+		this.compareMaxParts = 5;
+		this.comparePartCount = 0;
+		this.compareOrigin = null;
+		
+		// Datasheet uploads, one bar per part number input
+		this.datasheetBars = Array.from(document.querySelectorAll('.datasheet-bar'));
+		
+		// Parametric search elements
+		this.partSearchCategory = document.getElementById('partSearchCategory');
+		this.partSearchPackage = document.getElementById('partSearchPackage');
+		this.partSearchManufacturer = document.getElementById('partSearchManufacturer');
+		this.partSearchLifecycle = document.getElementById('partSearchLifecycle');
+		this.partSearchVerified = document.getElementById('partSearchVerified');
+		this.partSearchRanges = document.getElementById('partSearchRanges');
+		this.addRangeBtn = document.getElementById('addRangeBtn');
+		this.partSearchBtn = document.getElementById('partSearchBtn');
+		this.partSearchResults = document.getElementById('partSearchResults');
+		this.partFacets = { parameters: [] };
 		
 		// Bulk processing elements
 		this.bulkUploadArea = document.getElementById('bulkUploadArea');
@@ -21,11 +42,39 @@ class PartAnalysisTool {
 		this.bulkSummary = document.getElementById('bulkSummary');
 		this.bulkResultsBody = document.getElementById('bulkResultsBody');
 		this.exportExcelBtn = document.getElementById('exportExcelBtn');
+		this.exportFormat = document.getElementById('exportFormat');
+		this.exportAnnotatedBtn = document.getElementById('exportAnnotatedBtn');
 		this.clearBulkBtn = document.getElementById('clearBulkBtn');
+		this.bulkMapping = document.getElementById('bulkMapping');
+		
+		// Saved analysis opened from its permalink
+		this.savedAnalysisBanner = document.getElementById('savedAnalysisBanner');
+		this.analysisCards = {
+			alternatives: document.getElementById('alternativesCard'),
+			compare: document.getElementById('compareCard'),
+			bulk: document.getElementById('bulkCard')
+		};
 		
+		// BOM fields the upload can map to columns, as in lib/bom.js
+		this.bomFields = [
+			{ key: 'partNumber', label: 'Part Number' },
+			{ key: 'manufacturer', label: 'Manufacturer' },
+			{ key: 'quantity', label: 'Quantity' },
+			{ key: 'refDes', label: 'RefDes' },
+			{ key: 'description', label: 'Description' }
+		];
+		this.bulkUpload = null;
 		this.bulkResultsData = null;
+		this.bulkPollInterval = 2000;
+		this.bulkCrossReferenceLimit = 3;
+		
+		// In-flight streamed requests, so they can be cancelled
+		this.activeRequests = { search: null, compare: null };
+		this.previewRenderDelay = 150;
 		
 		this.bindEvents();
+		this.loadPartFacets();
+		this.openSavedAnalysis();
 	}
 	
 	bindEvents() {
@@ -39,13 +88,33 @@ class PartAnalysisTool {
 		
 		// Part comparison events
 		this.compareBtn.addEventListener('click', () => this.handleCompare());
-		[this.partAInput, this.partBInput].forEach(input => {
+		[this.partAInput, this.partBInput, this.compareExtraParts].forEach(input => {
 			input.addEventListener('keypress', (e) => {
 				if (e.key === 'Enter') {
 					this.handleCompare();
 				}
 			});
 		});
+		this.addComparePartBtn.addEventListener('click', () => this.addComparePart());
+		this.compareExtraParts.addEventListener('click', (e) => {
+			const removeBtn = e.target.closest('.compare-part-remove');
+			if (removeBtn) {
+				this.removeComparePart(removeBtn.closest('.compare-extra-part'));
+			}
+		});
+		
+		// Datasheet upload events
+		this.datasheetBars.forEach(bar => this.bindDatasheetBar(bar));
+		
+		// Parametric search events
+		this.addRangeBtn.addEventListener('click', () => this.addRangeRow());
+		this.partSearchBtn.addEventListener('click', () => this.handlePartSearch());
+		this.partSearchRanges.addEventListener('click', (e) => {
+			const removeBtn = e.target.closest('.part-search-range-remove');
+			if (removeBtn) {
+				removeBtn.closest('.part-search-range').remove();
+			}
+		});
 		
 		// Bulk processing events
 		this.browseBtn.addEventListener('click', () => this.bulkFileInput.click());
@@ -59,7 +128,23 @@ class PartAnalysisTool {
 		
 		// Bulk processing action events
 		this.exportExcelBtn.addEventListener('click', () => this.exportBulkResults());
+		this.exportAnnotatedBtn.addEventListener('click', () => this.exportAnnotatedBom());
 		this.clearBulkBtn.addEventListener('click', () => this.clearBulkResults());
+		
+		// Compare actions on suggested alternatives and bulk rows
+		[this.results, this.bulkResultsBody].forEach(container => {
+			container.addEventListener('click', (e) => {
+				const compareBtn = e.target.closest('.compare-action');
+				if (compareBtn) {
+					this.compareWithOriginal(compareBtn.dataset.compareOriginal, compareBtn.dataset.compareWith, compareBtn);
+				}
+			});
+		});
+		this.compareResults.addEventListener('click', (e) => {
+			if (e.target.closest('.compare-origin-link') && this.compareOrigin) {
+				this.showCompareOrigin();
+			}
+		});
 	}
 	
 	// Part Alternatives Handler
@@ -71,80 +156,691 @@ class PartAnalysisTool {
 			return;
 		}
 		
+		if (this.activeRequests.search) return;
+		
+		const controller = new AbortController();
+		this.activeRequests.search = controller;
 		this.setLoading(true, 'search');
+		const preview = this.startStreamPreview(this.results);
 		
 		try {
-			const response = await this.findAlternatives(partNumber);
-			this.displayResults(response.alternatives, partNumber, response.tiAlternatives);
+			const response = await this.findAlternatives(partNumber, controller.signal, (event, data) => {
+				if (event === 'status') {
+					this.markLoadingStage(this.results, data.stage);
+				} else if (event === 'delta') {
+					preview.append(data.text);
+				}
+			});
+			preview.stop();
+			this.displayResults(response.alternatives, partNumber, response.crossReferences || response.tiAlternatives, response.structured, response.datasheets);
+			if (response.permalink) this.results.appendChild(this.createPermalinkItem(response.permalink));
+			if (response.recordedParts && response.recordedParts.length) this.loadPartFacets();
 			
 		} catch (error) {
-			console.error('Error finding alternatives:', error);
-			this.showError(`Failed to find alternatives: ${error.message}`, 'results');
+			preview.stop();
+			if (error.name === 'AbortError') {
+				this.showCancelled('results');
+			} else {
+				console.error('Error finding alternatives:', error);
+				this.showError(`Failed to find alternatives: ${error.message}`, 'results');
+			}
 		} finally {
+			this.activeRequests.search = null;
 			this.setLoading(false, 'search');
 		}
 	}
 	
+	// Part Comparison Inputs: the baseline, a second part and up to
+	// compareMaxParts in all, each with its own datasheet bar
+	comparePartInputs() {
+		return [this.partAInput, this.partBInput, ...this.compareExtraParts.querySelectorAll('.input-field')];
+	}
+	
+	addComparePart() {
+		if (this.comparePartInputs().length >= this.compareMaxParts) return;
+		const inputId = `comparePartInput${++this.comparePartCount}`;
+		
+		const row = document.createElement('div');
+		row.className = 'compare-extra-part';
+		row.innerHTML = `
+			<input type="text" id="${inputId}" placeholder="Compare with..." class="input-field">
+			<button type="button" class="compare-part-remove" title="Remove part">×</button>
+		`;
+		this.compareExtraParts.appendChild(row);
+		
+		const bar = document.createElement('div');
+		bar.className = 'datasheet-bar';
+		bar.dataset.partInput = inputId;
+		bar.innerHTML = `
+			<button type="button" class="datasheet-btn"></button>
+			<input type="file" class="datasheet-file" accept="application/pdf,.pdf" multiple hidden>
+			<div class="datasheet-chips"></div>
+		`;
+		this.compareDatasheetBars.appendChild(bar);
+		this.bindDatasheetBar(bar);
+		
+		this.updateComparePartLabels();
+		row.querySelector('.input-field').focus();
+	}
+	
+	removeComparePart(row) {
+		const inputId = row.querySelector('.input-field').id;
+		const bar = this.compareDatasheetBars.querySelector(`[data-part-input="${inputId}"]`);
+		if (bar) bar.remove();
+		row.remove();
+		this.updateComparePartLabels();
+	}
+	
+	// Helper: number the datasheet bars after the baseline, and hide the add
+	// button once the part limit is reached
+	updateComparePartLabels() {
+		Array.from(this.compareDatasheetBars.querySelectorAll('.datasheet-bar')).slice(1).forEach((bar, i) => {
+			bar.querySelector('.datasheet-btn').textContent = `📎 Part ${i + 2} datasheets`;
+		});
+		this.addComparePartBtn.style.display = this.comparePartInputs().length >= this.compareMaxParts ? 'none' : '';
+	}
+	
+	// Compare a suggested alternative with the part it replaces, in the compare
+	// card; `origin` is the action that started it, so the result can link back
+	compareWithOriginal(originalPart, alternativePart, origin) {
+		if (this.activeRequests.compare) return;
+		
+		this.compareExtraParts.querySelectorAll('.compare-extra-part').forEach(row => this.removeComparePart(row));
+		this.partAInput.value = originalPart;
+		this.partBInput.value = alternativePart;
+		[this.partAInput, this.partBInput].forEach(input => input.dispatchEvent(new Event('change')));
+		
+		this.compareResults.closest('.card').scrollIntoView({ behavior: 'smooth' });
+		const source = this.bulkResultsBody.contains(origin) ? 'bulk results' : 'alternatives';
+		this.handleCompare({ element: origin, label: `${source} for ${originalPart}` });
+	}
+	
+	// Helper: scroll back to the alternative a comparison was started from
+	showCompareOrigin() {
+		const { element } = this.compareOrigin;
+		const target = element.isConnected ? (element.closest('tr, .ti-alternative-item, .result-item') || element) : this.results;
+		target.scrollIntoView({ behavior: 'smooth', block: 'center' });
+		target.classList.remove('compare-origin-highlight');
+		void target.offsetWidth;
+		target.classList.add('compare-origin-highlight');
+	}
+	
 	// Part Comparison Handler
-	async handleCompare() {
-		const partA = this.partAInput.value.trim();
-		const partB = this.partBInput.value.trim();
+	async handleCompare(origin = null) {
+		const parts = this.comparePartInputs().map(input => input.value.trim()).filter(Boolean);
 		
-		if (!partA || !partB) {
-			this.showError('Please enter both Part A and Part B.', 'compare');
+		if (!this.partAInput.value.trim() || parts.length < 2) {
+			this.showError('Please enter a baseline part and at least one part to compare with it.', 'compare');
 			return;
 		}
 		
-		if (partA.toLowerCase() === partB.toLowerCase()) {
-			this.showError('Please enter two different parts for comparison.', 'compare');
+		if (new Set(parts.map(part => part.toLowerCase())).size !== parts.length) {
+			this.showError('Please enter different parts for comparison.', 'compare');
 			return;
 		}
 		
+		if (this.activeRequests.compare) return;
+		
+		this.compareOrigin = origin;
+		const controller = new AbortController();
+		this.activeRequests.compare = controller;
 		this.setLoading(true, 'compare');
+		const preview = this.startStreamPreview(this.compareResults);
 		
 		try {
-			const response = await fetch('/api/compare', {
-				method: 'POST',
-				headers: { 'Content-Type': 'application/json' },
-				body: JSON.stringify({ partA, partB })
+			const data = await this.streamRequest('/api/compare', { parts }, controller.signal, (event, payload) => {
+				if (event === 'status') {
+					this.markLoadingStage(this.compareResults, payload.stage);
+				} else if (event === 'delta') {
+					preview.append(payload.text);
+				}
 			});
-			
-			if (!response.ok) {
-				const err = await response.json().catch(() => ({}));
-				throw new Error(err.error || response.statusText);
-			}
-			
-			const data = await response.json();
+			preview.stop();
 			
 			if (!data || !data.html) {
 				throw new Error('Unexpected response from server');
 			}
 			
-			this.displayComparisonResults(data.html, partA, partB);
+			this.displayComparisonResults(data.html, data.parts || parts, data.datasheets, data.pinouts, data.compatibility);
+			if (data.permalink) this.compareResults.appendChild(this.createPermalinkItem(data.permalink));
+			if (origin) {
+				origin.element.classList.add('compared');
+				origin.element.textContent = origin.element.classList.contains('compact') ? '✅' : '✅ Compared';
+			}
+			if (data.recordedParts && data.recordedParts.length) this.loadPartFacets();
 		} catch (error) {
-			this.showError(`Failed to compare parts: ${error.message}`, 'compare');
+			preview.stop();
+			if (error.name === 'AbortError') {
+				this.showCancelled('compare');
+			} else {
+				this.showError(`Failed to compare parts: ${error.message}`, 'compare');
+			}
 		} finally {
+			this.activeRequests.compare = null;
 			this.setLoading(false, 'compare');
 		}
 	}
 	
+	cancelRequest(type) {
+		const controller = this.activeRequests[type];
+		if (controller) {
+			controller.abort();
+		}
+	}
+	
+	// Saved Analyses: a permalink (/analysis/:id) reopens an analysis
+	// read-only, showing only its card without the inputs to start a new one
+	async openSavedAnalysis() {
+		const match = window.location.pathname.match(/^\/analysis\/([0-9a-f-]+)\/?$/i);
+		if (!match) return;
+		
+		document.body.classList.add('saved-analysis-view');
+		this.savedAnalysisBanner.style.display = '';
+		this.savedAnalysisBanner.innerHTML = '<p class="subtitle">Loading saved analysis...</p>';
+		
+		try {
+			const response = await fetch(`/api/analyses/${encodeURIComponent(match[1])}`);
+			const analysis = await response.json().catch(() => ({}));
+			if (!response.ok) {
+				throw new Error(analysis.error || response.statusText);
+			}
+			this.showSavedAnalysis(analysis);
+		} catch (error) {
+			console.error('Error opening saved analysis:', error);
+			this.savedAnalysisBanner.innerHTML = `
+				<h1>Saved Analysis</h1>
+				<div class="result-item error">
+					<div class="result-key">❌ Error</div>
+					<div class="result-value">Could not open this analysis: ${this.escapeHtml(error.message)}</div>
+				</div>
+				<div class="saved-analysis-actions">
+					<a href="/" class="saved-analysis-new">＋ New analysis</a>
+				</div>
+			`;
+		}
+	}
+	
+	showSavedAnalysis(analysis) {
+		const { type, subject, model, createdAt, result } = analysis;
+		const titles = { alternatives: 'Part Alternatives', compare: 'Part Comparison', bulk: 'Bulk Processing' };
+		
+		this.savedAnalysisBanner.innerHTML = `
+			<h1>📌 Saved ${titles[type] || 'Analysis'}</h1>
+			<p class="subtitle">
+				<strong>${this.escapeHtml(subject || '')}</strong>
+				· ${this.escapeHtml(new Date(createdAt).toLocaleString())}
+				${model ? `· ${this.escapeHtml(model)}` : ''}
+			</p>
+			<div class="saved-analysis-actions">
+				<button type="button" class="permalink-copy">📋 Copy link</button>
+				<a href="/" class="saved-analysis-new">＋ New analysis</a>
+			</div>
+		`;
+		this.savedAnalysisBanner.querySelector('.permalink-copy').addEventListener('click', (e) => this.copyPermalink(window.location.href, e.target));
+		document.title = `${titles[type] || 'Analysis'}: ${subject} - Part Analysis Tool`;
+		
+		const card = this.analysisCards[type];
+		if (card) card.classList.add('saved-analysis-open');
+		
+		if (type === 'alternatives') {
+			this.displayResults(result.alternatives, subject, result.crossReferences || result.tiAlternatives, result.structured, result.datasheets);
+		} else if (type === 'compare') {
+			this.displayComparisonResults(result.html, result.parts, result.datasheets, result.pinouts, result.compatibility);
+		} else if (type === 'bulk') {
+			this.bulkResultsData = result;
+			this.displayBulkResults(result);
+		}
+	}
+	
+	// Helper: the permalink of a finished analysis, shown under its results
+	createPermalinkItem(permalink) {
+		const url = new URL(permalink, window.location.origin).href;
+		const item = document.createElement('div');
+		item.className = 'result-item permalink-item';
+		item.innerHTML = `
+			<div class="result-key">🔗 Permalink</div>
+			<div class="result-value permalink-row">
+				<a href="${this.escapeHtml(url)}" target="_blank" rel="noopener">${this.escapeHtml(url)}</a>
+				<button type="button" class="permalink-copy">📋 Copy link</button>
+			</div>
+		`;
+		item.querySelector('.permalink-copy').addEventListener('click', (e) => this.copyPermalink(url, e.target));
+		return item;
+	}
+	
+	async copyPermalink(url, button) {
+		try {
+			await navigator.clipboard.writeText(url);
+			button.textContent = '✅ Copied';
+		} catch (error) {
+			console.error('Copy failed:', error);
+			button.textContent = '❌ Copy failed';
+		}
+		setTimeout(() => { button.textContent = '📋 Copy link'; }, 2000);
+	}
+	
+	// Datasheet Uploads
+	bindDatasheetBar(bar) {
+		const partInput = document.getElementById(bar.dataset.partInput);
+		const fileInput = bar.querySelector('.datasheet-file');
+		
+		bar.querySelector('.datasheet-btn').addEventListener('click', () => {
+			if (!partInput.value.trim()) {
+				this.showDatasheetStatus(bar, 'Enter the part number first, then attach its datasheets.');
+				return;
+			}
+			fileInput.click();
+		});
+		
+		fileInput.addEventListener('change', () => {
+			const files = Array.from(fileInput.files);
+			fileInput.value = '';
+			if (files.length > 0) {
+				this.uploadDatasheets(bar, partInput.value.trim(), files);
+			}
+		});
+		
+		// Show what is already stored for the part once it has been entered
+		partInput.addEventListener('change', () => this.refreshDatasheets(bar, partInput.value.trim()));
+		
+		bar.querySelector('.datasheet-chips').addEventListener('click', (e) => {
+			const removeBtn = e.target.closest('[data-remove-id]');
+			if (removeBtn) {
+				this.removeDatasheet(bar, bar.dataset.partNumber, removeBtn.dataset.removeId);
+			}
+		});
+	}
+	
+	async refreshDatasheets(bar, partNumber) {
+		if (!partNumber) {
+			this.renderDatasheets(bar, '', []);
+			return;
+		}
+		
+		try {
+			const response = await fetch(`/api/datasheets/${encodeURIComponent(partNumber)}`);
+			const data = await response.json();
+			if (!response.ok) {
+				throw new Error(data.error || 'Failed to load datasheets');
+			}
+			this.renderDatasheets(bar, partNumber, data.datasheets);
+		} catch (error) {
+			console.error('Error loading datasheets:', error);
+			this.showDatasheetStatus(bar, `Could not load datasheets: ${error.message}`);
+		}
+	}
+	
+	async uploadDatasheets(bar, partNumber, files) {
+		const formData = new FormData();
+		files.forEach(file => formData.append('files', file));
+		
+		this.showDatasheetStatus(bar, `Uploading ${files.length} datasheet${files.length !== 1 ? 's' : ''} for ${partNumber}...`);
+		
+		try {
+			const response = await fetch(`/api/datasheets/${encodeURIComponent(partNumber)}`, {
+				method: 'POST',
+				body: formData
+			});
+			const data = await response.json();
+			if (!response.ok) {
+				throw new Error(data.error || 'Upload failed');
+			}
+			this.renderDatasheets(bar, partNumber, data.datasheets);
+		} catch (error) {
+			console.error('Datasheet upload error:', error);
+			this.showDatasheetStatus(bar, `Upload failed: ${error.message}`);
+		}
+	}
+	
+	async removeDatasheet(bar, partNumber, id) {
+		try {
+			const response = await fetch(`/api/datasheets/${encodeURIComponent(partNumber)}/${encodeURIComponent(id)}`, {
+				method: 'DELETE'
+			});
+			const data = await response.json();
+			if (!response.ok) {
+				throw new Error(data.error || 'Failed to remove datasheet');
+			}
+			this.renderDatasheets(bar, partNumber, data.datasheets);
+		} catch (error) {
+			console.error('Datasheet removal error:', error);
+			this.showDatasheetStatus(bar, `Could not remove datasheet: ${error.message}`);
+		}
+	}
+	
+	renderDatasheets(bar, partNumber, datasheets) {
+		bar.dataset.partNumber = partNumber;
+		const chips = bar.querySelector('.datasheet-chips');
+		const part = encodeURIComponent(partNumber);
+		
+		chips.innerHTML = datasheets.map(doc => `
+			<span class="datasheet-chip">
+				<a href="/api/datasheets/${part}/${this.escapeHtml(doc.id)}/file" target="_blank" rel="noopener">📄 ${this.escapeHtml(doc.filename)}</a>
+				<span class="datasheet-chip-pages">${doc.pageCount} pages</span>
+				<button type="button" class="datasheet-remove" data-remove-id="${this.escapeHtml(doc.id)}" title="Remove datasheet">×</button>
+			</span>
+		`).join('');
+	}
+	
+	showDatasheetStatus(bar, message) {
+		let status = bar.querySelector('.datasheet-status');
+		if (!status) {
+			status = document.createElement('span');
+			status.className = 'datasheet-status';
+			bar.appendChild(status);
+		}
+		status.textContent = message;
+		clearTimeout(status.hideTimer);
+		status.hideTimer = setTimeout(() => status.remove(), 6000);
+	}
+	
+	// Parametric Search
+	async loadPartFacets() {
+		try {
+			const response = await fetch('/api/parts');
+			const facets = await response.json();
+			if (!response.ok) {
+				throw new Error(facets.error || 'Failed to load parts database');
+			}
+			this.partFacets = facets;
+			
+			const options = (values) => values.map(v => `<option value="${this.escapeHtml(v)}">${this.escapeHtml(v)}</option>`).join('');
+			const selectOptions = (select, values) => {
+				const current = select.value;
+				select.innerHTML = `<option value="">Any</option>${options(values)}`;
+				select.value = current;
+			};
+			selectOptions(this.partSearchCategory, facets.categories);
+			selectOptions(this.partSearchLifecycle, facets.lifecycles);
+			document.getElementById('partSearchPackages').innerHTML = options(facets.packages);
+			document.getElementById('partSearchManufacturers').innerHTML = options(facets.manufacturers);
+			
+			const count = document.getElementById('partSearchCount');
+			if (count) {
+				count.textContent = `${facets.count} part${facets.count !== 1 ? 's' : ''} recorded so far. Set filters and search, e.g. LDOs in SOT-23-5 with input voltage max ≥ 16 V.`;
+			}
+		} catch (error) {
+			console.error('Error loading parts database facets:', error);
+		}
+	}
+	
+	addRangeRow() {
+		const row = document.createElement('div');
+		row.className = 'part-search-range';
+		row.innerHTML = `
+			<select class="part-search-field range-key">
+				${this.partFacets.parameters.map(p => `<option value="${this.escapeHtml(p.key)}" data-unit="${this.escapeHtml(p.unit || '')}">${this.escapeHtml(p.label)}</option>`).join('')}
+			</select>
+			<select class="part-search-field range-bound">
+				<option value="">any value</option>
+				<option value="min">min</option>
+				<option value="typ">typ</option>
+				<option value="max" selected>max</option>
+			</select>
+			<span>≥</span>
+			<input type="number" step="any" class="part-search-field range-gte" placeholder="from">
+			<span>≤</span>
+			<input type="number" step="any" class="part-search-field range-lte" placeholder="to">
+			<input type="text" class="part-search-field range-unit" placeholder="unit">
+			<button type="button" class="datasheet-remove part-search-range-remove" title="Remove range">×</button>
+		`;
+		
+		// Default the unit to the parameter's base unit; prefixes such as mA also work
+		const keySelect = row.querySelector('.range-key');
+		const unitInput = row.querySelector('.range-unit');
+		const syncUnit = () => {
+			const option = keySelect.selectedOptions[0];
+			unitInput.value = option ? option.dataset.unit : '';
+		};
+		keySelect.addEventListener('change', syncUnit);
+		syncUnit();
+		
+		this.partSearchRanges.appendChild(row);
+	}
+	
+	collectPartQuery() {
+		const parameters = Array.from(this.partSearchRanges.querySelectorAll('.part-search-range'))
+			.map(row => ({
+				key: row.querySelector('.range-key').value,
+				bound: row.querySelector('.range-bound').value || null,
+				gte: row.querySelector('.range-gte').value,
+				lte: row.querySelector('.range-lte').value,
+				unit: row.querySelector('.range-unit').value.trim() || null
+			}))
+			.filter(range => range.key && (range.gte !== '' || range.lte !== ''));
+		
+		return {
+			category: this.partSearchCategory.value || undefined,
+			package: this.partSearchPackage.value.trim() || undefined,
+			manufacturer: this.partSearchManufacturer.value.trim() || undefined,
+			lifecycle: this.partSearchLifecycle.value || undefined,
+			verifiedOnly: this.partSearchVerified.checked,
+			parameters
+		};
+	}
+	
+	async handlePartSearch() {
+		this.partSearchBtn.disabled = true;
+		
+		try {
+			const response = await fetch('/api/parts/search', {
+				method: 'POST',
+				headers: { 'Content-Type': 'application/json' },
+				body: JSON.stringify(this.collectPartQuery())
+			});
+			const data = await response.json();
+			if (!response.ok) {
+				throw new Error(data.error || 'Search failed');
+			}
+			this.displayPartSearchResults(data);
+		} catch (error) {
+			console.error('Parts search error:', error);
+			this.showError(`Parts search failed: ${error.message}`, 'partSearch');
+		} finally {
+			this.partSearchBtn.disabled = false;
+		}
+	}
+	
+	displayPartSearchResults(data) {
+		if (data.parts.length === 0) {
+			this.partSearchResults.innerHTML = `
+				<div class="placeholder">
+					<div class="placeholder-icon">🗂️</div>
+					<p>No recorded part matches these filters.</p>
+				</div>
+			`;
+			return;
+		}
+		
+		const rows = data.parts.map(part => `
+			<tr>
+				<td class="part-number">${this.escapeHtml(part.partNumber)}</td>
+				<td>${this.escapeHtml(part.manufacturer || '—')}</td>
+				<td>${this.escapeHtml(part.category || '—')}</td>
+				<td>${this.escapeHtml(part.package || '—')}${part.pinCount ? ` <span class="part-search-muted">(${part.pinCount} pins)</span>` : ''}</td>
+				<td>${this.escapeHtml(part.lifecycle || '—')}</td>
+				<td>${part.price ? this.escapeHtml(`${part.price.unitPrice} ${part.price.currency || ''}`.trim()) : '—'}</td>
+				<td class="part-search-params">${part.parameters.slice(0, 4).map(p => this.formatPartParameter(p)).join('<br>') || '—'}</td>
+				<td class="part-search-muted">${this.escapeHtml((part.updatedAt || '').slice(0, 10))}</td>
+			</tr>
+		`).join('');
+		
+		this.partSearchResults.innerHTML = `
+			<div class="part-search-summary">${data.total} matching part${data.total !== 1 ? 's' : ''}${data.total > data.parts.length ? `, showing ${data.parts.length}` : ''}</div>
+			<div class="bulk-table-container">
+				<table class="bulk-results-table">
+					<thead>
+						<tr>
+							<th>Part</th>
+							<th>Manufacturer</th>
+							<th>Category</th>
+							<th>Package</th>
+							<th>Lifecycle</th>
+							<th>Price</th>
+							<th>Parameters</th>
+							<th>Updated</th>
+						</tr>
+					</thead>
+					<tbody>${rows}</tbody>
+				</table>
+			</div>
+		`;
+	}
+	
+	formatPartParameter(param) {
+		const values = ['min', 'typ', 'max']
+			.filter(bound => param[bound] !== null && param[bound] !== undefined)
+			.map(bound => `${bound} ${this.formatEngineering(param[bound], param.unit)}`);
+		const badge = param.verified ? ` <span class="part-search-verified-badge" title="${this.escapeHtml(param.citation || '')}">✓</span>` : '';
+		return `${this.escapeHtml(param.label)}: ${this.escapeHtml(values.join(', '))}${badge}`;
+	}
+	
+	// 0.0005 A -> "500 µA"; units without SI prefixes are shown as stored
+	formatEngineering(value, unit) {
+		const prefixable = ['V', 'A', 'W', 'Hz', 'F', 'H', 's', 'Ω'];
+		if (!unit || !prefixable.includes(unit) || value === 0) {
+			return unit ? `${value} ${unit}` : `${value}`;
+		}
+		const prefixes = [[1e9, 'G'], [1e6, 'M'], [1e3, 'k'], [1, ''], [1e-3, 'm'], [1e-6, 'µ'], [1e-9, 'n'], [1e-12, 'p']];
+		const [factor, prefix] = prefixes.find(([f]) => Math.abs(value) >= f) || prefixes[prefixes.length - 1];
+		return `${Number((value / factor).toPrecision(4))} ${prefix}${unit}`;
+	}
+	
 	// API Calls
-	async findAlternatives(partNumber) {
-		const response = await fetch('/api/alternatives', {
+	async findAlternatives(partNumber, signal, onEvent) {
+		return this.streamRequest('/api/alternatives', { partNumber }, signal, onEvent);
+	}
+	
+	// POST a JSON body and read the server-sent event stream that comes back.
+	// onEvent(event, data) receives progress events; resolves with the "done"
+	// payload, which is the same object the route returns as plain JSON.
+	async streamRequest(url, body, signal, onEvent = () => {}) {
+		const response = await fetch(url, {
 			method: 'POST',
 			headers: {
-				'Content-Type': 'application/json'
+				'Content-Type': 'application/json',
+				'Accept': 'text/event-stream'
 			},
-			body: JSON.stringify({ partNumber })
+			body: JSON.stringify(body),
+			signal
 		});
 		
 		if (!response.ok) {
-			const errorData = await response.json();
+			const errorData = await response.json().catch(() => ({}));
 			throw new Error(errorData.error || response.statusText);
 		}
 		
-		const data = await response.json();
-		return data;
+		const contentType = response.headers.get('Content-Type') || '';
+		if (!contentType.includes('text/event-stream') || !response.body) {
+			return response.json();
+		}
+		
+		const reader = response.body.getReader();
+		const decoder = new TextDecoder();
+		let buffer = '';
+		
+		while (true) {
+			const { value, done } = await reader.read();
+			if (done) break;
+			buffer += decoder.decode(value, { stream: true });
+			
+			// Events are separated by a blank line
+			const blocks = buffer.split('\n\n');
+			buffer = blocks.pop();
+			
+			for (const block of blocks) {
+				let event = 'message';
+				let data = '';
+				block.split('\n').forEach(line => {
+					if (line.startsWith('event:')) {
+						event = line.slice(6).trim();
+					} else if (line.startsWith('data:')) {
+						data += line.slice(5).trim();
+					}
+				});
+				if (!data) continue; // keep-alive comment
+				
+				const payload = JSON.parse(data);
+				if (event === 'done') {
+					reader.cancel().catch(() => {});
+					return payload;
+				}
+				if (event === 'error') {
+					throw new Error(payload.error || 'Server error');
+				}
+				onEvent(event, payload);
+			}
+		}
+		
+		throw new Error('Connection closed before the response was complete');
+	}
+	
+	// Progressive rendering of a streamed markdown report. Renders are
+	// throttled so long reports do not re-parse on every token.
+	startStreamPreview(target) {
+		let markdown = '';
+		let timer = null;
+		
+		const render = () => {
+			timer = null;
+			const preview = target.querySelector('.stream-preview');
+			if (!preview) return;
+			preview.innerHTML = `
+				<div class="result-item alternatives">
+					<div class="result-key">📝 Writing report...</div>
+					<div class="result-value">${this.renderMarkdown(markdown)}</div>
+				</div>
+			`;
+		};
+		
+		return {
+			append: (text) => {
+				markdown += text;
+				if (!timer) {
+					timer = setTimeout(render, this.previewRenderDelay);
+				}
+			},
+			stop: () => {
+				clearTimeout(timer);
+				timer = null;
+			}
+		};
+	}
+	
+	// Same rules as the server's lib/markdown.js: the report is untrusted, so
+	// raw HTML is shown as text (except <br>) and links and images only keep
+	// http(s), mailto and relative URLs
+	renderMarkdown(markdown) {
+		if (!window.marked) {
+			return `<pre class="stream-preview-text">${this.escapeHtml(markdown)}</pre>`;
+		}
+		if (!this.markdownRenderer) {
+			const isSafeUrl = (href, schemes) => {
+				const scheme = String(href || '').replace(/[\u0000- ]/g, '').match(/^([a-z][a-z0-9+.-]*):/i);
+				return !scheme || schemes.includes(scheme[1].toLowerCase());
+			};
+			this.markdownRenderer = new window.marked.Marked({
+				breaks: true,
+				gfm: true,
+				renderer: {
+					html: (html) => this.escapeHtml(html).replace(/&lt;br\s*\/?&gt;/gi, '<br>'),
+					link: (href, title, text) => (isSafeUrl(href, ['http', 'https', 'mailto']) ? false : text),
+					image: (href, title, text) => (isSafeUrl(href, ['http', 'https']) ? false : text)
+				}
+			});
+		}
+		return this.markdownRenderer.parse(markdown);
+	}
+	
+	markLoadingStage(target, stage) {
+		const stages = Array.from(target.querySelectorAll('[data-stage]'));
+		const current = stages.findIndex(el => el.dataset.stage === stage);
+		if (current === -1) return;
+		
+		stages.forEach((el, i) => {
+			const icon = i < current ? '✓' : i === current ? '⏳' : '○';
+			el.textContent = `${icon} ${el.dataset.label}`;
+		});
 	}
 	
 	// Loading States
@@ -163,14 +859,19 @@ class PartAnalysisTool {
 				this.results.innerHTML = `
 					<div class="placeholder">
 						<div class="placeholder-icon">🔍</div>
-						<p>Searching Google and TI cross-reference database...</p>
+						<p>Searching the web and manufacturer cross-reference databases...</p>
 						<div style="margin-top: 15px; font-size: 0.9rem; color: #666;">
-							<div style="margin-bottom: 8px;">✓ Google Search</div>
-							<div style="margin-bottom: 8px;">⏳ TI Cross-Reference</div>
-							<div>⏳ AI Analysis</div>
+							<div style="margin-bottom: 8px;" data-stage="search" data-label="Web Search">⏳ Web Search</div>
+							<div style="margin-bottom: 8px;" data-stage="crossref" data-label="Manufacturer Cross-References">○ Manufacturer Cross-References</div>
+							<div style="margin-bottom: 8px;" data-stage="datasheets" data-label="Datasheets">○ Datasheets</div>
+							<div style="margin-bottom: 8px;" data-stage="llm" data-label="AI Analysis">○ AI Analysis</div>
+							<div data-stage="extraction" data-label="Structured Summary">○ Structured Summary</div>
 						</div>
+						<button type="button" class="cancel-btn">Cancel</button>
 					</div>
+					<div class="stream-preview"></div>
 				`;
+				this.results.querySelector('.cancel-btn').addEventListener('click', () => this.cancelRequest('search'));
 			} else {
 				this.results.classList.remove('loading');
 			}
@@ -185,7 +886,20 @@ class PartAnalysisTool {
 			
 			if (loading) {
 				this.compareResults.classList.add('loading');
-				this.compareResults.innerHTML = '<div class="placeholder"><div class="placeholder-icon">🤖</div><p>AI is building a comprehensive comparison...</p></div>';
+				this.compareResults.innerHTML = `
+					<div class="placeholder">
+						<div class="placeholder-icon">🤖</div>
+						<p>AI is building a comprehensive comparison...</p>
+						<div style="margin-top: 15px; font-size: 0.9rem; color: #666;">
+							<div style="margin-bottom: 8px;" data-stage="datasheets" data-label="Datasheets">⏳ Datasheets</div>
+							<div style="margin-bottom: 8px;" data-stage="llm" data-label="AI Analysis">○ AI Analysis</div>
+							<div data-stage="extraction" data-label="Pinouts & Parameters">○ Pinouts &amp; Parameters</div>
+						</div>
+						<button type="button" class="cancel-btn">Cancel</button>
+					</div>
+					<div class="stream-preview"></div>
+				`;
+				this.compareResults.querySelector('.cancel-btn').addEventListener('click', () => this.cancelRequest('compare'));
 			} else {
 				this.compareResults.classList.remove('loading');
 			}
@@ -193,7 +907,7 @@ class PartAnalysisTool {
 	}
 	
 	// Display Results
-	displayResults(alternatives, originalPart, tiAlternatives = []) {
+	displayResults(alternatives, originalPart, crossReferences = [], structured = null, datasheets = []) {
 		this.results.innerHTML = '';
 		
 		// Create header for the original part
@@ -205,36 +919,41 @@ class PartAnalysisTool {
 		`;
 		this.results.appendChild(headerDiv);
 		
-		// Create TI cross-reference section if alternatives found
-		if (tiAlternatives && tiAlternatives.length > 0) {
+		// Create cross-reference section if alternatives found
+		if (crossReferences && crossReferences.length > 0) {
 			const tiDiv = document.createElement('div');
 			tiDiv.className = 'result-item ti-alternatives';
 			tiDiv.innerHTML = `
 				<div class="result-key">
-					🔗 TI Cross-Reference Alternatives
+					🔗 Manufacturer Cross-References
 					<span style="background: #4caf50; color: white; padding: 2px 8px; border-radius: 10px; font-size: 0.7rem; margin-left: 10px;">
-						${tiAlternatives.length} found
+						${crossReferences.length} found
 					</span>
 				</div>
-				<div class="result-value">${this.formatTIAlternatives(tiAlternatives)}</div>
+				<div class="result-value">${this.formatCrossReferences(crossReferences, originalPart)}</div>
 			`;
 			this.results.appendChild(tiDiv);
 		} else {
-			// Show TI cross-reference section even when no results found
+			// Show cross-reference section even when no results found
 			const tiDiv = document.createElement('div');
 			tiDiv.className = 'result-item ti-alternatives';
 			tiDiv.innerHTML = `
 				<div class="result-key">
-					🔗 TI Cross-Reference Alternatives
+					🔗 Manufacturer Cross-References
 					<span style="background: #ff9800; color: white; padding: 2px 8px; border-radius: 10px; font-size: 0.7rem; margin-left: 10px;">
 						No results
 					</span>
 				</div>
-				<div class="result-value">${this.formatTIAlternatives([])}</div>
+				<div class="result-value">${this.formatCrossReferences([])}</div>
 			`;
 			this.results.appendChild(tiDiv);
 		}
 		
+		// Datasheets the analysis quotes, so page citations can be checked
+		if (datasheets && datasheets.length > 0) {
+			this.results.appendChild(this.createDatasheetsItem(datasheets));
+		}
+		
 		// Create the AI alternatives content with better sectioning
 		const alternativesDiv = document.createElement('div');
 		alternativesDiv.className = 'result-item alternatives';
@@ -244,33 +963,82 @@ class PartAnalysisTool {
 		`;
 		this.results.appendChild(alternativesDiv);
 		
+		if (structured && structured.alternatives && structured.alternatives.length > 0) {
+			this.results.appendChild(this.createCompareActionsItem(originalPart, structured.alternatives));
+		}
+		
+		// PDF export keeps its TI section; other sources are in the report itself
+		const tiAlternatives = (crossReferences || []).filter(alt => !alt.source || alt.source === 'ti');
+		
 		// Add export button after AI alternatives
 		console.log('Adding export button with data:', {
 			originalPart,
 			alternatives: alternatives,
 			tiAlternatives: tiAlternatives,
 			alternativesLength: alternatives ? alternatives.length : 'undefined',
-			tiAlternativesLength: tiAlternatives ? tiAlternatives.length : 'undefined'
+			tiAlternativesLength: tiAlternatives.length
 		});
 		
 		this.addExportButton(originalPart, { 
 			alternatives: alternatives, 
-			tiAlternatives: tiAlternatives 
+			tiAlternatives: tiAlternatives,
+			crossReferences: crossReferences,
+			structured: structured
 		});
 	}
 	
-	displayComparisonResults(html, partA, partB) {
+	// Helper: button running /api/compare of an alternative against the original
+	compareActionButton(originalPart, alternativePart, compact = false) {
+		return `<button type="button" class="compare-action${compact ? ' compact' : ''}" data-compare-original="${this.escapeHtml(originalPart)}" data-compare-with="${this.escapeHtml(alternativePart)}" title="Compare ${this.escapeHtml(alternativePart)} with ${this.escapeHtml(originalPart)}">${compact ? '⚖️' : '⚖️ Compare with original'}</button>`;
+	}
+	
+	// The report's alternatives, from the structured extraction, each with a
+	// compare action
+	createCompareActionsItem(originalPart, alternatives) {
+		const item = document.createElement('div');
+		item.className = 'result-item compare-actions';
+		item.innerHTML = `
+			<div class="result-key">⚖️ Compare an Alternative with ${this.escapeHtml(originalPart)}</div>
+			<div class="result-value">
+				<ul class="compare-action-list">
+					${alternatives.map(alt => `
+						<li>
+							<span><strong>${this.escapeHtml(alt.partNumber)}</strong>${alt.manufacturer ? ` (${this.escapeHtml(alt.manufacturer)})` : ''}</span>
+							${this.compareActionButton(originalPart, alt.partNumber)}
+						</li>
+					`).join('')}
+				</ul>
+			</div>
+		`;
+		return item;
+	}
+	
+	// `parts` starts with the baseline; compatibility and pinout comparisons
+	// come one per other part, against the baseline
+	displayComparisonResults(html, parts, datasheets = [], pinouts = null, compatibility = []) {
 		this.compareResults.innerHTML = '';
 		
 		// Create header for the comparison
 		const headerDiv = document.createElement('div');
 		headerDiv.className = 'result-item header';
 		headerDiv.innerHTML = `
-			<div class="result-key">⚖️ Comparison: ${this.escapeHtml(partA)} vs ${this.escapeHtml(partB)}</div>
-			<div class="result-value">Detailed analysis with pinout diagrams and specifications</div>
+			<div class="result-key">⚖️ Comparison: ${parts.map(part => this.escapeHtml(part)).join(' vs ')}</div>
+			<div class="result-value">Detailed analysis with pinout diagrams and specifications, differences against the baseline ${this.escapeHtml(parts[0])}</div>
+			${this.compareOrigin ? `<button type="button" class="compare-origin-link">↩ Back to ${this.escapeHtml(this.compareOrigin.label)}</button>` : ''}
 		`;
 		this.compareResults.appendChild(headerDiv);
 		
+		(compatibility || []).forEach(result => {
+			this.compareResults.appendChild(this.createCompatibilityItem(result));
+		});
+		
+		if (pinouts) {
+			const [baseline, ...candidates] = pinouts.parts;
+			candidates.forEach((candidate, i) => {
+				this.compareResults.appendChild(this.createPinoutItem(baseline, candidate, pinouts.comparisons[i]));
+			});
+		}
+		
 		// Create the comparison content
 		const comparisonDiv = document.createElement('div');
 		comparisonDiv.className = 'result-item alternatives';
@@ -280,8 +1048,12 @@ class PartAnalysisTool {
 		`;
 		this.compareResults.appendChild(comparisonDiv);
 		
+		if (datasheets && datasheets.length > 0) {
+			this.compareResults.appendChild(this.createDatasheetsItem(datasheets));
+		}
+		
 		// Add export options
-		this.addExportOptions(html, partA, partB);
+		this.addExportOptions(html, parts);
 	}
 	
 	// HTML Processing
@@ -306,54 +1078,6 @@ class PartAnalysisTool {
 			'<div class="pinout-diagram"><pre>$1</pre></div>'
 		);
 
-		// Enhance pinout diagrams with better formatting
-		processedHtml = processedHtml.replace(
-			/(PINOUT|Pinout|pinout)/g,
-			'<span class="pinout-difference">$1</span>'
-		);
-
-		// Highlight pin 1 indicators
-		processedHtml = processedHtml.replace(
-			/(Pin 1|PIN 1|pin 1|1\s*[•·])/g,
-			'<span class="pin-1">$1</span>'
-		);
-
-		// Highlight power pins
-		processedHtml = processedHtml.replace(
-			/\b(VCC|VDD|VSS|GND|PWR|POWER)\b/gi,
-			'<span class="pin-power">$1</span>'
-		);
-
-		// Highlight ground pins
-		processedHtml = processedHtml.replace(
-			/\b(GND|VSS|AGND|DGND)\b/gi,
-			'<span class="pin-ground">$1</span>'
-		);
-
-		// Highlight signal pins
-		processedHtml = processedHtml.replace(
-			/\b(CLK|DATA|SDA|SCL|TX|RX|INT|RESET)\b/gi,
-			'<span class="pin-signal">$1</span>'
-		);
-
-		// Highlight differences in text
-		processedHtml = processedHtml.replace(
-			/\b(different|differs|unlike|varies|change|incompatible|mismatch)\b/gi,
-			'<strong class="pinout-difference">$1</strong>'
-		);
-
-		// Highlight similarities
-		processedHtml = processedHtml.replace(
-			/\b(same|identical|similar|compatible|match|identical|equivalent)\b/gi,
-			'<em class="pinout-similar">$1</em>'
-		);
-
-		// Highlight compatibility scores
-		processedHtml = processedHtml.replace(
-			/(\d{1,3})%/g,
-			'<span class="compatibility-score compatibility-$1">$1%</span>'
-		);
-
 		// Add CSS classes to existing table elements
 		processedHtml = processedHtml.replace(
 			/<thead>/g,
@@ -373,27 +1097,187 @@ class PartAnalysisTool {
 		return processedHtml;
 	}
 	
+	// Rule-based drop-in score with the points behind it, criterion by criterion
+	createCompatibilityItem(compatibility) {
+		const item = document.createElement('div');
+		item.className = 'result-item compatibility';
+		const percent = (score) => score === null ? '—' : `${Math.round(score * 100)}%`;
+		
+		const rows = compatibility.criteria.map(c => `
+			<tr class="${c.score === null ? 'criterion-unknown' : ''}">
+				<td>${this.escapeHtml(c.label)}</td>
+				<td>${c.weight}</td>
+				<td>${percent(c.score)}</td>
+				<td>${c.points === null ? '—' : c.points}</td>
+				<td>${this.escapeHtml(c.detail)}</td>
+			</tr>
+		`).join('');
+		
+		const badge = compatibility.score === null
+			? '<span class="compatibility-score">n/a</span>'
+			: `<span class="compatibility-score compatibility-${compatibility.score}">${compatibility.score}%</span>`;
+		const coverage = compatibility.coverage < 1
+			? ` Based on ${Math.round(compatibility.coverage * 100)}% of the criteria weight; criteria without data for both parts are left out, and below half there is no score.`
+			: '';
+		
+		item.innerHTML = `
+			<div class="result-key">🎯 Drop-in Compatibility: ${this.escapeHtml(compatibility.replacement)} for ${this.escapeHtml(compatibility.original)}</div>
+			<div class="result-value">
+				<div class="compatibility-headline">
+					${badge}
+					<strong>${this.escapeHtml(compatibility.verdict)}</strong>
+				</div>
+				<p class="compatibility-note">Computed from structured package, pinout and specification data; the analysis below is AI commentary.${coverage}</p>
+				<table class="comparison-table compatibility-criteria">
+					<thead>
+						<tr><th>Criterion</th><th>Weight</th><th>Score</th><th>Points</th><th>Basis</th></tr>
+					</thead>
+					<tbody>${rows}</tbody>
+				</table>
+			</div>
+		`;
+		return item;
+	}
+	
+	// Pin-by-pin comparison of one part against the baseline, from the
+	// server's structured pinouts: a package outline with baseline / part pin
+	// names, coloured by mismatch status
+	createPinoutItem(baseline, candidate, comparison) {
+		const item = document.createElement('div');
+		item.className = 'result-item pinouts';
+		const partA = this.escapeHtml(baseline.partNumber);
+		const partB = this.escapeHtml(candidate.partNumber);
+		const title = `📌 Pinout Comparison: ${partB} vs ${partA}`;
+		
+		if (!comparison.comparable) {
+			const missing = [baseline, candidate].filter(p => p.pins.length === 0).map(p => this.escapeHtml(p.partNumber));
+			item.innerHTML = `
+				<div class="result-key">${title}</div>
+				<div class="result-value">The report gives no pinout for ${missing.join(' or ')}, so pins cannot be compared. See the pinout section of the analysis below.</div>
+			`;
+			return item;
+		}
+		
+		const statusLabels = {
+			match: 'Match',
+			renamed: 'Same type, different name',
+			type: 'Different pin type',
+			missing: 'Pin on one part only'
+		};
+		const pinLabel = (pin) => pin ? this.escapeHtml(pin.name) : '—';
+		const pinTitle = (part, pin) => pin
+			? `${part} pin ${pin.number}: ${pin.name} (${pin.type})${pin.function ? ` - ${pin.function}` : ''}${pin.citation ? ` [${pin.citation}]` : ''}`
+			: `${part}: no pin`;
+		const cell = (row) => `
+			<div class="pin-cell pin-${row.status}" title="${this.escapeHtml(`${statusLabels[row.status]}\n${pinTitle(baseline.partNumber, row.a)}\n${pinTitle(candidate.partNumber, row.b)}`)}">
+				<span class="pin-number">${this.escapeHtml(row.number)}</span>
+				<span class="pin-names">${pinLabel(row.a)} <span class="pin-separator">/</span> ${pinLabel(row.b)}</span>
+			</div>
+		`;
+		
+		// Pins run down the left side and back up the right, as on a DIP/SOIC outline
+		const half = Math.ceil(comparison.rows.length / 2);
+		const left = comparison.rows.slice(0, half);
+		const right = comparison.rows.slice(half).reverse();
+		const packages = [baseline.package, candidate.package].filter(Boolean);
+		
+		const mismatchList = comparison.mismatches.length > 0
+			? `<ul class="pinout-mismatches">${comparison.mismatches.map(m => `<li class="pin-${m.status}">${this.escapeHtml(m.detail)}</li>`).join('')}</ul>`
+			: '<p class="pinout-match-all">Every pin matches in name and type.</p>';
+		
+		item.innerHTML = `
+			<div class="result-key">${title}</div>
+			<div class="result-value">
+				<p class="pinout-summary">
+					<strong>${comparison.matching} of ${comparison.rows.length}</strong> pins match.
+					${partA}: ${baseline.pins.length} pins, ${partB}: ${candidate.pins.length} pins${comparison.pinCountMatch ? '' : ' <strong class="pin-count-differs">(pin counts differ)</strong>'}.
+				</p>
+				<div class="pinout-package">
+					<div class="pinout-side">${left.map(cell).join('')}</div>
+					<div class="pinout-body">
+						<span class="pinout-body-part">${partA}</span>
+						<span class="pin-separator">vs</span>
+						<span class="pinout-body-part">${partB}</span>
+						${packages.length ? `<span class="pinout-body-package">${this.escapeHtml([...new Set(packages)].join(' / '))}</span>` : ''}
+					</div>
+					<div class="pinout-side">${right.map(cell).join('')}</div>
+				</div>
+				<div class="pinout-legend">
+					${Object.entries(statusLabels).map(([status, label]) => `<span class="legend-item"><span class="legend-swatch pin-${status}"></span>${label}</span>`).join('')}
+				</div>
+				${mismatchList}
+			</div>
+		`;
+		return item;
+	}
+	
 	formatAlternatives(alternatives) {
-		// The server now returns parsed HTML, so we can display it directly
-		// The HTML is already sanitized by the server, so we can trust it
+		// The server renders the report with raw HTML escaped and unsafe links
+		// removed (lib/markdown.js), so it is displayed as is
 		return alternatives;
 	}
 	
-	formatTIAlternatives(tiAlternatives) {
-		if (!tiAlternatives || tiAlternatives.length === 0) {
+	createDatasheetsItem(datasheets) {
+		const sectionLabels = {
+			ordering: 'Ordering Information',
+			pinout: 'Pinout',
+			electrical: 'Electrical Characteristics'
+		};
+		
+		const items = datasheets.map(doc => {
+			const pages = doc.pages.map(p => {
+				const sections = p.sections.map(name => sectionLabels[name] || name).join(', ');
+				return sections ? `p. ${p.page} (${this.escapeHtml(sections)})` : `p. ${p.page}`;
+			}).join(' · ');
+			
+			return `
+				<li class="datasheet-item">
+					<span class="datasheet-ref">${this.escapeHtml(doc.ref)}</span>
+					${doc.uploaded ? '<span class="datasheet-uploaded">Uploaded</span>' : ''}
+					<strong>${this.escapeHtml(doc.partNumber)}</strong>:
+					<a href="${this.escapeHtml(doc.url)}" target="_blank" rel="noopener">${this.escapeHtml(doc.title)}</a>
+					<div class="datasheet-pages">${doc.pageCount} pages; excerpts from ${pages}</div>
+				</li>
+			`;
+		}).join('');
+		
+		const div = document.createElement('div');
+		div.className = 'result-item datasheets';
+		div.innerHTML = `
+			<div class="result-key">📄 Datasheets Used</div>
+			<div class="result-value"><ul class="datasheet-list">${items}</ul></div>
+		`;
+		return div;
+	}
+	
+	formatCrossReferences(crossReferences, originalPart = '') {
+		if (!crossReferences || crossReferences.length === 0) {
 			return `
 				<div style="text-align: center; padding: 20px; color: #999; font-style: italic;">
 					<div style="font-size: 2rem; margin-bottom: 10px;">🔍</div>
-					<p>No TI cross-reference alternatives found for this part.</p>
+					<p>No manufacturer cross-reference alternatives found for this part.</p>
 				</div>
 			`;
 		}
 		
-		const alternativesList = tiAlternatives.map((alt, index) => {
+		// Results saved before sources carried a verified flag came from TI only
+		const isVerified = alt => (alt.verified !== undefined ? alt.verified : (alt.source || 'ti') === 'ti');
+		const sources = [...new Set(crossReferences.map(alt => alt.sourceLabel || 'TI'))];
+		const verifiedCount = crossReferences.filter(isVerified).length;
+		const plural = crossReferences.length !== 1 ? 's' : '';
+		let summary = `Found ${crossReferences.length} verified alternative${plural} from official cross-reference databases`;
+		if (verifiedCount === 0) {
+			summary = `Found ${crossReferences.length} alternative${plural} from unverified cross-reference sources`;
+		} else if (verifiedCount < crossReferences.length) {
+			summary = `Found ${crossReferences.length} alternative${plural} (${verifiedCount} verified) from cross-reference sources`;
+		}
+		
+		const alternativesList = crossReferences.map((alt, index) => {
 			const partNumber = this.escapeHtml(alt.partNumber);
 			const title = this.escapeHtml(alt.title);
-			const href = this.escapeHtml(alt.href);
 			const matchType = this.escapeHtml(alt.matchType || 'Unknown');
+			const sourceLabel = this.escapeHtml(alt.sourceLabel || 'TI');
+			const manufacturer = this.escapeHtml(alt.manufacturer || 'Texas Instruments');
 			
 			// Determine match type styling
 			let matchTypeClass = 'match-unknown';
@@ -445,7 +1329,7 @@ class PartAnalysisTool {
 								${matchType}
 							</div>
 							<div style="background: #ff6b35; color: white; padding: 4px 8px; border-radius: 12px; font-size: 0.75rem; font-weight: 600;">
-								TI PART
+								${sourceLabel.toUpperCase()} PART
 							</div>
 						</div>
 					</div>
@@ -453,11 +1337,14 @@ class PartAnalysisTool {
 						${title}
 					</div>
 					<div style="display: flex; justify-content: space-between; align-items: center;">
-						<a href="${href}" target="_blank" style="color: #ff6b35; text-decoration: none; font-weight: 600; font-size: 0.9rem; padding: 8px 16px; background: rgba(255, 107, 53, 0.1); border-radius: 6px; transition: all 0.2s ease;">
-							🔗 View on TI.com →
-						</a>
-						<div style="font-size: 0.8rem; color: #999;">
-							Verified by TI
+						${this.isWebUrl(alt.href) ? `<a href="${this.escapeHtml(alt.href)}" target="_blank" rel="noopener" style="color: #ff6b35; text-decoration: none; font-weight: 600; font-size: 0.9rem; padding: 8px 16px; background: rgba(255, 107, 53, 0.1); border-radius: 6px; transition: all 0.2s ease;">
+							🔗 View on ${manufacturer} →
+						</a>` : '<span></span>'}
+						<div style="display: flex; gap: 10px; align-items: center;">
+							${originalPart ? this.compareActionButton(originalPart, alt.partNumber) : ''}
+							<div style="font-size: 0.8rem; color: #999;">
+								${isVerified(alt) ? `Verified by ${sourceLabel}` : `Unverified source: ${sourceLabel}`}
+							</div>
 						</div>
 					</div>
 				</div>
@@ -468,25 +1355,32 @@ class PartAnalysisTool {
 			<div style="margin-bottom: 20px;">
 				<div style="background: linear-gradient(135deg, #ff6b35 0%, #e55a2b 100%); color: white; padding: 15px 20px; border-radius: 8px; margin-bottom: 20px; text-align: center;">
 					<div style="font-size: 1.2rem; font-weight: 700; margin-bottom: 5px;">
-						🔗 Texas Instruments Cross-Reference
+						🔗 Manufacturer Cross-Reference
 					</div>
 					<div style="font-size: 0.9rem; opacity: 0.9;">
-						Found ${tiAlternatives.length} verified alternative${tiAlternatives.length !== 1 ? 's' : ''} from TI's official cross-reference database
+						${summary} (${this.escapeHtml(sources.join(', '))})
 					</div>
 				</div>
 				${alternativesList}
 				<div style="text-align: center; margin-top: 20px; padding: 15px; background: #f8f9fa; border-radius: 6px; border: 1px solid #e1e5e9;">
 					<div style="font-size: 0.85rem; color: #666;">
-						<strong>💡 Tip:</strong> These are official TI cross-reference alternatives. Click any part to view detailed specifications on TI.com
+						<strong>💡 Tip:</strong> ${verifiedCount === crossReferences.length
+							? 'These are official manufacturer cross-reference alternatives.'
+							: 'Unverified sources scrape pages that have not been checked against the live site, so confirm their parts before relying on them.'} Click any part to view detailed specifications on the manufacturer's site
 					</div>
 				</div>
 			</div>
 		`;
 	}
 	
+	// Scraped links only become anchors when they are absolute http(s) URLs
+	isWebUrl(href) {
+		return /^https?:\/\//i.test(String(href || '').replace(/[\u0000- ]/g, ''));
+	}
+	
 	// Error Handling
 	showError(message, target) {
-		const targetElement = target === 'compare' ? this.compareResults : this.results;
+		const targetElement = { compare: this.compareResults, partSearch: this.partSearchResults }[target] || this.results;
 		targetElement.innerHTML = `
 			<div class="result-item error">
 				<div class="result-key">❌ Error</div>
@@ -495,8 +1389,18 @@ class PartAnalysisTool {
 		`;
 	}
 	
+	showCancelled(target) {
+		const targetElement = target === 'compare' ? this.compareResults : this.results;
+		targetElement.innerHTML = `
+			<div class="placeholder">
+				<div class="placeholder-icon">⏹️</div>
+				<p>Request cancelled</p>
+			</div>
+		`;
+	}
+	
 	// Export Options
-	addExportOptions(html, partA, partB) {
+	addExportOptions(html, parts) {
 		const exportDiv = document.createElement('div');
 		exportDiv.className = 'result-item';
 		exportDiv.style.textAlign = 'center';
@@ -519,19 +1423,20 @@ class PartAnalysisTool {
 		this.compareResults.appendChild(exportDiv);
 
 		// Add event listeners for the buttons
-		document.getElementById('printBtn').addEventListener('click', () => this.printReport(partA, partB));
+		document.getElementById('printBtn').addEventListener('click', () => this.printReport(parts));
 		document.getElementById('copyBtn').addEventListener('click', () => this.copyToClipboard());
 	}
 
-	printReport(partA, partB) {
+	printReport(parts) {
 		const printWindow = window.open('', '_blank');
 		const comparisonContent = document.querySelector('#compareResults .result-item.alternatives .result-value').innerHTML;
+		const title = parts.map(part => this.escapeHtml(part)).join(' vs ');
 		
 		printWindow.document.write(`
 			<!DOCTYPE html>
 			<html>
 			<head>
-				<title>Part Comparison: ${partA} vs ${partB}</title>
+				<title>Part Comparison: ${title}</title>
 				<style>
 					body { font-family: Arial, sans-serif; margin: 20px; }
 					table { border-collapse: collapse; width: 100%; margin: 20px 0; }
@@ -544,7 +1449,8 @@ class PartAnalysisTool {
 			</head>
 			<body>
 				<h1>Part Comparison Report</h1>
-				<h2>${partA} vs ${partB}</h2>
+				<h2>${title}</h2>
+				<p>Baseline: ${this.escapeHtml(parts[0])}</p>
 				<hr>
 				${comparisonContent}
 			</body>
@@ -655,14 +1561,7 @@ class PartAnalysisTool {
 		const { jsPDF } = window.jspdf;
 		const doc = new jsPDF();
 
-		// Handle both array and HTML string formats for alternatives
-		let alternatives = [];
-		if (Array.isArray(results.alternatives)) {
-			alternatives = results.alternatives;
-		} else if (typeof results.alternatives === 'string') {
-			// Try to parse HTML to extract alternatives
-			alternatives = this.parseAlternativesFromHTML(results.alternatives);
-		}
+		const alternatives = this.getExportAlternatives(results);
 		
 		const tiAlternatives = Array.isArray(results.tiAlternatives) ? results.tiAlternatives : [];
 
@@ -846,14 +1745,7 @@ The alternatives listed above provide various options for replacing the original
 	}
 	
 	generatePDFHTML(partNumber, results) {
-		// Handle both array and HTML string formats for alternatives
-		let alternatives = [];
-		if (Array.isArray(results.alternatives)) {
-			alternatives = results.alternatives;
-		} else if (typeof results.alternatives === 'string') {
-			// Try to parse HTML to extract alternatives
-			alternatives = this.parseAlternativesFromHTML(results.alternatives);
-		}
+		const alternatives = this.getExportAlternatives(results);
 		
 		const tiAlternatives = Array.isArray(results.tiAlternatives) ? results.tiAlternatives : [];
 		
@@ -1086,6 +1978,31 @@ The alternatives listed above provide various options for replacing the original
 		return div.innerHTML;
 	}
 	
+	getExportAlternatives(results) {
+		// Prefer the server's structured result; fall back to scraping the HTML
+		if (results.structured && Array.isArray(results.structured.alternatives)) {
+			return results.structured.alternatives.map(alt => ({
+				partNumber: alt.partNumber,
+				description: [alt.manufacturer, alt.description].filter(Boolean).join(' - '),
+				specifications: [
+					`Package: ${alt.package || 'Not confirmed'}`,
+					`Lifecycle: ${alt.lifecycle}`,
+					`Price: ${alt.price.unitPrice !== null ? `${alt.price.unitPrice} ${alt.price.currency || ''}`.trim() : 'N/A'}${alt.price.sourceUrl ? ` (${alt.price.sourceUrl})` : ''}`,
+					`Confidence: ${alt.confidence}`,
+					...alt.differences.map(diff => `Difference: ${diff}`)
+				]
+			}));
+		}
+		if (Array.isArray(results.alternatives)) {
+			return results.alternatives;
+		}
+		if (typeof results.alternatives === 'string') {
+			// Try to parse HTML to extract alternatives
+			return this.parseAlternativesFromHTML(results.alternatives);
+		}
+		return [];
+	}
+	
 	parseAlternativesFromHTML(htmlString) {
 		try {
 			// Create a temporary DOM element to parse the HTML
@@ -1266,12 +2183,21 @@ The alternatives listed above provide various options for replacing the original
 			return;
 		}
 		
+		this.bulkUpload = { file, data: null };
+		this.showBulkLoading('Uploading and reading file...');
+		await this.readBulkUpload();
+	}
+	
+	// Read the uploaded BOM on the server; `options` are the sheet, header row
+	// and column mapping the user picked, otherwise they are detected. The
+	// mapping step then shows what was read.
+	async readBulkUpload(options = {}) {
 		try {
-			// Upload file to server
 			const formData = new FormData();
-			formData.append('file', file);
-			
-			this.showBulkLoading('Uploading and processing file...');
+			formData.append('file', this.bulkUpload.file);
+			Object.entries(options).forEach(([key, value]) => {
+				formData.append(key, typeof value === 'object' ? JSON.stringify(value) : value);
+			});
 			
 			const response = await fetch('/api/bulk-upload', {
 				method: 'POST',
@@ -1284,27 +2210,113 @@ The alternatives listed above provide various options for replacing the original
 			}
 			
 			const data = await response.json();
-			console.log('File uploaded successfully:', data);
+			console.log('File read:', data);
 			
-			// Process the part numbers
-			await this.processBulkParts(data.partNumbers);
+			this.bulkUpload.data = data;
+			this.showBulkUploaded(this.bulkUpload.file, data);
+			this.showBulkMapping(data);
 			
 		} catch (error) {
 			console.error('File upload error:', error);
+			this.bulkMapping.style.display = 'none';
 			this.showBulkError(`Upload failed: ${error.message}`);
 		}
 	}
 	
-	async processBulkParts(partNumbers) {
+	showBulkUploaded(file, data) {
+		this.bulkUploadArea.classList.remove('bulk-processing');
+		this.bulkUploadArea.innerHTML = `
+			<div class="upload-content">
+				<div class="upload-icon">📄</div>
+				<h3>${this.escapeHtml(file.name)}</h3>
+				<p>${data.count} part number${data.count !== 1 ? 's' : ''} found on sheet "${this.escapeHtml(data.sheet)}". Check the columns below, then start processing.</p>
+				<button id="browseBtn" class="browse-btn">Choose Another File</button>
+			</div>
+		`;
+		
+		// Re-bind the browse button
+		document.getElementById('browseBtn').addEventListener('click', () => this.bulkFileInput.click());
+	}
+	
+	// Mapping step: the sheet, header row and the column of each BOM field, with
+	// a preview of the first lines read
+	showBulkMapping(data) {
+		const columnOptions = (field, selected) => [
+			field === 'partNumber' ? '' : '<option value="">— Not in file —</option>',
+			...data.columns.map(col => `<option value="${col.letter}" ${col.letter === selected ? 'selected' : ''}>${col.letter}${col.header ? `: ${this.escapeHtml(col.header)}` : ''}</option>`)
+		].join('');
+		const cell = (value) => value === null || value === undefined ? '' : this.escapeHtml(String(value));
+		const preview = data.items.slice(0, 5).map(item => `
+			<tr>
+				<td>${item.row}</td>
+				${this.bomFields.map(({ key }) => `<td>${cell(item[key])}</td>`).join('')}
+			</tr>
+		`).join('');
+		
+		this.bulkMapping.innerHTML = `
+			<h4>🧾 BOM Columns</h4>
+			<div class="bulk-mapping-controls">
+				<label>Sheet
+					<select class="part-search-field bulk-mapping-sheet">
+						${data.sheets.map(sheet => `<option value="${this.escapeHtml(sheet.name)}" ${sheet.name === data.sheet ? 'selected' : ''}>${this.escapeHtml(sheet.name)} (${sheet.rows} rows)</option>`).join('')}
+					</select>
+				</label>
+				<label>Header row
+					<input type="number" min="0" class="part-search-field bulk-mapping-header" value="${data.headerRow}" title="0 when the sheet has no header row">
+				</label>
+				${this.bomFields.map(({ key, label }) => `
+					<label>${label}
+						<select class="part-search-field bulk-mapping-field" data-field="${key}">${columnOptions(key, data.mapping[key])}</select>
+					</label>
+				`).join('')}
+			</div>
+			<p class="bulk-mapping-count">${data.count} line${data.count !== 1 ? 's' : ''} with a part number${data.count > 5 ? '; the first 5:' : ''}</p>
+			<div class="bulk-table-container">
+				<table class="bulk-results-table bulk-mapping-preview">
+					<thead>
+						<tr><th>Row</th>${this.bomFields.map(({ label }) => `<th>${label}</th>`).join('')}</tr>
+					</thead>
+					<tbody>${preview}</tbody>
+				</table>
+			</div>
+			<div class="bulk-actions">
+				<button type="button" class="export-excel-btn bulk-mapping-process" ${data.count === 0 ? 'disabled' : ''}>▶️ Process ${data.count} Part${data.count !== 1 ? 's' : ''}</button>
+			</div>
+		`;
+		this.bulkMapping.style.display = 'block';
+		
+		const sheet = () => this.bulkMapping.querySelector('.bulk-mapping-sheet').value;
+		const headerRow = () => this.bulkMapping.querySelector('.bulk-mapping-header').value;
+		this.bulkMapping.querySelector('.bulk-mapping-sheet').addEventListener('change', () => this.readBulkUpload({ sheet: sheet() }));
+		this.bulkMapping.querySelector('.bulk-mapping-header').addEventListener('change', () => this.readBulkUpload({ sheet: sheet(), headerRow: headerRow() }));
+		this.bulkMapping.querySelectorAll('.bulk-mapping-field').forEach(select => {
+			select.addEventListener('change', () => {
+				const mapping = {};
+				this.bulkMapping.querySelectorAll('.bulk-mapping-field').forEach(s => {
+					if (s.value) mapping[s.dataset.field] = s.value;
+				});
+				this.readBulkUpload({ sheet: sheet(), headerRow: headerRow(), mapping });
+			});
+		});
+		this.bulkMapping.querySelector('.bulk-mapping-process').addEventListener('click', () => {
+			this.bulkMapping.style.display = 'none';
+			this.processBulkParts(data.items, { uploadId: data.uploadId, sheet: data.sheet, headerRow: data.headerRow });
+		});
+	}
+	
+	// `items` are BOM lines from the upload; their fields come back with the
+	// results. `upload` names the file the results can be written back to.
+	async processBulkParts(items, upload = null) {
 		try {
-			this.showBulkLoading(`Processing ${partNumbers.length} part numbers...`);
+			this.showBulkLoading(`Processing ${items.length} part numbers...`);
 			
+			// Submit the job; the server answers right away with a job id
 			const response = await fetch('/api/bulk-process', {
 				method: 'POST',
 				headers: {
 					'Content-Type': 'application/json'
 				},
-				body: JSON.stringify({ partNumbers })
+				body: JSON.stringify({ items, upload })
 			});
 			
 			if (!response.ok) {
@@ -1312,11 +2324,26 @@ The alternatives listed above provide various options for replacing the original
 				throw new Error(errorData.error || 'Processing failed');
 			}
 			
-			const data = await response.json();
+			let job = await response.json();
+			console.log('Bulk job submitted:', job);
+			this.showBulkLoading(`Processing ${job.total} part numbers...`, job);
+			
+			// Poll per-part progress until the job completes
+			while (job.status !== 'completed' && job.status !== 'failed') {
+				await new Promise(resolve => setTimeout(resolve, this.bulkPollInterval));
+				job = await this.fetchBulkJob(`/api/bulk-process/${job.jobId}`);
+				this.showBulkLoading(`Processed ${job.completed} of ${job.total} part numbers...`, job);
+			}
+			if (job.status === 'failed') {
+				throw new Error(job.error || 'Bulk job failed');
+			}
+			
+			const data = await this.fetchBulkJob(`/api/bulk-process/${job.jobId}/results`);
 			console.log('Bulk processing complete:', data);
 			
 			this.bulkResultsData = data;
 			this.displayBulkResults(data);
+			if (data.permalink) this.bulkSummary.appendChild(this.createPermalinkItem(data.permalink));
 			
 		} catch (error) {
 			console.error('Bulk processing error:', error);
@@ -1324,12 +2351,22 @@ The alternatives listed above provide various options for replacing the original
 		}
 	}
 	
+	async fetchBulkJob(url) {
+		const response = await fetch(url);
+		if (!response.ok) {
+			const errorData = await response.json().catch(() => ({}));
+			throw new Error(errorData.error || response.statusText);
+		}
+		return response.json();
+	}
+	
 	displayBulkResults(data) {
 		// Hide loading state
 		this.bulkUploadArea.classList.remove('bulk-processing');
 		
 		// Show results
 		this.bulkResults.style.display = 'block';
+		this.exportAnnotatedBtn.style.display = data.annotatedExport ? '' : 'none';
 		
 		// Update summary
 		this.bulkSummary.innerHTML = `
@@ -1345,33 +2382,31 @@ The alternatives listed above provide various options for replacing the original
 		data.results.forEach(result => {
 			const row = document.createElement('tr');
 			
-			const tiAlt = result.tiAlternatives.length > 0 
-				? `${result.tiAlternatives[0].partNumber}` 
-				: 'N/A';
-			
-			const matchType = result.tiAlternatives.length > 0 
-				? `${result.tiAlternatives[0].matchType || 'Cross-Reference Match'}` 
-				: 'N/A';
+			// Older results only carry the first TI match
+			const crossReferences = result.crossReferences || result.tiAlternatives.map(alt => ({ ...alt, sourceLabel: 'TI' }));
+			const shown = crossReferences.slice(0, this.bulkCrossReferenceLimit);
+			const more = crossReferences.length - shown.length;
 			
-			const aiAlt1 = result.aiAlternatives.length > 0 
-				? `${result.aiAlternatives[0].partNumber}` 
+			const crossRefCell = shown.length > 0
+				? shown.map(alt => `${this.escapeHtml(alt.partNumber)} <span class="source-badge">${this.escapeHtml(alt.sourceLabel)}</span> ${this.compareActionButton(result.originalPart, alt.partNumber, true)}`).join('<br>')
+					+ (more > 0 ? `<br><span class="more-count">+${more} more</span>` : '')
 				: 'N/A';
 			
-			const aiAlt2 = result.aiAlternatives.length > 1 
-				? `${result.aiAlternatives[1].partNumber}` 
+			const matchTypeCell = shown.length > 0
+				? shown.map(alt => this.escapeHtml(alt.matchType || 'Cross-Reference Match')).join('<br>')
 				: 'N/A';
 			
-			const aiAlt3 = result.aiAlternatives.length > 2 
-				? `${result.aiAlternatives[2].partNumber}` 
+			const aiAltCell = (alt) => alt
+				? `${this.escapeHtml(alt.partNumber)} ${this.compareActionButton(result.originalPart, alt.partNumber, true)}`
 				: 'N/A';
 			
 			row.innerHTML = `
-				<td class="part-number">${this.escapeHtml(result.originalPart)}</td>
-				<td class="alternative-cell">${this.escapeHtml(tiAlt)}</td>
-				<td class="match-type-cell">${this.escapeHtml(matchType)}</td>
-				<td class="alternative-cell">${this.escapeHtml(aiAlt1)}</td>
-				<td class="alternative-cell">${this.escapeHtml(aiAlt2)}</td>
-				<td class="alternative-cell">${this.escapeHtml(aiAlt3)}</td>
+				<td class="part-number">${this.escapeHtml(result.originalPart)}${this.formatBomLine(result.bom)}</td>
+				<td class="alternative-cell">${crossRefCell}</td>
+				<td class="match-type-cell">${matchTypeCell}</td>
+				<td class="alternative-cell">${aiAltCell(result.aiAlternatives[0])}</td>
+				<td class="alternative-cell">${aiAltCell(result.aiAlternatives[1])}</td>
+				<td class="alternative-cell">${aiAltCell(result.aiAlternatives[2])}</td>
 				<td class="status-${result.status}">${result.status === 'success' ? '✅ Success' : '❌ Error'}</td>
 			`;
 			
@@ -1382,46 +2417,114 @@ The alternatives listed above provide various options for replacing the original
 		this.bulkResults.scrollIntoView({ behavior: 'smooth' });
 	}
 	
+	// Helper: a BOM line's fields under its part number in the results table
+	formatBomLine(bom) {
+		if (!bom) return '';
+		const details = [
+			bom.manufacturer,
+			bom.quantity !== null && bom.quantity !== undefined ? `Qty ${bom.quantity}` : null,
+			bom.refDes,
+			bom.description
+		].filter(value => value !== null && value !== undefined && value !== '');
+		return details.length ? `<div class="bom-line">${details.map(value => this.escapeHtml(String(value))).join(' · ')}</div>` : '';
+	}
+	
 	async exportBulkResults() {
 		if (!this.bulkResultsData) {
 			this.showBulkError('No results to export. Please process some parts first.');
 			return;
 		}
 		
+		const format = this.exportFormat.value;
+		this.exportExcelBtn.disabled = true;
 		try {
-			const resultsParam = encodeURIComponent(JSON.stringify(this.bulkResultsData.results));
-			const exportUrl = `/api/bulk-export/excel?results=${resultsParam}`;
+			// Results stay on the server under the job id; only the id is sent
+			const response = await fetch('/api/bulk-export', {
+				method: 'POST',
+				headers: {
+					'Content-Type': 'application/json'
+				},
+				body: JSON.stringify({ jobId: this.bulkResultsData.jobId, format })
+			});
 			
-			// Create a temporary link to trigger download
+			if (!response.ok) {
+				const data = await response.json().catch(() => ({}));
+				throw new Error(data.error || `Export failed (${response.status})`);
+			}
+			
+			// The server names the file; fall back to a dated name
+			const disposition = response.headers.get('Content-Disposition') || '';
+			const match = disposition.match(/filename="([^"]+)"/);
+			const extension = { xlsx: 'xlsx', csv: 'csv', json: 'json', markdown: 'md' }[format];
+			const fileName = match ? match[1] : `part-alternatives-bulk-${new Date().toISOString().split('T')[0]}.${extension}`;
+			
+			const url = URL.createObjectURL(await response.blob());
 			const link = document.createElement('a');
-			link.href = exportUrl;
-			link.download = `part-alternatives-bulk-${new Date().toISOString().split('T')[0]}.xlsx`;
+			link.href = url;
+			link.download = fileName;
 			document.body.appendChild(link);
 			link.click();
 			document.body.removeChild(link);
+			URL.revokeObjectURL(url);
 			
-			console.log('Excel export initiated');
+			console.log(`${format} export downloaded`);
 			
 		} catch (error) {
 			console.error('Export error:', error);
 			this.showBulkError(`Export failed: ${error.message}`);
+		} finally {
+			this.exportExcelBtn.disabled = false;
 		}
 	}
 	
+	// The uploaded file itself, with the results appended to its BOM rows; the
+	// server names the download after the original file
+	exportAnnotatedBom() {
+		if (!this.bulkResultsData || !this.bulkResultsData.annotatedExport) {
+			this.showBulkError('No uploaded file to annotate. Please process a BOM first.');
+			return;
+		}
+		
+		const link = document.createElement('a');
+		link.href = `/api/bulk-export/annotated?jobId=${encodeURIComponent(this.bulkResultsData.jobId)}`;
+		document.body.appendChild(link);
+		link.click();
+		document.body.removeChild(link);
+	}
+	
 	clearBulkResults() {
 		this.bulkResultsData = null;
+		this.bulkUpload = null;
+		this.bulkMapping.style.display = 'none';
 		this.bulkResults.style.display = 'none';
 		this.bulkFileInput.value = '';
 		this.bulkUploadArea.classList.remove('bulk-processing');
 	}
 	
-	showBulkLoading(message) {
+	showBulkLoading(message, job = null) {
 		this.bulkUploadArea.classList.add('bulk-processing');
+		
+		const statusIcons = { pending: '⏳', running: '🔄', success: '✅', error: '❌' };
+		const progress = job ? `
+			<div class="bulk-progress-bar">
+				<div class="bulk-progress-fill" style="width: ${Math.round((job.completed / job.total) * 100)}%;"></div>
+			</div>
+			<ul class="bulk-progress-list">
+				${job.parts.map(part => `
+					<li class="bulk-progress-item status-${part.status}">
+						<span>${statusIcons[part.status] || '⏳'} ${this.escapeHtml(part.partNumber)}</span>
+						${part.error ? `<span class="bulk-progress-error">${this.escapeHtml(part.error)}</span>` : ''}
+					</li>
+				`).join('')}
+			</ul>
+		` : '';
+		
 		this.bulkUploadArea.innerHTML = `
 			<div class="processing-message">
 				<div class="processing-spinner"></div>
 				<h4>Processing...</h4>
 				<p>${message}</p>
+				${progress}
 				<p style="font-size: 0.9rem; color: #9ca3af;">This may take a few minutes for multiple parts</p>
 			</div>
 		`;
@@ -0,0 +1,63 @@
+const { describe, test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Saved analyses and bulk results go to a scratch directory
+const DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'analyses-test-'));
+process.env.ANALYSES_DIR = path.join(DATA_DIR, 'analyses');
+process.env.BULK_RESULTS_DIR = path.join(DATA_DIR, 'bulk-results');
+
+const analyses = require('../lib/analyses');
+const bulkJobs = require('../lib/bulkJobs');
+const bulkResults = require('../lib/bulkResults');
+
+after(() => fs.rmSync(DATA_DIR, { recursive: true, force: true }));
+
+describe('analyses', () => {
+  test('saves an analysis under a new id and reads it back', async () => {
+    const result = { html: '<h1>LM317 vs LT3080</h1>', raw: '# LM317 vs LT3080', parts: ['LM317', 'LT3080'] };
+    const saved = await analyses.save('compare', { subject: 'LM317 vs LT3080', model: 'openai/gpt-4o', result });
+    assert.match(saved.id, /^[0-9a-f-]{36}$/);
+    assert.equal(analyses.permalink(saved.id), `/analysis/${saved.id}`);
+
+    const stored = await analyses.get(saved.id);
+    assert.equal(stored.type, 'compare');
+    assert.equal(stored.model, 'openai/gpt-4o');
+    assert.ok(stored.createdAt);
+    assert.deepEqual(stored.result, result);
+  });
+
+  test('rejects unknown types and ids', async () => {
+    await assert.rejects(analyses.save('search', { subject: 'LM317', result: {} }), /Unknown analysis type/);
+    assert.equal(await analyses.get('../bulk-results/x'), null);
+    assert.equal(await analyses.get('6a1d2e3f-0000-4000-8000-000000000000'), null);
+  });
+
+  test('saves a finished bulk job under its job id', async () => {
+    const job = bulkJobs.createJob(['LM317', { partNumber: 'NE555', quantity: 2 }]);
+    const processPart = async partNumber => ({ originalPart: partNumber, aiAlternatives: [], model: 'openai/gpt-4o-mini', status: 'success' });
+    while (await bulkJobs.stepJob(job, processPart, 2)) { /* keep going */ }
+
+    const stored = await analyses.get(job.id);
+    assert.equal(stored.type, 'bulk');
+    assert.equal(stored.subject, '2 parts');
+    assert.equal(stored.model, 'openai/gpt-4o-mini');
+    assert.equal(stored.result.permalink, `/analysis/${job.id}`);
+    assert.deepEqual(stored.result.results.map(r => r.originalPart), ['LM317', 'NE555']);
+    assert.equal((await bulkResults.get(job.id)).successCount, 2);
+  });
+
+  test('leaves a bulk job unsaved when saving analyses is off', async () => {
+    const job = bulkJobs.createJob(['LM317'], {}, null, { saveAnalysis: false });
+    const processPart = async partNumber => ({ originalPart: partNumber, aiAlternatives: [], status: 'success' });
+    while (await bulkJobs.stepJob(job, processPart, 2)) { /* keep going */ }
+
+    const results = bulkJobs.serializeJobResults(job);
+    assert.equal(results.analysisId, null);
+    assert.equal(results.permalink, null);
+    assert.equal(await analyses.get(job.id), null);
+    assert.equal((await bulkResults.get(job.id)).successCount, 1);
+  });
+});
@@ -0,0 +1,101 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const XLSX = require('xlsx');
+
+const { headerField, readBom, normalizeItems } = require('../lib/bom');
+
+function workbook(sheets) {
+  const book = XLSX.utils.book_new();
+  Object.entries(sheets).forEach(([name, rows]) => {
+    XLSX.utils.book_append_sheet(book, XLSX.utils.aoa_to_sheet(rows), name);
+  });
+  return XLSX.write(book, { type: 'buffer', bookType: 'xlsx' });
+}
+
+const BOM = workbook({
+  Notes: [['Rev B, released 2026-09-30']],
+  BOM: [
+    ['Project X - Bill of Materials'],
+    [],
+    ['RefDes', 'Qty', 'Manufacturer', 'Mfr Part #', 'Description'],
+    ['U1', 1, 'Texas Instruments', 'LM1117-3.3', '3.3 V LDO'],
+    ['R1, R2', 2, 'Yageo', 'RC0603FR-0710KL', '10k 0603'],
+    ['U2', 1, 'TI', 74123, 'Dual monostable'],
+    ['', '', '', '', 'spacer row']
+  ]
+});
+
+describe('headerField', () => {
+  test('recognizes common BOM header names', () => {
+    assert.equal(headerField('Part Number'), 'partNumber');
+    assert.equal(headerField('Manufacturer Part Number (MPN)'), 'partNumber');
+    assert.equal(headerField('Mfr.'), 'manufacturer');
+    assert.equal(headerField('QTY per board'), 'quantity');
+    assert.equal(headerField('Reference Designators'), 'refDes');
+    assert.equal(headerField('Footprint'), null);
+  });
+});
+
+describe('readBom', () => {
+  test('skips the header row of a single-column CSV', () => {
+    const result = readBom(fs.readFileSync(path.join(__dirname, '..', 'sample-parts.csv')));
+    assert.equal(result.headerRow, 1);
+    assert.deepEqual(result.mapping, { partNumber: 'A' });
+    assert.equal(result.items[0].partNumber, 'LM317');
+    assert.ok(!result.items.some(item => item.partNumber === 'Part Number'));
+  });
+
+  test('detects the header below title rows and maps every field', () => {
+    const result = readBom(BOM, { sheet: 'BOM' });
+    assert.deepEqual(result.sheets.map(s => s.name), ['Notes', 'BOM']);
+    assert.equal(result.headerRow, 3);
+    assert.deepEqual(result.mapping, { refDes: 'A', quantity: 'B', manufacturer: 'C', partNumber: 'D', description: 'E' });
+    assert.deepEqual(result.items[1], {
+      partNumber: 'RC0603FR-0710KL',
+      row: 5,
+      manufacturer: 'Yageo',
+      quantity: 2,
+      refDes: 'R1, R2',
+      description: '10k 0603'
+    });
+  });
+
+  test('keeps numeric part numbers and skips rows without one', () => {
+    const result = readBom(BOM, { sheet: 'BOM' });
+    assert.deepEqual(result.items.map(item => item.partNumber), ['LM1117-3.3', 'RC0603FR-0710KL', '74123']);
+  });
+
+  test('reads sheets without a header from the first column', () => {
+    const result = readBom(workbook({ Parts: [[1234], ['NE555'], ['1N4148']] }));
+    assert.equal(result.headerRow, 0);
+    assert.deepEqual(result.items.map(item => item.partNumber), ['1234', 'NE555', '1N4148']);
+  });
+
+  test('uses the header row and mapping the user picked', () => {
+    const result = readBom(BOM, { sheet: 'BOM', headerRow: 3, mapping: { partNumber: 'd', quantity: 'B' } });
+    assert.deepEqual(result.mapping, { partNumber: 'D', quantity: 'B' });
+    assert.deepEqual(result.items[0], { partNumber: 'LM1117-3.3', row: 4, manufacturer: null, quantity: 1, refDes: null, description: null });
+  });
+
+  test('rejects unknown sheets, fields and columns with a 400', () => {
+    assert.throws(() => readBom(BOM, { sheet: 'Parts' }), { name: 'BomError', status: 400 });
+    assert.throws(() => readBom(BOM, { sheet: 'BOM', mapping: { partNumber: 'Z' } }), /not in the sheet/);
+    assert.throws(() => readBom(BOM, { sheet: 'BOM', mapping: { mpn: 'D' } }), /Unknown BOM field/);
+    assert.throws(() => readBom(BOM, { sheet: 'BOM', mapping: { quantity: 'B' } }), /part number column/);
+  });
+});
+
+describe('normalizeItems', () => {
+  test('accepts part numbers and line items, keeping only BOM fields', () => {
+    assert.deepEqual(normalizeItems(['LM317', { partNumber: 7805, quantity: 3, price: 1, row: 9 }]), [
+      { partNumber: 'LM317', manufacturer: null, quantity: null, refDes: null, description: null },
+      { partNumber: '7805', manufacturer: null, quantity: 3, refDes: null, description: null, row: 9 }
+    ]);
+  });
+
+  test('rejects a line without a part number', () => {
+    assert.throws(() => normalizeItems([{ quantity: 2 }]), { name: 'BomError', status: 400 });
+  });
+});
@@ -0,0 +1,113 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const XLSX = require('xlsx');
+
+const { ANNOTATION_HEADERS, annotationValues, annotateSheetXml, writeBack } = require('../lib/bomExport');
+
+const RESULTS = [
+  {
+    originalPart: 'LM317',
+    bom: { row: 4, quantity: 1 },
+    status: 'success',
+    crossReferences: [{ partNumber: 'LM317A', sourceLabel: 'TI', matchType: 'Drop-in replacement' }],
+    aiAlternatives: [{ partNumber: 'LM338', manufacturer: 'Texas Instruments', description: 'Adjustable <5 A> regulator' }]
+  },
+  { originalPart: 'NE555', bom: { row: 6 }, status: 'error', error: 'Search failed', aiAlternatives: [] }
+];
+
+function zipEntry(buffer, name) {
+  const entry = XLSX.CFB.find(XLSX.CFB.read(buffer, { type: 'buffer' }), name);
+  return Buffer.from(entry.content);
+}
+
+describe('annotationValues', () => {
+  test('lists cross-references, AI alternates with manufacturer and description, and status', () => {
+    const values = annotationValues(RESULTS[0]);
+    assert.equal(values.length, ANNOTATION_HEADERS.length);
+    assert.deepEqual(values.slice(0, 5), ['LM317A (TI)', 'Drop-in replacement', 'LM338', 'Texas Instruments', 'Adjustable <5 A> regulator']);
+    assert.equal(values[values.length - 1], 'Success');
+    assert.equal(annotationValues(RESULTS[1]).pop(), 'Error: Search failed');
+  });
+});
+
+describe('annotateSheetXml', () => {
+  test('appends cells to existing rows and inserts missing rows in order', () => {
+    const xml = '<worksheet><dimension ref="A1:B3"/><sheetData><row r="1" spans="1:2"><c r="A1"><v>1</v></c><c r="B1"><v>2</v></c></row><row r="3"/></sheetData></worksheet>';
+    const rows = new Map([[1, ['a']], [2, ['b & c']], [3, ['d']], [5, ['e']]]);
+    assert.equal(
+      annotateSheetXml(xml, rows, 2),
+      '<worksheet><dimension ref="A1:N5"/><sheetData>'
+        + '<row r="1"><c r="A1"><v>1</v></c><c r="B1"><v>2</v></c><c r="C1" t="inlineStr"><is><t xml:space="preserve">a</t></is></c></row>'
+        + '<row r="2"><c r="C2" t="inlineStr"><is><t xml:space="preserve">b &amp; c</t></is></c></row>'
+        + '<row r="3"><c r="C3" t="inlineStr"><is><t xml:space="preserve">d</t></is></c></row>'
+        + '<row r="5"><c r="C5" t="inlineStr"><is><t xml:space="preserve">e</t></is></c></row>'
+        + '</sheetData></worksheet>'
+    );
+  });
+});
+
+describe('writeBack', () => {
+  const book = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(book, XLSX.utils.aoa_to_sheet([['Rev B, released 2026-09-30']]), 'Notes');
+  const sheet = XLSX.utils.aoa_to_sheet([['Project X'], [], ['RefDes', 'MPN', 'Qty'], ['U1', 'LM317', 1], ['C1', null, 2], ['U2', 'NE555', 1]]);
+  sheet['!cols'] = [{ wch: 20 }];
+  sheet['!merges'] = [{ s: { r: 0, c: 0 }, e: { r: 0, c: 2 } }];
+  XLSX.utils.book_append_sheet(book, sheet, 'BOM');
+  const original = XLSX.write(book, { type: 'buffer', bookType: 'xlsx' });
+
+  test('appends the results to the original rows of the uploaded workbook', () => {
+    const annotated = writeBack({ buffer: original, fileName: 'Project X BOM.xlsx', sheet: 'BOM', headerRow: 3 }, RESULTS);
+    assert.equal(annotated.fileName, 'Project X BOM-annotated.xlsx');
+
+    const rows = XLSX.utils.sheet_to_json(XLSX.read(annotated.buffer, { type: 'buffer' }).Sheets.BOM, { header: 1, defval: null });
+    assert.deepEqual(rows[2], ['RefDes', 'MPN', 'Qty', ...ANNOTATION_HEADERS]);
+    assert.deepEqual(rows[3].slice(0, 6), ['U1', 'LM317', 1, 'LM317A (TI)', 'Drop-in replacement', 'LM338']);
+    assert.deepEqual(rows[4], ['C1', null, 2, ...ANNOTATION_HEADERS.map(() => null)]);
+    assert.equal(rows[5][rows[5].length - 1], 'Error: Search failed');
+  });
+
+  test('leaves every other part of the workbook untouched', () => {
+    const annotated = writeBack({ buffer: original, fileName: 'bom.xlsx', sheet: 'BOM', headerRow: 3 }, RESULTS);
+    ['/xl/worksheets/sheet1.xml', '/xl/styles.xml', '/xl/workbook.xml'].forEach(name => {
+      assert.ok(zipEntry(annotated.buffer, name).equals(zipEntry(original, name)), name);
+    });
+    const xml = zipEntry(annotated.buffer, '/xl/worksheets/sheet2.xml').toString();
+    assert.match(xml, /<cols><col min="1" max="1" width="[\d.]+" customWidth="1"\/><\/cols>/);
+    assert.match(xml, /<mergeCell ref="A1:C1"\/>/);
+  });
+
+  test('keeps text starting with a formula character as is in xlsx', () => {
+    const annotated = writeBack({ buffer: original, fileName: 'bom.xlsx', sheet: 'BOM', headerRow: 3 }, [
+      { ...RESULTS[0], aiAlternatives: [{ partNumber: 'LM7905', manufacturer: '=cmd', description: '-5V, +5V tolerant' }] }
+    ]);
+    const sheet = XLSX.read(annotated.buffer, { type: 'buffer' }).Sheets.BOM;
+    const rows = XLSX.utils.sheet_to_json(sheet, { header: 1, defval: null });
+    assert.deepEqual(rows[3].slice(5, 8), ['LM7905', '=cmd', '-5V, +5V tolerant']);
+    assert.equal(sheet.G4.f, undefined);
+  });
+
+  test('guards CSV uploads against formula injection', () => {
+    const csv = Buffer.from('MPN,Qty\nLM7905,1\n');
+    const annotated = writeBack({ buffer: csv, fileName: 'parts.csv', sheet: 'Sheet1', headerRow: 1 }, [
+      { ...RESULTS[0], bom: { row: 2 }, aiAlternatives: [{ partNumber: 'LM7805', manufacturer: '=cmd', description: '+5V regulator' }] }
+    ]);
+    assert.ok(annotated.buffer.toString().split('\n')[1].startsWith("LM7905,1,LM317A (TI),Drop-in replacement,LM7805,'=cmd,'+5V regulator"));
+  });
+
+  test('rewrites CSV uploads as CSV, keeping values as typed', () => {
+    const csv = Buffer.from('MPN,Qty\n007-1234,1\nNE555,2\n');
+    const annotated = writeBack({ buffer: csv, fileName: 'parts.csv', sheet: 'Sheet1', headerRow: 1 }, [
+      { ...RESULTS[0], bom: { row: 2 } }
+    ]);
+    assert.equal(annotated.fileName, 'parts-annotated.csv');
+    assert.equal(annotated.contentType, 'text/csv');
+    const lines = annotated.buffer.toString().trim().split('\n');
+    assert.ok(lines[0].startsWith('MPN,Qty,Cross-Reference,Match Type'));
+    assert.ok(lines[1].startsWith('007-1234,1,LM317A (TI),Drop-in replacement,LM338'));
+    assert.equal(lines[2], `NE555,2${','.repeat(ANNOTATION_HEADERS.length)}`);
+  });
+
+  test('returns null when the sheet is gone', () => {
+    assert.equal(writeBack({ buffer: original, fileName: 'bom.xlsx', sheet: 'Parts', headerRow: 0 }, RESULTS), null);
+  });
+});
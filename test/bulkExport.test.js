@@ -0,0 +1,117 @@
+const { describe, test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const XLSX = require('xlsx');
+
+// Saved bulk results go to a scratch directory
+const RESULTS_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'bulk-results-test-'));
+process.env.BULK_RESULTS_DIR = RESULTS_DIR;
+
+const { sanitizeCell, resolveFormat, exportResults, BulkExportError } = require('../lib/bulkExport');
+const bulkResults = require('../lib/bulkResults');
+
+const DATA = {
+  jobId: '0b6f3c1e-5d2a-4c8e-9f71-2a3b4c5d6e7f',
+  totalProcessed: 2,
+  successCount: 1,
+  errorCount: 1,
+  results: [
+    {
+      originalPart: 'LM317',
+      bom: { row: 2, quantity: 4, refDes: 'U1, U2' },
+      status: 'success',
+      crossReferences: [{ partNumber: 'LM317A', manufacturer: 'Texas Instruments', sourceLabel: 'TI', matchType: 'Drop-in | pin-compatible', title: 'LM317A 1.5-A regulator', href: 'https://www.ti.com/product/LM317A' }],
+      aiAlternatives: [{ partNumber: '=HYPERLINK("http://evil.example","LM338")' }, { partNumber: '-5V LDO' }],
+      model: 'openai/gpt-4o',
+      sources: [{ title: 'LM317 datasheet', link: 'https://example.com/lm317.pdf', snippet: '1.5-A adjustable regulator' }],
+      warnings: [{ step: 'Parts database', message: 'Disk full' }]
+    },
+    { originalPart: 'NE555', bom: { row: 3, quantity: null, refDes: null }, status: 'error', error: 'Search failed', aiAlternatives: [] }
+  ]
+};
+
+after(() => fs.rmSync(RESULTS_DIR, { recursive: true, force: true }));
+
+describe('sanitizeCell', () => {
+  test('turns text a spreadsheet would run as a formula into literal text', () => {
+    ['=1+1', '+A1', '-2+3', '@SUM(A1)', '\t=1', '\r=1'].forEach(value => {
+      assert.equal(sanitizeCell(value), `'${value}`);
+    });
+  });
+
+  test('leaves other values alone', () => {
+    assert.equal(sanitizeCell('LM317'), 'LM317');
+    assert.equal(sanitizeCell('a=b'), 'a=b');
+    assert.equal(sanitizeCell(-5), -5);
+    assert.equal(sanitizeCell(null), null);
+  });
+});
+
+describe('resolveFormat', () => {
+  test('accepts the formats and their older names', () => {
+    assert.equal(resolveFormat('excel'), 'xlsx');
+    assert.equal(resolveFormat('MD'), 'markdown');
+    assert.equal(resolveFormat('csv'), 'csv');
+    assert.throws(() => resolveFormat('pdf'), BulkExportError);
+  });
+});
+
+describe('exportResults', () => {
+  test('writes xlsx with the BOM fields any line has and formulas as plain text', () => {
+    const file = exportResults(DATA, 'xlsx');
+    assert.equal(file.fileName, 'part-alternatives-bulk.xlsx');
+    const sheet = XLSX.read(file.buffer, { type: 'buffer' }).Sheets.Summary;
+    const rows = XLSX.utils.sheet_to_json(sheet, { header: 1 });
+    assert.deepEqual(rows[0], ['Original Part', 'Quantity', 'RefDes', 'Cross-References', 'Match Type', 'AI Alternative 1', 'AI Alternative 2', 'AI Alternative 3', 'Status']);
+    assert.equal(rows[1][5], DATA.results[0].aiAlternatives[0].partNumber);
+    assert.equal(sheet.F2.t, 's');
+    assert.equal(sheet.F2.f, undefined);
+    assert.equal(rows[1][6], '-5V LDO');
+    assert.equal(rows[2][8], 'error: Search failed');
+  });
+
+  test('adds cross-reference, AI alternative, source and error sheets to the xlsx report', () => {
+    const workbook = XLSX.read(exportResults(DATA, 'xlsx').buffer, { type: 'buffer' });
+    assert.deepEqual(workbook.SheetNames, ['Summary', 'Cross-References', 'AI Alternatives', 'Sources', 'Errors']);
+    const rows = name => XLSX.utils.sheet_to_json(workbook.Sheets[name], { header: 1 });
+
+    assert.deepEqual(rows('Cross-References')[1], ['LM317', 'TI', 'LM317A', 'Texas Instruments', 'Drop-in | pin-compatible', 'LM317A 1.5-A regulator', 'https://www.ti.com/product/LM317A']);
+    assert.equal(workbook.Sheets['Cross-References'].G2.l.Target, 'https://www.ti.com/product/LM317A');
+    assert.deepEqual(rows('AI Alternatives')[2], ['LM317', 2, '-5V LDO', '', '', 'openai/gpt-4o']);
+    assert.deepEqual(rows('Sources')[1], ['LM317', 1, 'LM317 datasheet', 'https://example.com/lm317.pdf', '1.5-A adjustable regulator']);
+    assert.deepEqual(rows('Errors').slice(1), [['LM317', 'Parts database', 'Disk full'], ['NE555', 'Processing', 'Search failed']]);
+  });
+
+  test('writes CSV with quoting and sanitized cells', () => {
+    const lines = exportResults(DATA, 'csv').buffer.toString('utf8').replace(/^﻿/, '').split('\r\n');
+    assert.equal(lines[0], 'Original Part,Quantity,RefDes,Cross-References,Match Type,AI Alternative 1,AI Alternative 2,AI Alternative 3,Status');
+    assert.equal(lines[1], 'LM317,4,"U1, U2",LM317A (TI),Drop-in | pin-compatible,"\'=HYPERLINK(""http://evil.example"",""LM338"")",\'-5V LDO,N/A,success');
+    assert.equal(lines[2], 'NE555,,,N/A,N/A,N/A,N/A,N/A,error: Search failed');
+  });
+
+  test('writes Markdown with pipes escaped', () => {
+    const markdown = exportResults(DATA, 'markdown').buffer.toString('utf8');
+    assert.match(markdown, /^# Bulk Part Alternatives\n/);
+    assert.match(markdown, /\| LM317 \| 4 \| U1, U2 \| LM317A \(TI\) \| Drop-in \\\| pin-compatible \|/);
+  });
+
+  test('writes the full results as JSON', () => {
+    assert.deepEqual(JSON.parse(exportResults(DATA, 'json').buffer.toString('utf8')), DATA);
+  });
+});
+
+describe('bulkResults', () => {
+  test('saves results under the job id and reads them back', async () => {
+    await bulkResults.save(DATA);
+    const stored = await bulkResults.get(DATA.jobId);
+    assert.equal(stored.results.length, 2);
+    assert.ok(stored.savedAt);
+  });
+
+  test('ignores ids that are not job ids', async () => {
+    assert.equal(await bulkResults.get('../../etc/passwd'), null);
+    assert.equal(await bulkResults.get('6a1d2e3f-0000-4000-8000-000000000000'), null);
+  });
+});
@@ -0,0 +1,119 @@
+const { describe, test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { mergePart } = require('../lib/partsDb');
+const { normalizeParameter } = require('../lib/partParameters');
+const { comparePinouts } = require('../lib/pinouts');
+const { resolveConfig, scoreCompatibility } = require('../lib/compatibility');
+
+const SOURCE = { analysis: 'compare', subject: 'LM1117 vs AMS1117', model: 'test-model' };
+
+function record(fields, parameters = []) {
+  return mergePart(null, { ...fields, parameters: parameters.map(normalizeParameter) }, SOURCE, '2026-10-01T00:00:00.000Z');
+}
+
+function pin(number, name, type) {
+  return { number, name, function: null, type, citation: null };
+}
+
+const LM1117 = record({ partNumber: 'LM1117', package: 'SOT-223', pinCount: 4, lifecycle: 'Active' }, [
+  { name: 'Input voltage', min: 2.6, max: 15, unit: 'V' },
+  { name: 'Output current', max: 800, unit: 'mA' },
+  { name: 'Operating temperature', min: -40, max: 125, unit: '°C' }
+]);
+
+const AMS1117 = record({ partNumber: 'AMS1117', package: 'SOT223', pinCount: 4, lifecycle: 'NRND' }, [
+  { name: 'Input voltage', min: 4.8, max: 15, unit: 'V' },
+  { name: 'Output current', max: 1, unit: 'A' },
+  { name: 'Operating temperature', min: 0, max: 125, unit: '°C' }
+]);
+
+function pinouts(pinsB) {
+  const partA = { partNumber: 'LM1117', package: 'SOT-223', pins: [pin('1', 'GND', 'Ground'), pin('2', 'VOUT', 'Output'), pin('3', 'VIN', 'Power'), pin('4', 'VOUT', 'Output')] };
+  const partB = { partNumber: 'AMS1117', package: 'SOT-223', pins: pinsB };
+  return { partA, partB, ...comparePinouts(partA, partB) };
+}
+
+describe('scoreCompatibility', () => {
+  afterEach(() => {
+    delete process.env.COMPAT_WEIGHTS;
+  });
+
+  test('scores each criterion from structured data and explains it', () => {
+    const result = scoreCompatibility({
+      partA: 'LM1117',
+      partB: 'AMS1117',
+      recordA: LM1117,
+      recordB: AMS1117,
+      pinouts: pinouts([pin('1', 'ADJ/GND', 'Ground'), pin('2', 'VOUT', 'Output'), pin('3', 'VIN', 'Power'), pin('4', 'VOUT', 'Output')])
+    }, resolveConfig().weights);
+
+    const byKey = Object.fromEntries(result.criteria.map(c => [c.key, c]));
+    assert.equal(byKey.package.score, 1);
+    assert.equal(byKey.pinout.score, 0.94);
+    assert.equal(byKey.pinout.detail, '3 of 4 pins match; 1 mismatched');
+    // Input voltage covers 10.2 of 12.4 V, output current 1 A >= 0.8 A
+    assert.equal(byKey.electrical.score, 0.91);
+    assert.equal(byKey.electrical.detail, 'Input voltage: 2.6 to 15 V vs 4.8 to 15 V; Output current: 0.8 A vs 1 A');
+    assert.equal(byKey.temperature.score, 0.76);
+    assert.equal(byKey.lifecycle.score, 0.5);
+    assert.equal(result.score, 89);
+    assert.equal(result.verdict, 'Minor changes needed');
+    assert.equal(result.coverage, 1);
+  });
+
+  test('leaves out criteria without data and reports the coverage', () => {
+    const result = scoreCompatibility({ partA: 'LM1117', partB: 'XYZ', recordA: LM1117, recordB: null, pinouts: null });
+    assert.equal(result.score, null);
+    assert.equal(result.verdict, 'Not enough data');
+    assert.equal(result.coverage, 0);
+    assert.ok(result.criteria.every(c => c.score === null && c.points === null));
+  });
+
+  test('treats different pin counts as a package mismatch', () => {
+    const other = record({ partNumber: 'OTHER', package: 'SOT-223', pinCount: 3 });
+    const result = scoreCompatibility({ partA: 'LM1117', partB: 'OTHER', recordA: LM1117, recordB: other, pinouts: null });
+    assert.equal(result.criteria[0].score, 0);
+    assert.equal(result.coverage, 0.25);
+  });
+
+  test('gives no score when too little of the weight could be assessed', () => {
+    const active = record({ partNumber: 'NEWPART', lifecycle: 'Active' });
+    const result = scoreCompatibility({ partA: 'LM1117', partB: 'NEWPART', recordA: LM1117, recordB: active, pinouts: null });
+    assert.equal(result.criteria.find(c => c.key === 'lifecycle').score, 1);
+    assert.equal(result.coverage, 0.1);
+    assert.equal(result.score, null);
+    assert.equal(result.verdict, 'Not enough data');
+  });
+
+  test('gives a drop-in verdict only with package and pin mapping assessed', () => {
+    const twin = record({ partNumber: 'TWIN', lifecycle: 'Active' }, [
+      { name: 'Input voltage', min: 2.6, max: 15, unit: 'V' },
+      { name: 'Output current', max: 800, unit: 'mA' },
+      { name: 'Operating temperature', min: -40, max: 125, unit: '°C' }
+    ]);
+    const withoutPackage = scoreCompatibility({ partA: 'LM1117', partB: 'TWIN', recordA: LM1117, recordB: twin, pinouts: null });
+    assert.equal(withoutPackage.coverage, 0.45);
+    assert.equal(withoutPackage.score, null);
+    assert.equal(withoutPackage.verdict, 'Not enough data');
+
+    const samePins = pinouts([pin('1', 'GND', 'Ground'), pin('2', 'VOUT', 'Output'), pin('3', 'VIN', 'Power'), pin('4', 'VOUT', 'Output')]);
+    const withPinout = scoreCompatibility({ partA: 'LM1117', partB: 'TWIN', recordA: LM1117, recordB: twin, pinouts: { ...samePins, partB: { ...samePins.partB, package: null } } });
+    assert.equal(withPinout.score, 100);
+    assert.equal(withPinout.verdict, 'Minor changes needed');
+
+    const drop = scoreCompatibility({ partA: 'LM1117', partB: 'TWIN', recordA: LM1117, recordB: twin, pinouts: samePins });
+    assert.equal(drop.score, 100);
+    assert.equal(drop.verdict, 'Drop-in replacement');
+  });
+
+  test('uses the weights configured in COMPAT_WEIGHTS', () => {
+    process.env.COMPAT_WEIGHTS = 'package:0, lifecycle=30, bogus:5, pinout:-1';
+    const { weights } = resolveConfig();
+    assert.deepEqual(weights, { package: 0, pinout: 30, electrical: 25, temperature: 10, lifecycle: 30 });
+
+    const result = scoreCompatibility({ partA: 'LM1117', partB: 'AMS1117', recordA: LM1117, recordB: AMS1117, pinouts: null }, weights);
+    // Electrical 0.91 x 25 + temperature 0.76 x 10 + lifecycle 0.5 x 30 over 65
+    assert.equal(result.score, 70);
+  });
+});
@@ -0,0 +1,193 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+const { PLUGINS, DEFAULT_SOURCES, createCrossReference, mergeCrossReferences, summarizeCrossReferences } = require('../lib/crossReference');
+const { createFixtureServer, toFixtureHtml, fixtureFile } = require('../lib/crossReference/fixtures');
+const { createBrowserPool } = require('../lib/browserPool');
+const { createTestBrowserPool } = require('./helpers/browser');
+
+const FIXTURE_DIR = path.join(__dirname, 'fixtures', 'crossref');
+
+function loadExpectations(source) {
+  const dir = path.join(FIXTURE_DIR, source);
+  return fs.readdirSync(dir)
+    .filter(f => f.endsWith('.expected.json'))
+    .map(f => JSON.parse(fs.readFileSync(path.join(dir, f), 'utf8')));
+}
+
+describe('mergeCrossReferences', () => {
+  const ti = (partNumber, matchType) => ({ partNumber, matchType, source: 'ti' });
+
+  test('drops a part listed twice by the same source, keeping the specific match type', () => {
+    const merged = mergeCrossReferences([
+      [ti('LM1117', 'Cross-Reference Match'), ti('lm1117', 'Drop-in replacement')]
+    ]);
+    assert.equal(merged.length, 1);
+    assert.equal(merged[0].matchType, 'Drop-in replacement');
+  });
+
+  test('keeps the same part number from different sources', () => {
+    const merged = mergeCrossReferences([
+      [ti('LM1117', 'Drop-in replacement')],
+      [{ partNumber: 'LM1117', matchType: 'Compatible', source: 'st' }]
+    ]);
+    assert.deepEqual(merged.map(x => x.source), ['ti', 'st']);
+  });
+
+  test('summarizes an empty list for the prompt', () => {
+    assert.equal(summarizeCrossReferences([]), 'No manufacturer cross-reference results found.');
+  });
+});
+
+describe('sources', () => {
+  test('only verified sources are enabled by default', () => {
+    assert.deepEqual(DEFAULT_SOURCES, ['ti']);
+    assert.deepEqual(PLUGINS.filter(p => !p.verified).map(p => p.name), ['adi', 'microchip', 'nexperia', 'onsemi', 'st']);
+  });
+});
+
+describe('fixtures', () => {
+  test('strip scripts and external resources and pin the vendor origin', () => {
+    const html = toFixtureHtml(
+      '<html><head><script src="/a.js"></script><link rel="stylesheet" href="/a.css"></head><body><img src="/x.png"><a href="/product/LM1117">LM1117</a></body></html>',
+      'https://www.ti.com/cross-reference-search?singlePart=NCP1117'
+    );
+    assert.equal(html, '<html><head><base href="https://www.ti.com/"></head><body><a href="/product/LM1117">LM1117</a></body></html>');
+  });
+
+  test('are served by part number', async () => {
+    const server = await createFixtureServer(FIXTURE_DIR);
+    try {
+      const url = server.urlTemplate('ti').replace('{part}', encodeURIComponent('ncp1117'));
+      const response = await fetch(url);
+      assert.equal(response.status, 200);
+      assert.equal(await response.text(), fs.readFileSync(fixtureFile(FIXTURE_DIR, 'ti', 'NCP1117'), 'utf8'));
+      assert.equal((await fetch(`${server.baseUrl}/ti/UNKNOWN.html`)).status, 404);
+    } finally {
+      await server.close();
+    }
+  });
+});
+
+describe('TI match types', () => {
+  const ti = PLUGINS.find(p => p.name === 'ti');
+  const parse = body => ti.parseResults(new JSDOM(`<base href="https://www.ti.com/"><body>${body}</body>`).window.document)
+    .map(r => [r.partNumber, r.matchType]);
+  const group = (heading, ...parts) => `<section><h2>${heading}</h2>${
+    parts.map(part => `<div><a href="/product/${part}">${part}</a><a href="/product/${part}#order">Request samples</a></div>`).join('')
+  }</section>`;
+
+  test('prefer the pinout wording over the function wording', () => {
+    assert.deepEqual(parse(
+      group('Pin-for-pin with same functionality to the compared device', 'TLV1117') +
+      group('Same functionality with different pin-out to the compared device', 'TLV767')
+    ), [['TLV1117', 'Pin Compatible'], ['TLV767', 'Same Functionality']]);
+  });
+
+  test('label every result under a group heading', () => {
+    assert.deepEqual(parse(group('Drop-in replacement', 'LM1117', 'LM1117A')), [
+      ['LM1117', 'Drop-in replacement'],
+      ['LM1117A', 'Drop-in replacement']
+    ]);
+  });
+
+  test('are not taken from a neighbouring group or the page chrome', () => {
+    assert.deepEqual(parse(
+      '<nav>Replacement parts</nav><main>' +
+      group('Drop-in replacement', 'LM1117') +
+      '<section><div><a href="/product/TLV761">TLV761</a></div></section></main>'
+    ), [['LM1117', 'Drop-in replacement'], ['TLV761', 'Cross-Reference Match']]);
+  });
+});
+
+// A browser that cannot start must not look like a part without cross-references
+describe('TI scraper failures', () => {
+  const ti = PLUGINS.find(p => p.name === 'ti');
+  const failingPool = () => createBrowserPool({
+    puppeteer: { launch: async () => { throw new Error('Failed to launch the browser process'); } }
+  });
+
+  test('reject when the browser fails to launch', async () => {
+    const browserPool = failingPool();
+    try {
+      await assert.rejects(ti.lookup('NCP1117', { browserPool }), /Failed to launch the browser process/);
+    } finally {
+      await browserPool.close();
+    }
+  });
+
+  test('are reported by the merged lookup, which still resolves', async () => {
+    const browserPool = failingPool();
+    try {
+      const crossReference = createCrossReference({ browserPool, defaultSources: ['ti'] });
+      const failures = [];
+      const results = await crossReference.lookup('NCP1117', {
+        bypassCache: true,
+        onError: (source, error) => failures.push({ source: source.name, error: error.message })
+      });
+      assert.deepEqual(results, []);
+      assert.deepEqual(failures, [{ source: 'ti', error: 'Failed to launch the browser process' }]);
+    } finally {
+      await browserPool.close();
+    }
+  });
+});
+
+// The expectations are written by hand from each saved page, never generated
+// by the scraper. The saved pages themselves are hand-written stand-ins for
+// the results layout until they are re-recorded from ti.com with
+// `npm run record:fixtures`.
+describe('TI results on saved pages', () => {
+  const ti = PLUGINS.find(p => p.name === 'ti');
+
+  for (const expected of loadExpectations('ti')) {
+    test(`extracts part numbers and match types for ${expected.partNumber}`, () => {
+      const html = fs.readFileSync(fixtureFile(FIXTURE_DIR, 'ti', expected.partNumber), 'utf8');
+      const results = ti.parseResults(new JSDOM(html).window.document);
+      assert.deepEqual(
+        results.map(r => ({ partNumber: r.partNumber, matchType: r.matchType, href: r.href })),
+        expected.results
+      );
+    });
+  }
+});
+
+// Replays the saved pages through the real scraper. Needs Chrome (CHROME_BIN).
+describe('TI scraper against saved pages', () => {
+  const ti = PLUGINS.find(p => p.name === 'ti');
+  const browserPool = createTestBrowserPool();
+  const skip = browserPool ? false : 'Chrome not found; set CHROME_BIN to run scraper tests';
+  let server;
+  let previousUrl;
+
+  before(async () => {
+    if (skip) return;
+    server = await createFixtureServer(FIXTURE_DIR);
+    previousUrl = process.env.CROSSREF_URL_TI;
+    process.env.CROSSREF_URL_TI = server.urlTemplate('ti');
+  });
+
+  after(async () => {
+    if (skip) return;
+    if (previousUrl === undefined) delete process.env.CROSSREF_URL_TI;
+    else process.env.CROSSREF_URL_TI = previousUrl;
+    await server.close();
+    await browserPool.close();
+  });
+
+  for (const expected of loadExpectations('ti')) {
+    test(`replays ${expected.partNumber} through the browser`, { skip, timeout: 60000 }, async () => {
+      const results = await ti.lookup(expected.partNumber, { browserPool });
+      assert.deepEqual(
+        results.map(r => ({ partNumber: r.partNumber, matchType: r.matchType, href: r.href })),
+        expected.results
+      );
+    });
+  }
+
+  test('rejects when the page does not load', { skip, timeout: 60000 }, async () => {
+    await assert.rejects(ti.lookup('NOT-SAVED', { browserPool }), /HTTP 404/);
+  });
+});
@@ -0,0 +1,174 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+// Uploaded datasheets go to a scratch directory
+const STORE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'datasheets-test-'));
+process.env.DATASHEET_DIR = STORE_DIR;
+
+const datasheetStore = require('../lib/datasheetStore');
+const {
+  extractPages,
+  selectPages,
+  fetchPdf,
+  candidateLinks,
+  datasheetsForPart,
+  summarizeDatasheets
+} = require('../lib/datasheets');
+const { buildPdf } = require('./helpers/pdf');
+
+const DATASHEET = buildPdf([
+  ['LM1117 800-mA Low-Dropout Linear Regulator', '1 Features'],
+  ['8 Detailed Description', 'The LM1117 is a low dropout regulator.'],
+  [
+    '5 Pin Configuration and Functions',
+    ['Pin', 'Name', 'Function'],
+    ['1', 'ADJ/GND', 'Adjust pin'],
+    ['2', 'VOUT', 'Output voltage']
+  ],
+  [
+    '6.5 Electrical Characteristics',
+    ['Parameter', 'Min', 'Max'],
+    ['VIN', '2.6', '15']
+  ]
+]);
+
+describe('extractPages', () => {
+  test('returns the text of every page with its page number', async () => {
+    const pages = await extractPages(DATASHEET);
+    assert.deepEqual(pages.map(p => p.page), [1, 2, 3, 4]);
+    assert.match(pages[0].text, /LM1117 800-mA Low-Dropout Linear Regulator/);
+  });
+
+  test('keeps table columns apart', async () => {
+    const pages = await extractPages(DATASHEET);
+    assert.equal(pages[2].text.split('\n')[2], '1 | ADJ/GND | Adjust pin');
+  });
+});
+
+describe('selectPages', () => {
+  const pages = [
+    { page: 1, text: 'Features' },
+    { page: 2, text: 'Detailed Description' },
+    { page: 3, text: 'Pin Configuration and Functions' },
+    { page: 4, text: 'Absolute Maximum Ratings\nElectrical Characteristics\nPin description' }
+  ];
+
+  test('keeps the first page and the pages with wanted sections, in page order', () => {
+    const selected = selectPages(pages, 6);
+    assert.deepEqual(selected.map(p => p.page), [1, 3, 4]);
+    assert.deepEqual(selected[2].sections, ['pinout', 'electrical']);
+  });
+
+  test('prefers pages with more sections when over the limit', () => {
+    assert.deepEqual(selectPages(pages, 2).map(p => p.page), [1, 4]);
+  });
+});
+
+describe('candidateLinks', () => {
+  test('keeps PDF and datasheet links once each', () => {
+    const links = candidateLinks([
+      { link: 'https://www.ti.com/lit/ds/symlink/lm1117.pdf?ts=1' },
+      { link: 'https://ti.com/lit/ds/symlink/lm1117.pdf?ts=1' },
+      { link: 'https://www.digikey.com/en/products/detail/LM1117' },
+      { link: 'https://www.mouser.com/datasheet/2/405/lm1117' }
+    ]).map(item => item.link);
+    assert.deepEqual(links, [
+      'https://www.ti.com/lit/ds/symlink/lm1117.pdf?ts=1',
+      'https://www.mouser.com/datasheet/2/405/lm1117'
+    ]);
+  });
+});
+
+describe('summarizeDatasheets', () => {
+  test('labels documents and pages for citation', () => {
+    const summary = summarizeDatasheets([{
+      partNumber: 'LM1117',
+      title: 'LM1117 datasheet',
+      url: 'https://example.com/lm1117.pdf',
+      pageCount: 30,
+      pages: [{ page: 5, sections: ['pinout'], text: 'Pin Configuration' }]
+    }]);
+    assert.equal(summary, '[Datasheet 1] LM1117: LM1117 datasheet (30 pages)\nURL: https://example.com/lm1117.pdf\n--- Page 5 ---\nPin Configuration');
+  });
+
+  test('says so when there is nothing to quote', () => {
+    assert.equal(summarizeDatasheets([]), 'No datasheets could be read.');
+  });
+});
+
+describe('fetchPdf', () => {
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    server = http.createServer((req, res) => {
+      if (req.url === '/lm1117.pdf') {
+        res.writeHead(200, { 'Content-Type': 'application/pdf' });
+        return res.end(DATASHEET);
+      }
+      res.writeHead(200, { 'Content-Type': 'text/html' });
+      res.end('<html>Product page</html>');
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => new Promise(resolve => server.close(resolve)));
+
+  test('downloads a PDF', async () => {
+    const buffer = await fetchPdf(`${baseUrl}/lm1117.pdf`);
+    assert.equal(buffer.length, DATASHEET.length);
+  });
+
+  test('rejects anything that is not a PDF', async () => {
+    await assert.rejects(fetchPdf(`${baseUrl}/product`), { name: 'DatasheetError', status: 415 });
+  });
+});
+
+describe('uploaded datasheets', () => {
+  after(() => fs.rmSync(STORE_DIR, { recursive: true, force: true }));
+
+  test('are stored per part and come first as the primary source', async () => {
+    const pages = await extractPages(DATASHEET);
+    const entry = await datasheetStore.add('abc-123', { filename: 'abc.pdf', buffer: DATASHEET, pages });
+
+    assert.deepEqual((await datasheetStore.list('ABC-123 ')).map(doc => doc.id), [entry.id]);
+    assert.ok(fs.existsSync(datasheetStore.filePath('abc-123', entry.id)));
+
+    const docs = await datasheetsForPart('ABC-123', []);
+    assert.equal(docs.length, 1);
+    assert.equal(docs[0].uploaded, true);
+    assert.deepEqual(docs[0].pages.map(p => p.page), [1, 3, 4]);
+    assert.match(summarizeDatasheets(docs), /^\[Datasheet 1\] ABC-123: abc\.pdf \(4 pages\)\nuploaded by an engineer, primary source\n/);
+  });
+
+  test('change the revision used in LLM cache keys', async () => {
+    assert.equal(await datasheetStore.revision('rev-1', 'rev-2'), '');
+    const entry = await datasheetStore.add('rev-2', { filename: 'rev.pdf', buffer: DATASHEET, pages: [{ page: 1, text: 'x' }] });
+    const withUpload = await datasheetStore.revision('rev-1', 'rev-2');
+    assert.match(withUpload, /^\+ds:[a-f0-9]{12}$/);
+
+    assert.equal(await datasheetStore.remove('rev-2', entry.id), true);
+    assert.equal(await datasheetStore.remove('rev-2', entry.id), false);
+    assert.equal(await datasheetStore.revision('rev-1', 'rev-2'), '');
+  });
+
+  test('never resolve outside the store', async () => {
+    const pages = [{ page: 1, text: 'x' }];
+    for (const partNumber of ['..', '.', ' ', '']) {
+      await assert.rejects(datasheetStore.add(partNumber, { filename: 'x.pdf', buffer: DATASHEET, pages }), { name: 'DatasheetStoreError', status: 400 });
+      assert.deepEqual(await datasheetStore.list(partNumber), []);
+      assert.equal(datasheetStore.filePath(partNumber, '0123456789abcdef'), null);
+      assert.equal(await datasheetStore.remove(partNumber, '0123456789abcdef'), false);
+    }
+    assert.deepEqual(fs.readdirSync(path.dirname(STORE_DIR)).filter(name => name === 'index.json'), []);
+  });
+
+  test('reject a corrupt PDF when its pages are extracted', async () => {
+    await assert.rejects(extractPages(Buffer.concat([DATASHEET.subarray(0, 40), Buffer.from('garbage')])));
+  });
+});
@@ -0,0 +1,18 @@
+const { findChrome, createBrowserPool } = require('../../lib/browserPool');
+
+// Browser pool for the scraper tests and fixture recording, or null when no
+// Chrome is installed.
+function createTestBrowserPool() {
+  const executablePath = findChrome();
+  if (!executablePath) return null;
+  return createBrowserPool({
+    puppeteer: require('puppeteer-core'),
+    launchOptions: {
+      executablePath,
+      args: ['--no-sandbox', '--disable-setuid-sandbox', '--disable-dev-shm-usage', '--disable-gpu']
+    },
+    maxPages: 1
+  });
+}
+
+module.exports = { createTestBrowserPool };
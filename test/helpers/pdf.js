@@ -0,0 +1,52 @@
+// Minimal text-only PDFs for the datasheet tests: one entry per page, each a
+// list of lines drawn top to bottom in Helvetica. A line given as an array is
+// drawn as table cells spaced across the page.
+function escapePdfText(text) {
+  return String(text).replace(/[\\()]/g, ch => `\\${ch}`);
+}
+
+function pageStream(lines) {
+  const ops = ['BT', '/F1 10 Tf'];
+  lines.forEach((line, i) => {
+    const y = 750 - i * 16;
+    const cells = Array.isArray(line) ? line : [line];
+    cells.forEach((cell, c) => {
+      ops.push(`1 0 0 1 ${50 + c * 150} ${y} Tm (${escapePdfText(cell)}) Tj`);
+    });
+  });
+  ops.push('ET');
+  return ops.join('\n');
+}
+
+function buildPdf(pages) {
+  const objects = [];
+  const add = body => {
+    objects.push(body);
+    return objects.length;
+  };
+
+  const catalog = add(null);
+  const pagesObj = add(null);
+  const font = add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>');
+  const kids = pages.map(lines => {
+    const stream = pageStream(lines);
+    const content = add(`<< /Length ${Buffer.byteLength(stream)} >>\nstream\n${stream}\nendstream`);
+    return add(`<< /Type /Page /Parent ${pagesObj} 0 R /MediaBox [0 0 612 792] /Resources << /Font << /F1 ${font} 0 R >> >> /Contents ${content} 0 R >>`);
+  });
+  objects[catalog - 1] = `<< /Type /Catalog /Pages ${pagesObj} 0 R >>`;
+  objects[pagesObj - 1] = `<< /Type /Pages /Kids [${kids.map(k => `${k} 0 R`).join(' ')}] /Count ${kids.length} >>`;
+
+  let out = '%PDF-1.4\n';
+  const offsets = objects.map((body, i) => {
+    const offset = Buffer.byteLength(out);
+    out += `${i + 1} 0 obj\n${body}\nendobj\n`;
+    return offset;
+  });
+  const xref = Buffer.byteLength(out);
+  out += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  out += offsets.map(o => `${String(o).padStart(10, '0')} 00000 n \n`).join('');
+  out += `trailer\n<< /Size ${objects.length + 1} /Root ${catalog} 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+  return Buffer.from(out, 'latin1');
+}
+
+module.exports = { buildPdf };
@@ -0,0 +1,66 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createInflight } = require('../lib/inflight');
+
+// A promise the test settles by hand
+function deferred() {
+  let resolve;
+  let reject;
+  const promise = new Promise((res, rej) => {
+    resolve = res;
+    reject = rej;
+  });
+  return { promise, resolve, reject };
+}
+
+describe('createInflight', () => {
+  test('runs concurrent calls for one key once and shares the result', async () => {
+    const inflight = createInflight();
+    const upstream = deferred();
+    let calls = 0;
+    const fn = () => {
+      calls++;
+      return upstream.promise;
+    };
+
+    const first = inflight.run('LM317', fn);
+    const second = inflight.run('LM317', fn);
+    const other = inflight.run('NE555', async () => 'other');
+    assert.equal(inflight.joiners('LM317'), 1);
+
+    upstream.resolve({ parts: ['LM338'] });
+    const [a, b] = await Promise.all([first, second]);
+    assert.equal(calls, 1);
+    assert.equal(a, b);
+    assert.equal(await other, 'other');
+    assert.deepEqual(inflight.stats(), { inFlight: 0, started: 2, joined: 1 });
+  });
+
+  test('rejects every joiner with the same error', async () => {
+    const inflight = createInflight();
+    const upstream = deferred();
+    const callers = [1, 2, 3].map(() => inflight.run('LM317', () => upstream.promise));
+
+    const error = new Error('Upstream timed out');
+    upstream.reject(error);
+    const outcomes = await Promise.allSettled(callers);
+    outcomes.forEach(outcome => {
+      assert.equal(outcome.status, 'rejected');
+      assert.equal(outcome.reason, error);
+    });
+  });
+
+  test('rejects when the function throws synchronously', async () => {
+    const inflight = createInflight();
+    await assert.rejects(inflight.run('LM317', () => { throw new Error('bad key'); }), /bad key/);
+  });
+
+  test('starts fresh once the shared call has settled', async () => {
+    const inflight = createInflight();
+    await assert.rejects(inflight.run('LM317', async () => { throw new Error('first'); }));
+    assert.equal(inflight.joiners('LM317'), 0);
+    assert.equal(await inflight.run('LM317', async () => 'second'), 'second');
+    assert.deepEqual(inflight.stats(), { inFlight: 0, started: 2, joined: 0 });
+  });
+});
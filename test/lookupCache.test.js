@@ -0,0 +1,36 @@
+const { describe, test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Cache entries go to a scratch directory
+const CACHE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'cache-test-'));
+process.env.CACHE_DIR = CACHE_DIR;
+
+const lookupCache = require('../lib/lookupCache');
+
+after(() => fs.rmSync(CACHE_DIR, { recursive: true, force: true }));
+
+describe('lookupCache', () => {
+  test('lists and clears the entries of exactly one part number', async () => {
+    await Promise.all([
+      ['crossref', 'ti:LM317'],
+      ['crossref', 'ti:LM3170'],
+      ['search', 'LM317A@google'],
+      ['llm', 'alternatives:lm317@openai/gpt-4o'],
+      ['llm', 'compare:LM1117|LM317@openai/gpt-4o'],
+      ['datasheet', 'https://example.com/lm317.pdf']
+    ].map(([source, key]) => lookupCache.set(source, key, { key })));
+
+    const keys = async filter => (await lookupCache.list(filter)).map(e => e.key).sort();
+    assert.deepEqual(await keys({ key: 'lm317' }), ['ALTERNATIVES:LM317@OPENAI/GPT-4O', 'COMPARE:LM1117|LM317@OPENAI/GPT-4O', 'TI:LM317']);
+    assert.deepEqual(await keys({ source: 'crossref', key: 'LM317' }), ['TI:LM317']);
+    assert.deepEqual(await keys({ key: 'https://example.com/lm317.pdf' }), ['HTTPS://EXAMPLE.COM/LM317.PDF']);
+
+    assert.equal(await lookupCache.clear({ source: 'crossref', key: 'LM317' }), 1);
+    assert.equal(await lookupCache.clear({ key: 'LM317' }), 2);
+    assert.deepEqual(await keys({}), ['HTTPS://EXAMPLE.COM/LM317.PDF', 'LM317A@GOOGLE', 'TI:LM3170']);
+    assert.deepEqual(await lookupCache.get('crossref', 'ti:LM3170'), { key: 'ti:LM3170' });
+  });
+});
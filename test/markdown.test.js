@@ -0,0 +1,38 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { renderMarkdown, renderComparison } = require('../lib/markdown');
+
+describe('renderMarkdown', () => {
+  test('shows raw HTML from the report as text', () => {
+    assert.equal(renderMarkdown('<img src=x onerror=alert(1)>'), '&lt;img src=x onerror=alert(1)&gt;');
+    assert.equal(renderMarkdown('LM317 <script>alert(1)</script> regulator'), '<p>LM317 &lt;script&gt;alert(1)&lt;/script&gt; regulator</p>\n');
+    assert.equal(renderMarkdown('<a href="https://ti.com" onclick="x()">TI</a>'), '<p>&lt;a href=&quot;https://ti.com&quot; onclick=&quot;x()&quot;&gt;TI&lt;/a&gt;</p>\n');
+  });
+
+  test('keeps line breaks in table cells', () => {
+    assert.match(renderMarkdown('| Part | Notes |\n|---|---|\n| LM317 | 1.5 A<br>TO-220 |'), /<td>1\.5 A<br>TO-220<\/td>/);
+  });
+
+  test('drops links and images with unsafe URLs, keeping their text', () => {
+    assert.equal(renderMarkdown('[datasheet](javascript:alert(1))'), '<p>datasheet</p>\n');
+    assert.equal(renderMarkdown('[datasheet](JaVaScRiPt:alert(1))'), '<p>datasheet</p>\n');
+    assert.equal(renderMarkdown('<javascript:alert(1)>'), '<p>javascript:alert(1)</p>\n');
+    assert.equal(renderMarkdown('![pinout](data:image/svg+xml;base64,PHN2Zz4=)'), '<p>pinout</p>\n');
+  });
+
+  test('keeps http(s), mailto and relative links', () => {
+    assert.equal(renderMarkdown('[TI](https://www.ti.com/product/LM317)'), '<p><a href="https://www.ti.com/product/LM317">TI</a></p>\n');
+    assert.equal(renderMarkdown('[sales](mailto:sales@example.com)'), '<p><a href="mailto:sales@example.com">sales</a></p>\n');
+    assert.equal(renderMarkdown('[saved](/analysis/1)'), '<p><a href="/analysis/1">saved</a></p>\n');
+    assert.equal(renderMarkdown('![pinout](https://example.com/p.png)'), '<p><img src="https://example.com/p.png" alt="pinout"></p>\n');
+  });
+});
+
+describe('renderComparison', () => {
+  test('adds the comparison table classes without touching thead', () => {
+    const html = renderComparison('| Part | Vin |\n|---|---|\n| LM317 | 40 V |');
+    assert.match(html, /<table class="comparison-table">\n<thead>\n<tr class="comparison-row">\n<th class="comparison-header">Part<\/th>/);
+    assert.match(html, /<td class="comparison-cell">LM317<\/td>/);
+  });
+});
@@ -0,0 +1,96 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { mergePart } = require('../lib/partsDb');
+const { normalizeParameter } = require('../lib/partParameters');
+const { parseQuery, filterParts } = require('../lib/partSearch');
+
+const SOURCE = { analysis: 'alternatives', subject: 'test', model: 'test-model' };
+const RECORDED_AT = '2026-10-01T00:00:00.000Z';
+
+function part(fields, parameters = []) {
+  return mergePart(null, { ...fields, parameters: parameters.map(normalizeParameter) }, SOURCE, RECORDED_AT);
+}
+
+const RECORDS = [
+  part({ partNumber: 'TPS7A2033', manufacturer: 'Texas Instruments', category: 'LDO Regulator', package: 'SOT-23-5 (DBV)', lifecycle: 'Active' }, [
+    { name: 'Input voltage', min: 1.6, max: 6, unit: 'V', citation: 'Datasheet 1, p. 5' },
+    { name: 'Output current', max: 300, unit: 'mA', citation: null }
+  ]),
+  part({ partNumber: 'LP2985-33', manufacturer: 'Texas Instruments', category: 'LDO Regulator', package: 'SOT23-5', lifecycle: 'Active' }, [
+    { name: 'Input voltage', min: 2.2, max: 16, unit: 'V', citation: null },
+    { name: 'Output current', max: 150, unit: 'mA', citation: 'Datasheet 1, p. 1' }
+  ]),
+  part({ partNumber: 'MIC5205-3.3', manufacturer: 'Microchip', category: 'LDO Regulator', package: 'SOT-23-5', lifecycle: 'NRND' }, [
+    { name: 'VIN', min: 2.5, max: 16, unit: 'V', citation: 'Datasheet 1, p. 3' }
+  ]),
+  part({ partNumber: 'LM2596', manufacturer: 'Texas Instruments', category: 'Switching Regulator', package: 'TO-263', lifecycle: 'Active' }, [
+    { name: 'Input voltage', max: 40, unit: 'V', citation: null }
+  ])
+];
+
+function search(body) {
+  return filterParts(RECORDS, parseQuery(body)).parts.map(p => p.partNumber);
+}
+
+describe('parseQuery', () => {
+  test('accepts known categories and lifecycles in any case', () => {
+    const query = parseQuery({ category: 'ldo regulator', lifecycle: ['active', 'NRND'] });
+    assert.deepEqual(query.category, ['LDO Regulator']);
+    assert.deepEqual(query.lifecycle, ['Active', 'NRND']);
+    assert.equal(query.limit, 100);
+  });
+
+  test('converts range bounds to base units', () => {
+    const [range] = parseQuery({ parameters: [{ key: 'outputCurrent', bound: 'max', gte: 200, unit: 'mA' }] }).parameters;
+    assert.equal(range.unit, 'A');
+    assert.equal(range.gte, 0.2);
+  });
+
+  test('rejects unknown values with a 400', () => {
+    assert.throws(() => parseQuery({ category: 'Toaster' }), { name: 'PartSearchError', status: 400 });
+    assert.throws(() => parseQuery({ parameters: [{ key: 'inputVoltage', bound: 'avg' }] }), { status: 400 });
+    assert.throws(() => parseQuery({ parameters: [{ key: 'inputVoltage', gte: 'lots' }] }), { status: 400 });
+  });
+});
+
+describe('filterParts', () => {
+  test('LDOs in SOT-23-5 with Vin max >= 16 V and active lifecycle', () => {
+    assert.deepEqual(search({
+      category: 'LDO Regulator',
+      package: 'SOT-23-5',
+      lifecycle: 'Active',
+      parameters: [{ key: 'inputVoltage', bound: 'max', gte: 16, unit: 'V' }]
+    }), ['LP2985-33']);
+  });
+
+  test('matches packages regardless of punctuation', () => {
+    assert.deepEqual(search({ package: 'sot23 5' }), ['LP2985-33', 'MIC5205-3.3', 'TPS7A2033']);
+  });
+
+  test('filters by manufacturer substring', () => {
+    assert.deepEqual(search({ manufacturer: 'microchip' }), ['MIC5205-3.3']);
+  });
+
+  test('without a bound, the stated range must overlap the requested one', () => {
+    assert.deepEqual(search({ parameters: [{ key: 'inputVoltage', gte: 10, lte: 12 }] }), ['LP2985-33', 'MIC5205-3.3']);
+  });
+
+  test('can require datasheet-verified values', () => {
+    assert.deepEqual(search({
+      verifiedOnly: true,
+      parameters: [{ key: 'inputVoltage', bound: 'max', gte: 5, unit: 'V' }]
+    }), ['MIC5205-3.3', 'TPS7A2033']);
+  });
+
+  test('compares values given with a unit prefix', () => {
+    assert.deepEqual(search({ parameters: [{ key: 'outputCurrent', bound: 'max', gte: 200, unit: 'mA' }] }), ['TPS7A2033']);
+  });
+
+  test('reports the total and limits the rows', () => {
+    const result = filterParts(RECORDS, parseQuery({ limit: 2 }));
+    assert.equal(result.total, 4);
+    assert.equal(result.parts.length, 2);
+    assert.equal(result.parts[0].parameters[0].key, 'inputVoltage');
+  });
+});
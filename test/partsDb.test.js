@@ -0,0 +1,144 @@
+const { describe, test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The parts database goes to a scratch directory
+const DB_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'parts-db-test-'));
+process.env.PARTS_DB_DIR = DB_DIR;
+
+const partsDb = require('../lib/partsDb');
+const { parseUnit, normalizeParameter, validatePartParameters } = require('../lib/partParameters');
+
+describe('parseUnit', () => {
+  test('splits SI prefixes from base units', () => {
+    assert.deepEqual(parseUnit('mA'), { factor: 1e-3, unit: 'A' });
+    assert.deepEqual(parseUnit('MHz'), { factor: 1e6, unit: 'Hz' });
+    assert.deepEqual(parseUnit('µA'), { factor: 1e-6, unit: 'A' });
+    assert.deepEqual(parseUnit('kΩ'), { factor: 1e3, unit: 'Ω' });
+  });
+
+  test('keeps units it does not know as written', () => {
+    assert.deepEqual(parseUnit('ppm/°C'), { factor: 1, unit: 'ppm/°C' });
+    assert.deepEqual(parseUnit('C'), { factor: 1, unit: '°C' });
+    assert.deepEqual(parseUnit(null), { factor: 1, unit: null });
+  });
+});
+
+describe('normalizeParameter', () => {
+  test('maps names to canonical keys and values to base units', () => {
+    assert.deepEqual(normalizeParameter({ name: 'Output Current (IOUT)', min: null, typ: null, max: 800, unit: 'mA', conditions: null, citation: 'Datasheet 1, p. 4' }), {
+      key: 'outputCurrent',
+      label: 'Output current',
+      name: 'Output Current (IOUT)',
+      min: null,
+      typ: null,
+      max: 0.8,
+      unit: 'A',
+      conditions: null,
+      citation: 'Datasheet 1, p. 4'
+    });
+  });
+
+  test('maps names with qualifiers and symbols', () => {
+    assert.equal(normalizeParameter({ name: 'Input Voltage Range (VIN)', min: 2.6, max: 15, unit: 'V' }).key, 'inputVoltage');
+    assert.equal(normalizeParameter({ name: 'V_OUT', typ: 3.3, unit: 'V' }).key, 'outputVoltage');
+    assert.equal(normalizeParameter({ name: 'Maximum supply current', max: 5, unit: 'mA' }).key, 'quiescentCurrent');
+    assert.equal(normalizeParameter({ name: 'Operating temperature range', min: -40, max: 125, unit: '°C' }).key, 'operatingTemperature');
+  });
+
+  test('keeps related specs under names of their own', () => {
+    const key = (name, unit) => normalizeParameter({ name, typ: 1, unit }).key;
+    assert.equal(key('Supply voltage rejection ratio', 'dB'), 'supplyVoltageRejectionRatio');
+    assert.equal(key('Input voltage noise density', 'nV/√Hz'), 'inputVoltageNoiseDensity');
+    assert.equal(key('Output voltage temperature coefficient', 'ppm/°C'), 'outputVoltageTemperatureCoefficient');
+    assert.equal(key('Output voltage swing', 'V'), 'outputVoltageSwing');
+    assert.equal(key('Output voltage accuracy', '%'), 'outputVoltageAccuracy');
+  });
+
+  test('uses a canonical key only with that key\'s unit', () => {
+    const param = normalizeParameter({ name: 'Input voltage', max: 15, unit: 'dB' });
+    assert.equal(param.key, 'inputVoltageDb');
+    assert.equal(param.label, 'Input voltage (dB)');
+    assert.equal(normalizeParameter({ name: 'Output current', max: 1 }).key, 'outputCurrentNoUnit');
+  });
+
+  test('drops parameters without any value', () => {
+    assert.equal(normalizeParameter({ name: 'Input voltage', min: null, typ: null, max: null, unit: 'V' }), null);
+  });
+});
+
+describe('validatePartParameters', () => {
+  test('normalizes parts and drops the ones without a part number', () => {
+    const parts = validatePartParameters({
+      parts: [
+        { partNumber: ' LM1117 ', category: 'ldo regulator', lifecycle: 'bogus', pinCount: 4, price: { unitPrice: null }, parameters: [] },
+        { partNumber: '', parameters: [] }
+      ]
+    });
+    assert.equal(parts.length, 1);
+    assert.equal(parts[0].partNumber, 'LM1117');
+    assert.equal(parts[0].category, 'LDO Regulator');
+    assert.equal(parts[0].lifecycle, 'Unknown');
+    assert.equal(parts[0].price, null);
+  });
+
+  test('rejects output without a parts array', () => {
+    assert.throws(() => validatePartParameters({}), /parts/);
+  });
+});
+
+describe('parts database', () => {
+  after(() => fs.rmSync(DB_DIR, { recursive: true, force: true }));
+
+  const compare = { analysis: 'compare', subject: 'LM1117 vs AMS1117', model: 'test-model' };
+  const bulk = { analysis: 'bulk', subject: 'LM317', model: 'test-model' };
+
+  test('records fields and parameters with their source and date', async () => {
+    await partsDb.record([{
+      partNumber: 'lm1117',
+      manufacturer: 'Texas Instruments',
+      category: 'LDO Regulator',
+      package: 'SOT-223',
+      lifecycle: 'Unknown',
+      parameters: [normalizeParameter({ name: 'Input voltage', min: 2.6, max: 15, unit: 'V', citation: 'Datasheet 1, p. 4' })]
+    }], compare, '2026-10-01T00:00:00.000Z');
+
+    const part = await partsDb.get('LM1117 ');
+    assert.equal(part.partNumber, 'LM1117');
+    assert.deepEqual(part.fields.package, { value: 'SOT-223', source: compare, recordedAt: '2026-10-01T00:00:00.000Z' });
+    assert.equal(part.fields.lifecycle, undefined);
+    assert.equal(part.parameters.inputVoltage.verified, true);
+    assert.equal(part.parameters.inputVoltage.max, 15);
+    assert.equal(await partsDb.get('unknown-part'), null);
+  });
+
+  test('never replaces a verified parameter with an unverified one', async () => {
+    await partsDb.record([{
+      partNumber: 'LM1117',
+      description: 'LDO regulator',
+      parameters: [normalizeParameter({ name: 'VIN', max: 20, unit: 'V' })]
+    }], bulk, '2026-10-02T00:00:00.000Z');
+
+    const part = await partsDb.get('LM1117');
+    assert.equal(part.parameters.inputVoltage.max, 15);
+    assert.equal(part.fields.description.source.analysis, 'bulk');
+    assert.equal(part.fields.package.value, 'SOT-223');
+    assert.equal(part.updatedAt, '2026-10-02T00:00:00.000Z');
+  });
+
+  test('summarizes verified parameters for prompts', async () => {
+    assert.equal(
+      partsDb.summarizeVerified([await partsDb.get('LM1117'), null]),
+      'LM1117:\n- Input voltage: 2.6 to 15 V [Datasheet 1, p. 4; compare LM1117 vs AMS1117, 2026-10-01]'
+    );
+    assert.equal(partsDb.summarizeVerified([null]), 'No previously verified parameters.');
+  });
+
+  test('lists and removes parts', async () => {
+    assert.deepEqual((await partsDb.list()).map(part => part.partNumber), ['LM1117']);
+    assert.equal(await partsDb.remove('lm1117'), true);
+    assert.equal(await partsDb.remove('lm1117'), false);
+  });
+});
@@ -0,0 +1,81 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { validatePinouts, comparePinouts } = require('../lib/pinouts');
+
+function pin(number, name, type, extra = {}) {
+  return { number, name, function: null, type, citation: null, ...extra };
+}
+
+describe('validatePinouts', () => {
+  test('matches parts by part number and sorts pins in package order', () => {
+    const [a, b] = validatePinouts({
+      parts: [
+        { partNumber: 'ams1117-3.3', package: 'SOT-223', pins: [pin('2', 'VOUT', 'Output'), pin('1', 'GND', 'Ground')] },
+        { partNumber: 'LM1117-3.3', package: 'SOT-223', pins: [pin('10', 'X', 'Other'), pin('EP', 'PAD', 'Thermal Pad'), pin('2', 'VOUT', 'Output')] }
+      ]
+    }, ['LM1117-3.3', 'AMS1117-3.3']);
+
+    assert.equal(a.partNumber, 'LM1117-3.3');
+    assert.deepEqual(a.pins.map(p => p.number), ['2', '10', 'EP']);
+    assert.deepEqual(b.pins.map(p => p.number), ['1', '2']);
+  });
+
+  test('drops pins without a number or name, and repeated numbers', () => {
+    const [a] = validatePinouts({
+      parts: [{ partNumber: 'A', package: null, pins: [pin('1', 'IN', 'input'), pin('1', 'OUT', 'Output'), pin('', 'X', 'Other'), pin('2', ' ', 'Other')] }]
+    }, ['A', 'B']);
+    assert.deepEqual(a.pins, [pin('1', 'IN', 'Input')]);
+  });
+
+  test('leaves a part without pins when the report has no pinout for it', () => {
+    const pinouts = validatePinouts({ parts: [{ partNumber: 'A', package: null, pins: [pin('1', 'IN', 'Input')] }] }, ['A', 'B', 'C']);
+    assert.deepEqual(pinouts.map(p => p.partNumber), ['A', 'B', 'C']);
+    assert.deepEqual(pinouts[2], { partNumber: 'C', package: null, pins: [] });
+  });
+
+  test('rejects output without a parts array', () => {
+    assert.throws(() => validatePinouts({}, ['A', 'B']), /parts/);
+  });
+});
+
+describe('comparePinouts', () => {
+  const partA = {
+    partNumber: 'LM1117',
+    pins: [pin('1', 'ADJ/GND', 'Ground'), pin('2', 'VOUT', 'Output'), pin('3', 'VIN', 'Power'), pin('4', 'nRESET', 'Input')]
+  };
+  const partB = {
+    partNumber: 'AMS1117',
+    pins: [pin('1', 'GND', 'Ground'), pin('2', 'VIN', 'Power'), pin('3', 'VOUT', 'Output'), pin('4', 'RESET#', 'Input'), pin('5', 'NC', 'No Connect')]
+  };
+
+  test('classifies every pin number', () => {
+    const result = comparePinouts(partA, partB);
+    assert.deepEqual(result.rows.map(row => [row.number, row.status]), [
+      ['1', 'renamed'],
+      ['2', 'type'],
+      ['3', 'type'],
+      ['4', 'match'],
+      ['5', 'missing']
+    ]);
+    assert.equal(result.matching, 1);
+    assert.equal(result.pinCountMatch, false);
+    assert.equal(result.comparable, true);
+  });
+
+  test('describes the mismatches', () => {
+    const { mismatches } = comparePinouts(partA, partB);
+    assert.deepEqual(mismatches.map(m => m.detail), [
+      'Pin 1: ADJ/GND (Ground) vs GND (Ground)',
+      'Pin 2: VOUT (Output) vs VIN (Power)',
+      'Pin 3: VIN (Power) vs VOUT (Output)',
+      'Pin 5 only on AMS1117 (NC)'
+    ]);
+  });
+
+  test('is not comparable when one pinout is missing', () => {
+    const result = comparePinouts(partA, { partNumber: 'X', pins: [] });
+    assert.equal(result.comparable, false);
+    assert.equal(result.matching, 0);
+  });
+});
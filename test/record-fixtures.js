@@ -0,0 +1,56 @@
+// Capture fresh cross-reference pages as test fixtures.
+//
+//   npm run record:fixtures                  # re-record every saved TI part
+//   npm run record:fixtures -- LM317 NE555   # record specific parts
+//   CROSSREF_SOURCE=st npm run record:fixtures -- LD1117
+//
+// Writes <PART>.html under test/fixtures/crossref/<source>/. It never writes
+// <PART>.expected.json: the expected match types are read off the page and
+// written by hand, or the tests would only check the scraper against itself.
+const fs = require('fs');
+const path = require('path');
+const { PLUGINS } = require('../lib/crossReference');
+const { createTestBrowserPool } = require('./helpers/browser');
+
+const FIXTURE_DIR = path.join(__dirname, 'fixtures', 'crossref');
+
+async function main() {
+  const source = process.env.CROSSREF_SOURCE || 'ti';
+  const plugin = PLUGINS.find(p => p.name === source);
+  if (!plugin) {
+    throw new Error(`Unknown cross-reference source "${source}"`);
+  }
+
+  const sourceDir = path.join(FIXTURE_DIR, source);
+  const saved = fs.existsSync(sourceDir)
+    ? fs.readdirSync(sourceDir).filter(f => f.endsWith('.html')).map(f => decodeURIComponent(f.slice(0, -5)))
+    : [];
+  const parts = process.argv.slice(2).length ? process.argv.slice(2) : saved;
+  if (!parts.length) {
+    throw new Error('No parts to record. Pass part numbers as arguments.');
+  }
+
+  const browserPool = createTestBrowserPool();
+  if (!browserPool) {
+    throw new Error('Chrome not found. Set CHROME_BIN to a Chrome or Chromium executable.');
+  }
+
+  process.env.CROSSREF_RECORD_DIR = FIXTURE_DIR;
+  try {
+    for (const partNumber of parts) {
+      const results = await plugin.lookup(partNumber, { browserPool });
+      const expected = path.join(sourceDir, `${encodeURIComponent(partNumber.toUpperCase())}.expected.json`);
+      console.log(`Recorded ${source}/${partNumber}: ${results.length} results`);
+      if (!fs.existsSync(expected)) {
+        console.log(`  Write ${path.relative(process.cwd(), expected)} by hand from the saved page`);
+      }
+    }
+  } finally {
+    await browserPool.close();
+  }
+}
+
+main().catch(error => {
+  console.error(error.message);
+  process.exit(1);
+});
@@ -0,0 +1,48 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { normalizeLink, mergeResults } = require('../lib/search');
+
+describe('normalizeLink', () => {
+  test('ignores scheme, www., fragment, tracking parameters and trailing slash', () => {
+    const expected = 'ti.com/product/LM317?p=1';
+    [
+      'https://www.ti.com/product/LM317?p=1',
+      'http://ti.com/product/LM317/?p=1',
+      'https://WWW.TI.COM/product/LM317?p=1#description',
+      'https://www.ti.com/product/LM317?utm_source=google&p=1&utm_medium=cpc'
+    ].forEach(link => assert.equal(normalizeLink(link), expected, link));
+  });
+
+  test('keeps path case and other parameters apart', () => {
+    assert.notEqual(normalizeLink('https://ti.com/product/LM317'), normalizeLink('https://ti.com/product/lm317'));
+    assert.notEqual(normalizeLink('https://ti.com/product/LM317?p=1'), normalizeLink('https://ti.com/product/LM317?p=2'));
+  });
+
+  test('falls back to trimmed lower case for text that is not a URL', () => {
+    assert.equal(normalizeLink('  Not A URL '), 'not a url');
+  });
+});
+
+describe('mergeResults', () => {
+  const item = (link, provider) => ({ title: link, link, provider });
+
+  test('interleaves providers by rank and drops duplicates across them, first occurrence winning', () => {
+    const google = [item('https://www.digikey.com/LM317', 'google'), item('https://www.ti.com/product/LM317', 'google')];
+    const bing = [item('https://digikey.com/LM317/', 'bing'), item('https://www.mouser.com/LM317', 'bing'), item('https://www.arrow.com/LM317', 'bing')];
+
+    const merged = mergeResults([google, bing], 10);
+    assert.deepEqual(merged.map(r => [r.provider, r.link]), [
+      ['google', 'https://www.digikey.com/LM317'],
+      ['google', 'https://www.ti.com/product/LM317'],
+      ['bing', 'https://www.mouser.com/LM317'],
+      ['bing', 'https://www.arrow.com/LM317']
+    ]);
+  });
+
+  test('drops duplicates within a provider and items without a link, then keeps the first count', () => {
+    const local = [item('https://a.example/1'), { title: 'No link' }, item('https://a.example/1#top'), item('https://a.example/2'), item('https://a.example/3')];
+    assert.deepEqual(mergeResults([local], 2).map(r => r.link), ['https://a.example/1', 'https://a.example/2']);
+    assert.deepEqual(mergeResults([], 5), []);
+  });
+});
@@ -0,0 +1,83 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { validateStructuredAlternatives } = require('../lib/structuredAlternatives');
+
+const ALTERNATIVE = {
+  rank: 1,
+  partNumber: 'LM1117',
+  manufacturer: 'Texas Instruments',
+  description: '800-mA low-dropout regulator',
+  package: 'SOT-223',
+  lifecycle: 'Active',
+  price: { unitPrice: 0.42, currency: 'USD', distributor: 'Digi-Key', sourceUrl: 'https://www.digikey.com/LM1117' },
+  confidence: 'High',
+  differences: ['Lower dropout voltage']
+};
+
+describe('validateStructuredAlternatives', () => {
+  test('keeps a valid payload as it is', () => {
+    const data = {
+      originalPart: { partNumber: 'NCP1117', manufacturer: 'onsemi', description: '1 A LDO', package: 'SOT-223', lifecycle: 'Active' },
+      alternatives: [ALTERNATIVE]
+    };
+    assert.deepEqual(validateStructuredAlternatives(data, 'NCP1117'), data);
+  });
+
+  test('rejects output without an alternatives array', () => {
+    [null, 'text', {}, { alternatives: 'LM1117' }].forEach(data => {
+      assert.throws(() => validateStructuredAlternatives(data, 'NCP1117'), /missing "alternatives" array/);
+    });
+  });
+
+  test('drops entries without a part number and fills missing fields with null', () => {
+    const result = validateStructuredAlternatives({
+      alternatives: [null, 'LM1117', { partNumber: '  ' }, { partNumber: ' AMS1117 ', manufacturer: '', differences: 'none' }]
+    }, 'NCP1117');
+
+    assert.deepEqual(result.originalPart, { partNumber: 'NCP1117', manufacturer: null, description: null, package: null, lifecycle: 'Unknown' });
+    assert.deepEqual(result.alternatives, [{
+      rank: 4,
+      partNumber: 'AMS1117',
+      manufacturer: null,
+      description: null,
+      package: null,
+      lifecycle: 'Unknown',
+      price: { unitPrice: null, currency: null, distributor: null, sourceUrl: null },
+      confidence: 'Low',
+      differences: []
+    }]);
+  });
+
+  test('orders by rank, numbering entries without a valid rank by position', () => {
+    const result = validateStructuredAlternatives({
+      alternatives: [{ partNumber: 'A', rank: 3 }, { partNumber: 'B', rank: 0 }, { partNumber: 'C', rank: 1.5 }, { partNumber: 'D', rank: 1 }]
+    }, 'X');
+    assert.deepEqual(result.alternatives.map(a => [a.rank, a.partNumber]), [[1, 'D'], [2, 'B'], [3, 'A'], [3, 'C']]);
+  });
+
+  test('normalizes prices', () => {
+    const price = value => validateStructuredAlternatives({ alternatives: [{ ...ALTERNATIVE, price: value }] }, 'NCP1117').alternatives[0].price;
+
+    assert.deepEqual(price({ unitPrice: '0.42', currency: ' USD ', distributor: 'Mouser', sourceUrl: 'https://www.mouser.com/x' }),
+      { unitPrice: 0.42, currency: 'USD', distributor: 'Mouser', sourceUrl: 'https://www.mouser.com/x' });
+    assert.equal(price({ unitPrice: -1 }).unitPrice, null);
+    assert.equal(price({ unitPrice: '$0.42' }).unitPrice, null);
+    assert.equal(price({ unitPrice: '' }).unitPrice, null);
+    assert.equal(price({ unitPrice: null }).unitPrice, null);
+    assert.equal(price({ unitPrice: 0 }).unitPrice, 0);
+    assert.equal(price({ sourceUrl: 'javascript:alert(1)' }).sourceUrl, null);
+    assert.equal(price(null).currency, null);
+  });
+
+  test('maps lifecycle and confidence to their allowed values', () => {
+    const alt = fields => validateStructuredAlternatives({ alternatives: [{ ...ALTERNATIVE, ...fields }] }, 'NCP1117').alternatives[0];
+
+    assert.equal(alt({ lifecycle: 'nrnd' }).lifecycle, 'NRND');
+    assert.equal(alt({ lifecycle: 'last time buy' }).lifecycle, 'Last Time Buy');
+    assert.equal(alt({ lifecycle: 'Discontinued' }).lifecycle, 'Unknown');
+    assert.equal(alt({ lifecycle: null }).lifecycle, 'Unknown');
+    assert.equal(alt({ confidence: 'medium' }).confidence, 'Medium');
+    assert.equal(alt({ confidence: 'certain' }).confidence, 'Low');
+  });
+});